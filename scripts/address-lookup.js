@@ -0,0 +1,242 @@
+/**
+ * @fileoverview
+ * Address lookup module for finding addresses in the stored data without a network.
+ *
+ * The following script builds an address index from the 'addr:*' tags of the nodes and
+ * building ways of the active region, once for each loaded dataset, combining the house
+ * number, street, postcode, and city of each into a single address at the centroid of the
+ * feature.  Typed addresses are matched word by word against the index, and a click on
+ * the map with the address tool of 'map-tools.js' finds the nearest address instead; the
+ * chosen address replaces the highlighted features of 'highlights.js'.
+ */
+import { focusOnElement } from './regions.js';
+import { setHighlights } from './highlights.js';
+import { calculateCentroid } from './render-labels.js';
+import { MapTool, addToolClickListener } from './map-tools.js';
+import { logMessage, MessageScope, MessageOutput } from './log-message.js';
+
+/**
+ * The address tags which are combined into an address, keyed by the part they hold.
+ * @constant {Object<string, string>}
+ */
+const ADDRESS_TAGS = Object.freeze({
+    housenumber: "addr:housenumber",
+    street: "addr:street",
+    postcode: "addr:postcode",
+    city: "addr:city"
+});
+
+/**
+ * The largest number of matching addresses listed for a lookup.
+ * @constant {number}
+ */
+const MAX_ADDRESS_RESULTS = 20;
+
+/**
+ * Splits text into lower-cased words, ignoring spaces and punctuation between them.
+ *
+ * @private
+ * @param {string} text - The text to split.
+ * @returns {Array<string>} The words of the text.
+ */
+const toWords = (text) => text.toLowerCase().split(/[\s,]+/).filter(Boolean);
+
+/**
+ * Formats the parts of an address for display, as in '12 High Street, Egham, TW20 9AA'.
+ *
+ * @param {{housenumber?: string, street?: string, postcode?: string, city?: string}} parts - The address parts.
+ * @returns {string} The formatted address.
+ */
+export function formatAddress({ housenumber, street, postcode, city }) {
+    const firstLine = [housenumber, street].filter(Boolean).join(" ");
+    return [firstLine, city, postcode].filter(Boolean).join(", ");
+}
+
+/**
+ * Calculates the geographic centroid of a node or a closed way.
+ *
+ * @private
+ * @param {string} type - The element type: 'node' or 'way'.
+ * @param {Object} element - The element.
+ * @param {Map<string, Object>} nodesById - The loaded nodes by ID.
+ * @returns {{lon: number, lat: number} | null} The centroid, or null if no nodes are loaded.
+ */
+function calculateElementCentroid(type, element, nodesById) {
+    if (type === "node") return { lon: element.lon, lat: element.lat };
+
+    const ring = element.nodes.slice(0, -1).map(ref => nodesById.get(ref)).filter(Boolean);
+    if (ring.length === 0) return null;
+
+    const { x, y } = calculateCentroid(ring.map(({ lon, lat }) => ({ x: lon, y: lat })));
+    return { lon: x, lat: y };
+}
+
+/**
+ * Builds the address index of a dataset.
+ *
+ * Every node, and every closed way tagged as a building, with a house number or a street
+ * becomes an address; ways whose nodes are not loaded are skipped.
+ *
+ * @param {Array<Object>} nodes - The node objects of the dataset.
+ * @param {Array<Object>} ways - The way objects of the dataset.
+ * @param {Map<string, Object>} nodesById - The node objects by ID.
+ * @returns {Array<{type: string, element: Object, parts: Object, text: string, words: Array<string>, centroid: Object}>}
+ *  The addresses, with their parts, formatted text, words, and centroid.
+ */
+export function buildAddressIndex(nodes, ways, nodesById) {
+    const addresses = [];
+
+    const addAddress = (type, element) => {
+        const parts = {};
+        for (const [part, key] of Object.entries(ADDRESS_TAGS)) {
+            const value = element.tags.find(tag => tag.key === key)?.value;
+            if (value) parts[part] = value;
+        }
+        if (!parts.housenumber && !parts.street) return;
+
+        const centroid = calculateElementCentroid(type, element, nodesById);
+        if (!centroid) return;
+
+        const text = formatAddress(parts);
+        addresses.push({ type, element, parts, text, words: toWords(text), centroid });
+    };
+
+    nodes.forEach(node => addAddress("node", node));
+    ways
+        .filter(way => way.nodes.length > 3 && way.nodes[0] === way.nodes[way.nodes.length - 1])
+        .filter(way => way.tags.some(({ key }) => key === "building"))
+        .forEach(way => addAddress("way", way));
+
+    return addresses;
+}
+
+/**
+ * Looks up the addresses which match the words of a query.
+ *
+ * Every word of the query must match the start of a word of the address, ignoring case
+ * and commas.  Whole-word matches score above prefix matches, and a first word equal to
+ * the house number, as in '12 high street', scores highest of all.
+ *
+ * @param {Array<Object>} addresses - The address index.
+ * @param {string} query - The address to look up.
+ * @returns {Array<Object>} The matching addresses, best first, at most MAX_ADDRESS_RESULTS.
+ */
+export function lookupAddress(addresses, query) {
+    const queryWords = toWords(query);
+    if (queryWords.length === 0) return [];
+
+    const matches = [];
+    for (const address of addresses) {
+        const wordScores = queryWords.map(word => {
+            if (address.words.includes(word)) return 2;
+            return address.words.some(addressWord => addressWord.startsWith(word)) ? 1 : 0;
+        });
+        if (wordScores.includes(0)) continue;
+
+        let score = wordScores.reduce((sum, wordScore) => sum + wordScore, 0);
+        if (queryWords[0] === address.parts.housenumber?.toLowerCase()) score += 3;
+        matches.push({ address, score });
+    }
+
+    return matches
+        .sort((a, b) => b.score - a.score || a.address.text.localeCompare(b.address.text))
+        .slice(0, MAX_ADDRESS_RESULTS)
+        .map(({ address }) => address);
+}
+
+/**
+ * Finds the address nearest to a geographic position.
+ *
+ * Distances are compared on a local equirectangular approximation, which is accurate
+ * enough to rank the addresses within a downloaded region.
+ *
+ * @param {Array<Object>} addresses - The address index.
+ * @param {{lon: number, lat: number}} position - The position to search from.
+ * @returns {Object|null} The nearest address, or null if the index is empty.
+ */
+export function findNearestAddress(addresses, { lon, lat }) {
+    const cosLat = Math.cos(lat * Math.PI / 180);
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (const address of addresses) {
+        const dx = (address.centroid.lon - lon) * cosLat;
+        const dy = address.centroid.lat - lat;
+        const distance = dx * dx + dy * dy;
+        if (distance < nearestDistance) {
+            nearest = address;
+            nearestDistance = distance;
+        }
+    }
+    return nearest;
+}
+
+/**
+ * Highlights an address on the canvas and describes it in the details element.
+ *
+ * @private
+ * @param {Object} renderer - The map renderer instance.
+ * @param {HTMLElement} details - The element describing the chosen address.
+ * @param {Object} address - The chosen address.
+ * @param {string} prefix - The text introducing the address.
+ * @returns {void}
+ */
+function showAddress(renderer, details, address, prefix) {
+    const { lon, lat } = address.centroid;
+    details.textContent = `[Address]: ${prefix} ${address.text} (${lat.toFixed(6)}, ${lon.toFixed(6)}).`;
+
+    setHighlights(renderer, [{ type: address.type, element: address.element }]);
+}
+
+/**
+ * Sets up the address lookup form and the reverse lookup of the address tool.
+ *
+ * Submitting the form lists the matching addresses and focuses the map on the best one;
+ * clicking a listed address focuses the map on it instead.  Clicking the map while the
+ * address tool is active highlights the nearest address without moving the map.
+ *
+ * @param {HTMLFormElement} form - The address lookup form.
+ * @param {HTMLInputElement} input - The address input.
+ * @param {HTMLElement} resultsList - The list element which holds the matching addresses.
+ * @param {HTMLElement} details - The element describing the chosen address.
+ * @param {HTMLCanvasElement} canvas - The canvas element on which the map is clicked.
+ * @param {Object} renderer - The map renderer instance.
+ * @returns {void}
+ */
+export function setupAddressLookup(form, input, resultsList, details, canvas, renderer) {
+    const chooseAddress = (address) => {
+        showAddress(renderer, details, address, "Found");
+        focusOnElement(renderer, address.type, address.element);
+    };
+
+    form.addEventListener("submit", (event) => {
+        event.preventDefault();
+
+        const matches = lookupAddress(renderer.addresses, input.value);
+        resultsList.replaceChildren(...matches.map(address => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.textContent = address.text;
+            button.addEventListener("click", () => chooseAddress(address));
+
+            const item = document.createElement("li");
+            item.appendChild(button);
+            return item;
+        }));
+
+        if (matches.length > 0) {
+            chooseAddress(matches[0]);
+        } else {
+            logMessage(MessageScope.ADDRESS, MessageOutput.STATUS, `No address matches '${input.value.trim()}'`);
+        }
+    });
+
+    addToolClickListener(canvas, renderer, MapTool.ADDRESS, (x, y) => {
+        const nearest = findNearestAddress(renderer.addresses, renderer.screenToGeo(x, y));
+        if (nearest) {
+            showAddress(renderer, details, nearest, "Nearest address:");
+        } else {
+            logMessage(MessageScope.ADDRESS, MessageOutput.STATUS, "No addresses are stored for this region");
+        }
+    });
+}
@@ -9,6 +9,7 @@
  */
 
 import { STORE_NAMES } from './indexedDB.js';
+import { setActiveRegion, refreshRegionList } from './regions.js';
 import { logMessage, MessageScope, MessageOutput } from './log-message.js';
 
 /**
@@ -94,8 +95,8 @@ export function resetDataCountUI() {
 /**
  * Binds the clear-data button to the full reset workflow.
  * 
- * When the associated button is clicked, the function clears the database, resets the 
- * renderer, clears the localStorage, and updates the UI counts.
+ * When the associated button is clicked, the function clears the database, including 
+ * every stored region, resets the renderer, clears the localStorage, and updates the UI.
  *
  * @param {HTMLButtonElement} clearDataBtn - The button triggering the clear operation.
  * @param {IDBDatabase} database - The IndexedDB database instance to clear.
@@ -109,9 +110,11 @@ export function setupClearDataButton(clearDataBtn, database, renderer) {
 
             resetRendererState(renderer);
             clearRendererCache(renderer);
+            setActiveRegion(renderer, null);
 
             resetDataCountUI();
             clearLocalStorage();
+            await refreshRegionList(database, renderer);
 
             logMessage(MessageScope.CLEAR_DATA, MessageOutput.BOTH, "Data cleared successfully");
         } catch (error) {
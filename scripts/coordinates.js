@@ -0,0 +1,118 @@
+/**
+ * @fileoverview
+ * Coordinates module for showing the geographic position under the cursor.
+ *
+ * The following script converts the cursor position on the canvas back to a longitude and
+ * latitude through the inverse of the map projection as the mouse moves, and shows it in
+ * decimal degrees or in degrees, minutes, and seconds, as chosen and persisted to
+ * localStorage.  The last position shown can be copied to the clipboard, so it stays in
+ * place when the cursor leaves the map for the copy button.
+ */
+import { logMessage, MessageScope, MessageOutput } from './log-message.js';
+
+/**
+ * Enum for the formats in which a position can be written.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const CoordinateFormat = Object.freeze({
+    DECIMAL: "decimal",
+    DMS: "dms"
+});
+
+/**
+ * The key used for storing the coordinate format in localStorage.
+ * @constant {string}
+ */
+const STORAGE_KEY_COORDINATE_FORMAT = "coordinateFormat";
+
+/**
+ * The number of decimal places of a position in decimal degrees, about 10 cm.
+ * @constant {number}
+ */
+const DECIMAL_PLACES = 6;
+
+/**
+ * Writes an angle in degrees, minutes, and seconds, with the hemisphere.
+ *
+ * @private
+ * @param {number} degrees - The angle in decimal degrees.
+ * @param {string} positive - The hemisphere letter of positive angles, 'N' or 'E'.
+ * @param {string} negative - The hemisphere letter of negative angles, 'S' or 'W'.
+ * @returns {string} The angle, such as '51°25'12.0"N'.
+ */
+function toDMS(degrees, positive, negative) {
+    const tenthsOfSeconds = Math.round(Math.abs(degrees) * 36000);
+    const whole = Math.floor(tenthsOfSeconds / 36000);
+    const minutes = Math.floor((tenthsOfSeconds % 36000) / 600);
+    const seconds = ((tenthsOfSeconds % 600) / 10).toFixed(1);
+    return `${whole}°${String(minutes).padStart(2, "0")}'${seconds.padStart(4, "0")}"${degrees < 0 ? negative : positive}`;
+}
+
+/**
+ * Writes a position in the given format, latitude first.
+ *
+ * @param {{lon: number, lat: number}} position - The position in degrees.
+ * @param {string} format - A value from CoordinateFormat.
+ * @returns {string} The position, such as '51.420000, -0.569974' or
+ *  '51°25'12.0"N 0°34'11.1"W'.
+ */
+export function formatCoordinates({ lon, lat }, format) {
+    if (format === CoordinateFormat.DMS) return `${toDMS(lat, "N", "S")} ${toDMS(lon, "E", "W")}`;
+    return `${lat.toFixed(DECIMAL_PLACES)}, ${lon.toFixed(DECIMAL_PLACES)}`;
+}
+
+/**
+ * Sets up the readout of the position under the cursor, its format select element, and
+ * the button which copies it to the clipboard.
+ *
+ * @param {HTMLCanvasElement} canvas - The canvas element over which the cursor moves.
+ * @param {HTMLElement} readout - The element showing the position.
+ * @param {HTMLSelectElement} formatSelect - The select element choosing a value from CoordinateFormat.
+ * @param {HTMLButtonElement} copyBtn - The button which copies the position.
+ * @param {Object} renderer - The map renderer instance.
+ * @returns {void}
+ */
+export function setupCoordinateReadout(canvas, readout, formatSelect, copyBtn, renderer) {
+    let position = null;
+
+    const stored = localStorage.getItem(STORAGE_KEY_COORDINATE_FORMAT);
+    if (Object.values(CoordinateFormat).includes(stored)) formatSelect.value = stored;
+
+    const getFormat = () => formatSelect.value || CoordinateFormat.DECIMAL;
+    const showPosition = () => {
+        readout.textContent = position ? formatCoordinates(position, getFormat()) : "Move the cursor over the map";
+    };
+
+    canvas.addEventListener("mousemove", (event) => {
+        const rect = canvas.getBoundingClientRect();
+        position = renderer.screenToGeo(
+            (event.clientX - rect.left) * (canvas.width / rect.width),
+            (event.clientY - rect.top) * (canvas.height / rect.height)
+        );
+        showPosition();
+    });
+
+    formatSelect.addEventListener("change", () => {
+        localStorage.setItem(STORAGE_KEY_COORDINATE_FORMAT, getFormat());
+        showPosition();
+    });
+
+    copyBtn.addEventListener("click", async () => {
+        if (!position) {
+            logMessage(MessageScope.COORDINATES, MessageOutput.STATUS, "Move the cursor over the map to choose a position");
+            return;
+        }
+
+        const text = formatCoordinates(position, getFormat());
+        try {
+            await navigator.clipboard.writeText(text);
+            logMessage(MessageScope.COORDINATES, MessageOutput.STATUS, `Copied ${text}`);
+        } catch (error) {
+            logMessage(MessageScope.COORDINATES, MessageOutput.BOTH, `Failed to copy the position: ${error.message}`);
+        }
+    });
+
+    showPosition();
+}
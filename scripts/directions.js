@@ -0,0 +1,128 @@
+/**
+ * @fileoverview
+ * Directions module for describing a planned route as a list of turn-by-turn steps.
+ *
+ * The following script splits the route found by 'routing.js' into legs along each
+ * street, joining consecutive highway ways which share a name or reference, or which are
+ * both unnamed and continue straight on, and describes the manoeuvre at the junction
+ * starting each leg from the change of bearing between the end of the previous leg and
+ * the start of the next, as in 'Turn left onto Station Road, 240 m'.  The steps can be
+ * written out as plain text for export.
+ */
+import { formatDistance } from './units.js';
+import { initialBearing } from './geodesy.js';
+
+/**
+ * The compass points, clockwise from north, used to describe the first heading.
+ * @constant {Array<string>}
+ */
+const COMPASS_POINTS = ["north", "north-east", "east", "south-east", "south", "south-west", "west", "north-west"];
+
+/**
+ * The manoeuvres for each size of turn, as the largest change of bearing in degrees
+ * described by each, from the smallest.
+ * @constant {Array<{maxAngle: number, manoeuvre: string}>}
+ */
+const TURN_MANOEUVRES = [
+    { maxAngle: 20, manoeuvre: "Continue" },
+    { maxAngle: 60, manoeuvre: "Bear" },
+    { maxAngle: 135, manoeuvre: "Turn" },
+    { maxAngle: 180, manoeuvre: "Turn sharp" }
+];
+
+/**
+ * Names the street of a highway way from its 'name' and 'ref' tags.
+ *
+ * @private
+ * @param {Object} way - The way.
+ * @returns {{label: string, isNamed: boolean}} The name to show, such as 'High Street
+ *  (A30)', and whether the way has a name or reference at all.
+ */
+function nameStreet(way) {
+    const getTag = (key) => way?.tags.find(tag => tag.key === key)?.value;
+    const name = getTag("name");
+    const ref = getTag("ref");
+
+    if (name && ref) return { label: `${name} (${ref})`, isNamed: true };
+    if (name || ref) return { label: name ?? ref, isNamed: true };
+    return { label: "an unnamed road", isNamed: false };
+}
+
+/**
+ * Describes the change of bearing between two legs as a manoeuvre.
+ *
+ * @param {number} fromBearing - The bearing at the end of the previous leg, in degrees.
+ * @param {number} toBearing - The bearing at the start of the next leg, in degrees.
+ * @returns {string} The manoeuvre, such as 'Continue', 'Bear right', or 'Turn left'.
+ */
+export function describeTurn(fromBearing, toBearing) {
+    const angle = ((toBearing - fromBearing + 540) % 360) - 180;
+    const { manoeuvre } = TURN_MANOEUVRES.find(({ maxAngle }) => Math.abs(angle) <= maxAngle);
+    if (manoeuvre === "Continue") return manoeuvre;
+    return `${manoeuvre} ${angle < 0 ? "left" : "right"}`;
+}
+
+/**
+ * Builds the turn-by-turn steps of a route.
+ *
+ * The first step gives the compass heading on the first street, each following step the
+ * manoeuvre onto the next street, and the last step the arrival.  Unnamed ways are only
+ * described as separate streets where the route turns between them, so that a road split
+ * into several unnamed ways is one step.  Each step keeps the ID of the node where it
+ * starts, so that the map can be moved to it.
+ *
+ * @param {{nodeIds: Array<string>, edges: Array<Object>}} route - The route found by 'routing.js'.
+ * @param {Map<string, Object>} waysById - The loaded ways by ID.
+ * @param {Map<string, Object>} nodesById - The loaded nodes by ID.
+ * @returns {Array<{text: string, nodeId: string, distance: number}>} The steps, with the
+ *  distance in metres to the next step.
+ */
+export function buildDirections(route, waysById, nodesById) {
+    const legs = [];
+
+    route.edges.forEach((edge, index) => {
+        const fromId = route.nodeIds[index];
+        const bearing = initialBearing(nodesById.get(fromId), nodesById.get(edge.to));
+        const street = nameStreet(waysById.get(edge.wayId));
+
+        const leg = legs[legs.length - 1];
+        const isSameName = street.isNamed && leg?.street.label === street.label;
+        const isUnnamedAhead = !street.isNamed && leg?.street.isNamed === false && describeTurn(leg.endBearing, bearing) === "Continue";
+        const isSameStreet = leg && (leg.wayId === edge.wayId || isSameName || isUnnamedAhead);
+        if (isSameStreet) {
+            leg.wayId = edge.wayId;
+            leg.distance += edge.distance;
+            leg.endBearing = bearing;
+        } else {
+            legs.push({ street, wayId: edge.wayId, nodeId: fromId, distance: edge.distance, startBearing: bearing, endBearing: bearing });
+        }
+    });
+
+    const steps = legs.map((leg, index) => {
+        const distance = formatDistance(leg.distance);
+        if (index === 0) {
+            const heading = COMPASS_POINTS[Math.round(leg.startBearing / 45) % COMPASS_POINTS.length];
+            return { text: `Head ${heading} on ${leg.street.label}, ${distance}`, nodeId: leg.nodeId, distance: leg.distance };
+        }
+
+        const manoeuvre = describeTurn(legs[index - 1].endBearing, leg.startBearing);
+        return { text: `${manoeuvre} onto ${leg.street.label}, ${distance}`, nodeId: leg.nodeId, distance: leg.distance };
+    });
+
+    if (legs.length > 0) {
+        steps.push({ text: "Arrive at the destination", nodeId: route.nodeIds[route.nodeIds.length - 1], distance: 0 });
+    }
+    return steps;
+}
+
+/**
+ * Writes the steps of a route as plain text, one numbered step per line.
+ *
+ * @param {string} summary - The first line, summarising the route.
+ * @param {Array<{text: string}>} steps - The steps of the route.
+ * @returns {string} The directions.
+ */
+export function formatDirections(summary, steps) {
+    const lines = steps.map((step, index) => `${index + 1}. ${step.text}`);
+    return [summary, "", ...lines, ""].join("\n");
+}
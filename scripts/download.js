@@ -0,0 +1,25 @@
+/**
+ * @fileoverview
+ * Download module for saving generated files from the browser.
+ *
+ * The following script saves a Blob as a file by clicking a temporary link to an object
+ * URL.  The download starts asynchronously, so the URL is only revoked once the click
+ * has been handled, rather than straight after it.
+ */
+
+/**
+ * Saves a Blob as a file with the given name.
+ *
+ * @param {Blob} blob - The contents of the file.
+ * @param {string} filename - The name of the saved file.
+ * @returns {void}
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -8,13 +8,24 @@
  * 
  */
 
+import { setupSearch } from './search.js';
+import { setupRouting } from './routing.js';
+import { setupMapTools } from './map-tools.js';
+import { setupMeasurement } from './measure.js';
+import { setupIsochrone } from './isochrone.js';
+import { setupTagFilter } from './tag-query.js';
+import { setupInspector } from './inspector.js';
 import { setupPanning } from './mouse-events.js';
+import { setupHighlights } from './highlights.js';
 import { setupToggleWays } from './render-ways.js';
-import { setupToggleNodes } from './render-nodes.js';
-import { setupZoomButtons } from './zoom-buttons.js';
+import { setupRegionControls } from './regions.js';
 import { setupClearDataButton } from './clear-data.js';
-import { setupFormSubmission } from './form-submission.js';
+import { setupAddressLookup } from './address-lookup.js';
+import { setupCoordinateReadout } from './coordinates.js';
 import { setupToggleRelations } from './render-relations.js';
+import { setupZoomButtons, setupWheelZoom } from './zoom-buttons.js';
+import { setupToggleNodes, setupToggleVertices } from './render-nodes.js';
+import { setupFormSubmission, setupResumeTilesButton } from './form-submission.js';
 
 /**
  * Sets up all of the event listeners for the UI components.
@@ -37,6 +48,71 @@ export function setupEventListeners(renderer, database) {
         minLat: "#min-lat",
         maxLon: "#max-lon",
         maxLat: "#max-lat",
+        regionName: "#region-name",
+        mergeRegion: "#merge-region",
+
+        // Regions
+        regionSelect: "#regionSelect",
+        deleteRegionBtn: "#deleteRegion",
+        resumeTilesBtn: "#resumeTiles",
+
+        // Search
+        searchForm: "#searchForm",
+        searchInput: "#searchInput",
+        searchResults: "#searchResults",
+
+        // Address lookup
+        addressForm: "#addressForm",
+        addressInput: "#addressInput",
+        addressResults: "#addressResults",
+        addressDetails: "#addressDetails",
+
+        // Tag filter
+        filterForm: "#filterForm",
+        filterInput: "#filterInput",
+        filterMode: "#filterMode",
+        clearFilterBtn: "#clearFilter",
+
+        // Highlights
+        highlightForm: "#highlightForm",
+        highlightInput: "#highlightInput",
+        highlightSource: "#highlightSource",
+        dimUnhighlighted: "#dimUnhighlighted",
+        previousHighlightBtn: "#previousHighlight",
+        nextHighlightBtn: "#nextHighlight",
+        clearHighlightsBtn: "#clearHighlights",
+
+        // Routing
+        routeProfile: "#routeProfile",
+        clearRouteBtn: "#clearRoute",
+        exportDirectionsBtn: "#exportDirections",
+
+        // Reachability
+        isochroneProfile: "#isochroneProfile",
+        isochroneMinutes: "#isochroneMinutes",
+        clearIsochroneBtn: "#clearIsochrone",
+
+        // Measurement
+        snapMeasure: "#snapMeasure",
+        closeMeasureBtn: "#closeMeasure",
+        undoMeasureBtn: "#undoMeasure",
+        clearMeasureBtn: "#clearMeasure",
+
+        // Map tools
+        inspectToolBtn: "#inspectTool",
+        addressToolBtn: "#addressTool",
+        routeToolBtn: "#routeTool",
+        reachToolBtn: "#reachTool",
+        measureToolBtn: "#measureTool",
+
+        // Coordinates
+        cursorPosition: "#cursorPosition",
+        coordinateFormat: "#coordinateFormat",
+        copyPositionBtn: "#copyPosition",
+
+        // Inspector
+        inspector: "#inspector",
+        closeInspectorBtn: "#closeInspector",
 
         // UI Buttons
         zoomInBtn: "#zoomIn",
@@ -45,10 +121,24 @@ export function setupEventListeners(renderer, database) {
         toggleWaysBtn: "#toggleWays",
         toggleNodesBtn: "#toggleNodes",
         toggleRelationsBtn: "#toggleRelations",
+        toggleVerticesBtn: "#toggleVertices",
         randomBoundingBoxBtn: "#randomBoundingBox"
     });
 
     setupPanning(canvas, renderer);
+    setupWheelZoom(canvas, renderer);
+    setupInspector(canvas, elements.inspector, elements.closeInspectorBtn, renderer);
+    setupSearch(elements.searchForm, elements.searchInput, elements.searchResults, renderer, database);
+    setupTagFilter(elements.filterForm, elements.filterInput, elements.filterMode, elements.clearFilterBtn, renderer);
+    setupHighlights(elements.highlightForm, elements.highlightInput, elements.highlightSource, elements.dimUnhighlighted,
+        elements.previousHighlightBtn, elements.nextHighlightBtn, elements.clearHighlightsBtn, renderer);
+    setupMapTools([elements.inspectToolBtn, elements.addressToolBtn, elements.routeToolBtn, elements.reachToolBtn,
+        elements.measureToolBtn], renderer);
+    setupAddressLookup(elements.addressForm, elements.addressInput, elements.addressResults, elements.addressDetails, canvas, renderer);
+    setupRouting(elements.routeProfile, elements.clearRouteBtn, elements.exportDirectionsBtn, canvas, renderer);
+    setupIsochrone(elements.isochroneProfile, elements.isochroneMinutes, elements.clearIsochroneBtn, canvas, renderer);
+    setupMeasurement(elements.snapMeasure, elements.closeMeasureBtn, elements.undoMeasureBtn, elements.clearMeasureBtn, canvas, renderer);
+    setupCoordinateReadout(canvas, elements.cursorPosition, elements.coordinateFormat, elements.copyPositionBtn, renderer);
     setupForm(elements, renderer, database);
     setupUIControls(elements, renderer, database);
     setupRandomButton(elements.randomBoundingBoxBtn, {
@@ -63,7 +153,8 @@ export function setupEventListeners(renderer, database) {
  * Sets up the input form submission event handler.
  * 
  * Configures the bounding box form to load OSM data by binding the submit event, 
- * validating inputs, fetching OSM XML, and triggering parsing, storage, and re-rendering.
+ * validating inputs, fetching OSM XML, and triggering parsing, storage, and re-rendering. 
+ * Also binds the button which resumes any tiles of the active region that failed to load.
  *
  * @param {Object<string, HTMLElement>} elements - Cached DOM elements used in the form.
  * @param {MapRenderer} renderer - The canvas renderer used to render map elements.
@@ -79,11 +170,12 @@ function setupForm(elements, renderer, database) {
         maxLat: elements.maxLat
     };
 
-    setupFormSubmission(elements.form, elements.status, database, toggleRender, inputFields, renderer);
+    setupFormSubmission(elements.form, elements.status, database, toggleRender, inputFields, renderer, elements.regionName, elements.mergeRegion);
+    setupResumeTilesButton(elements.resumeTilesBtn, database, toggleRender, renderer);
 }
 
 /**
- * Sets up UI control buttons for node toggling, zoom operations, and clearing data.
+ * Sets up UI control buttons for node toggling, zoom operations, regions, and clearing data.
  * 
  * Connects the provided buttons to their handlers, allowing the user to manipulate the map
  * view and data. Each control interacts with both the renderer and data store as needed.
@@ -98,7 +190,9 @@ function setupUIControls(elements, renderer, database) {
     setupToggleNodes(elements.toggleNodesBtn, renderer, database);
     setupClearDataButton(elements.clearDataBtn, database, renderer);
     setupToggleRelations(elements.toggleRelationsBtn, renderer, database);
+    setupToggleVertices(elements.toggleVerticesBtn, renderer, database);
     setupZoomButtons(elements.zoomInBtn, elements.zoomOutBtn, renderer, database);
+    setupRegionControls(elements.regionSelect, elements.deleteRegionBtn, renderer, database);
 }
 
 /**
@@ -2,14 +2,107 @@
  * @fileoverview
  * Form Submission module for handling OSM bounding box input and data loading.
  * 
- * Configures the form submission handler responsible for fetching OSM XML data based on 
- * user-provided coordinate bounds. It validates input, constructs the API request, parses
- * and stores the result, and triggers a canvas re-render to display the updated data.
+ * Configures the form submission handler responsible for loading OSM XML data based on 
+ * user-provided coordinate bounds. It validates input, posts the bounding box to the data 
+ * loading worker, which fetches, parses, and stores the result off the main thread, and 
+ * triggers a canvas re-render to display the updated data once the worker completes.
  */
-import { parseAndStoreOSMData } from './indexedDB.js';
+import { WorkerMessage } from './worker-messages.js';
 import { validateInputs } from './input-validation.js';
+import {
+    createRegion, getRegion, updateRegion, deleteRegion, countRegionElements,
+    unionBoundingBox, setActiveRegion, refreshRegionList, resetView
+} from './regions.js';
 import { logMessage, MessageScope, MessageOutput } from './log-message.js';
 
+/**
+ * The dedicated worker which fetches, parses, and stores the OSM data, created on first use.
+ * @type {Worker|null}
+ */
+let loadWorker = null;
+
+/**
+ * The identifier given to the next LOAD request posted to the worker.
+ * @type {number}
+ */
+let nextRequestId = 1;
+
+/**
+ * The promise callbacks of the LOAD requests still awaiting an answer, keyed by request id.
+ * @type {Map<number, {resolve: Function, reject: Function}>}
+ */
+const pendingRequests = new Map();
+
+/**
+ * Returns the data loading worker, creating it and binding its message handlers if needed.
+ *
+ * Should the worker itself fail, every pending request is rejected and the worker is 
+ * recreated on the next request.
+ *
+ * @returns {Worker} The data loading worker.
+ */
+function getLoadWorker() {
+    if (!loadWorker) {
+        loadWorker = new Worker(new URL('./load-worker.js', import.meta.url), { type: 'module' });
+        loadWorker.addEventListener("message", handleWorkerMessage);
+        loadWorker.addEventListener("error", (event) => {
+            const message = `Worker error: ${event.message ?? "unknown error"}`;
+            logMessage(MessageScope.FORM, MessageOutput.CONSOLE, message);
+
+            pendingRequests.forEach(({ reject }) => reject(new Error(message)));
+            pendingRequests.clear();
+            loadWorker = null;
+        });
+    }
+    return loadWorker;
+}
+
+/**
+ * Posts a LOAD request to the data loading worker.
+ *
+ * @param {{regionId: number, bbox?: Object, tiles?: Array<Object>}} payload - The region to 
+ *  load into, and either the bounding box to split into tiles or the tiles to load.
+ * @returns {Promise<{tileCount: number, failedTiles: Array<Object>, lastError: string|null, counts: Object, bounds: Object|null}>} 
+ *  A promise that resolves to the COMPLETE message of the worker, or rejects on an ERROR message.
+ */
+function requestLoad(payload) {
+    return new Promise((resolve, reject) => {
+        const requestId = nextRequestId++;
+        pendingRequests.set(requestId, { resolve, reject });
+        getLoadWorker().postMessage({ type: WorkerMessage.LOAD, requestId, ...payload });
+    });
+}
+
+/**
+ * Handles the progress, completion, and error messages posted by the data loading worker.
+ *
+ * @param {MessageEvent} event - The message event posted by the worker.
+ * @returns {void}
+ */
+function handleWorkerMessage(event) {
+    const { type, requestId } = event.data;
+    const pending = pendingRequests.get(requestId);
+    if (!pending) return;
+
+    switch (type) {
+        case WorkerMessage.PROGRESS: {
+            const { tile, tileCount, counts } = event.data;
+            const elementCount = counts.nodes + counts.ways + counts.relations;
+            logMessage(MessageScope.FORM, MessageOutput.STATUS, `Loading tile ${tile} of ${tileCount} (${elementCount} elements) ..`);
+            break;
+        }
+        case WorkerMessage.COMPLETE:
+            pendingRequests.delete(requestId);
+            pending.resolve(event.data);
+            break;
+        case WorkerMessage.ERROR:
+        default:
+            pendingRequests.delete(requestId);
+            pending.reject(new Error(event.data.message));
+            break;
+    }
+}
+
 /**
  * Extracts bounding box coordinate values from the input fields.
  * 
@@ -28,11 +121,22 @@ function extractBoundingBox(fields) {
     };
 }
 
+/**
+ * Reads the region name from its input field, falling back to a numbered default name.
+ *
+ * @param {HTMLInputElement} [regionNameInput] - The input element holding the region name.
+ * @returns {string} The trimmed region name, or a default name if none was entered.
+ */
+function extractRegionName(regionNameInput) {
+    const name = regionNameInput?.value.trim();
+    return name || `Region ${new Date().toLocaleString()}`;
+}
+
 /**
  * Sets up the event handler for form submission.
  * 
- * Handles form submission by validating input, loading OSM data, updating storage
- * and cache, and triggering re-rendering.
+ * Handles form submission by validating input, loading OSM data into a new region, 
+ * updating storage and cache, and triggering re-rendering.
  * 
  * @param {HTMLFormElement} form - The form element to bind the submission event to.
  * @param {HTMLElement} status - The DOM element where status messages are displayed.
@@ -40,15 +144,25 @@ function extractBoundingBox(fields) {
  * @param {Function} toggleRender - Callback to trigger a canvas render after loading.
  * @param {Object<string, HTMLInputElement>} inputFields - Input elements for bounding box values.
  * @param {Object} renderer - The canvas renderer instance for map rendering.
+ * @param {HTMLInputElement} [regionNameInput] - Input element for the name of the new region.
+ * @param {HTMLInputElement} [mergeInput] - Checkbox selecting a merge into the active region.
  */
-export function setupFormSubmission(form, status, database, toggleRender, inputFields, renderer) {
+export function setupFormSubmission(form, status, database, toggleRender, inputFields, renderer, regionNameInput, mergeInput) {
     form.onsubmit = handleFormSubmit;
 
     /**
      * Handles the submit event for the bounding box form.
      * 
-     * Validates the inputs, builds the request URL, loads the OSM XML, resets the renderer 
-     * cache, applies default toggle selection if needed, and triggers re-rendering.
+     * Validates the inputs and posts the bounding box to the data loading worker, which 
+     * splits it into API sized tiles.  When merging is selected and a region is active, 
+     * the tiles are merged into the active region, its bounding box and the <bounds> 
+     * reported by the OSM API are extended, and the renderer cache is refreshed without 
+     * resetting the view.  Otherwise a region is created in the catalogue, the tiles are 
+     * loaded into it, it is made the active region, and the view is reset.  Merging into 
+     * an active region which is no longer in the catalogue is reported as an error. 
+     * Tiles which fail to load are recorded on the region so that they can be resumed 
+     * later.  Default toggles are then applied if needed, and re-rendering is triggered. 
+     * If every tile of a new region fails, the region is removed again.
      *
      * @private
      * @param {SubmitEvent} event - The submit event triggered by the form.
@@ -56,12 +170,6 @@ export function setupFormSubmission(form, status, database, toggleRender, inputF
     async function handleFormSubmit(event) {
         event.preventDefault();
 
-        if (renderer.cachedNodes.length > 0 || renderer.cachedWays.length > 0 || renderer.cachedRelations.length > 0) {
-            const message = "Clear the current map before loading a new one";
-            logMessage(MessageScope.FORM, MessageOutput.BOTH, message);
-            return;
-        }
-
         const { minLon, minLat, maxLon, maxLat } = extractBoundingBox(inputFields);
 
         const fields = {
@@ -75,32 +183,99 @@ export function setupFormSubmission(form, status, database, toggleRender, inputF
 
         logMessage(MessageScope.FORM, MessageOutput.STATUS, "Loading data ..");
 
-        const url = buildUrl(minLon, minLat, maxLon, maxLat);
+        const bbox = { minLon, minLat, maxLon, maxLat };
+        const isMerge = Boolean(mergeInput?.checked) && renderer.activeRegionId !== null;
+        let region;
 
         try {
-            await fetchAndStoreOsmData(url, database);
+            region = isMerge
+                ? await getRegion(database, renderer.activeRegionId)
+                : await createRegion(database, extractRegionName(regionNameInput), bbox);
+            if (!region) {
+                throw new Error(`The active region ${renderer.activeRegionId} no longer exists, untick merge to load a new region`);
+            }
 
-            resetRendererCache(renderer);
-            autoSelectDefaultToggles(renderer);
+            const { tileCount, failedTiles, lastError, bounds } = await requestLoad({ regionId: region.id, bbox });
+            if (failedTiles.length === tileCount) throw new Error(lastError);
 
-            renderer.zoomLevel = 2.0;
-            renderer.offsetX = 0;
-            renderer.offsetY = 0;
-            renderer.currentOffsetX = 0;
-            renderer.currentOffsetY = 0;
+            region.bbox = unionBoundingBox(region.bbox, bbox);
+            if (bounds) region.bounds = unionBoundingBox(region.bounds, bounds);
+            region.pendingTiles = [...(region.pendingTiles ?? []), ...failedTiles];
+            region.counts = await countRegionElements(database, region.id);
+            await updateRegion(database, region);
 
-            localStorage.setItem("zoomLevel", "2.0");
-            localStorage.setItem("offsetX", "0");
-            localStorage.setItem("offsetY", "0");
+            if (isMerge) {
+                renderer.cacheReady = false;
+            } else {
+                resetRendererCache(renderer);
+                setActiveRegion(renderer, region.id);
+                resetView(renderer);
+            }
+            autoSelectDefaultToggles(renderer);
 
-            logMessage(MessageScope.FORM, MessageOutput.BOTH, "Data loaded successfully");
+            await refreshRegionList(database, renderer);
+            if (regionNameInput) regionNameInput.value = "";
+
+            logMessage(MessageScope.FORM, MessageOutput.BOTH, describeLoadResult(tileCount, failedTiles.length));
             toggleRender();
         } catch (error) {
+            if (region && !isMerge) await deleteRegion(database, region.id).catch(() => { });
             logMessage(MessageScope.FORM, MessageOutput.BOTH, `Error loading data: ${error.message}`);
         }
     }
 }
 
+/**
+ * Sets up the event handler for the button which resumes the failed tiles of a region.
+ * 
+ * Retries every pending tile of the active region in sequence, merging the results into 
+ * the region, recording any tiles which fail again, and re-rendering the map.
+ *
+ * @param {HTMLButtonElement} resumeBtn - The button which resumes the pending tiles.
+ * @param {IDBDatabase} database - The IndexedDB instance for data storage.
+ * @param {Function} toggleRender - Callback to trigger a canvas render after loading.
+ * @param {Object} renderer - The canvas renderer instance for map rendering.
+ */
+export function setupResumeTilesButton(resumeBtn, database, toggleRender, renderer) {
+    resumeBtn.addEventListener("click", async () => {
+        if (renderer.activeRegionId === null) return;
+
+        resumeBtn.disabled = true;
+        try {
+            const region = await getRegion(database, renderer.activeRegionId);
+            const tiles = region?.pendingTiles ?? [];
+            if (tiles.length === 0) return;
+
+            const { failedTiles, bounds } = await requestLoad({ regionId: region.id, tiles });
+
+            region.pendingTiles = failedTiles;
+            if (bounds) region.bounds = unionBoundingBox(region.bounds, bounds);
+            region.counts = await countRegionElements(database, region.id);
+            await updateRegion(database, region);
+
+            renderer.cacheReady = false;
+            logMessage(MessageScope.FORM, MessageOutput.BOTH, describeLoadResult(tiles.length, failedTiles.length));
+            toggleRender();
+        } catch (error) {
+            logMessage(MessageScope.FORM, MessageOutput.BOTH, `Error resuming tiles: ${error.message}`);
+        } finally {
+            await refreshRegionList(database, renderer);
+        }
+    });
+}
+
+/**
+ * Describes the outcome of loading a set of tiles for the status element.
+ *
+ * @param {number} tileCount - The number of tiles requested.
+ * @param {number} failedCount - The number of tiles which failed to load.
+ * @returns {string} The status message.
+ */
+function describeLoadResult(tileCount, failedCount) {
+    if (failedCount === 0) return "Data loaded successfully";
+    return `${failedCount} of ${tileCount} tiles failed to load, press 'Resume' to retry them`;
+}
+
 /**
  * Helper function to auto-select default toggles for ways and relations.
  * 
@@ -130,22 +305,6 @@ function autoSelectDefaultToggles(renderer) {
     }
 }
 
-/**
- * Constructs the OpenStreetMap API URL from bounding box coordinates.
- * 
- * Builds a request string for the `/api/0.6/map` endpoint using the specified
- * minimum and maximum longitude and latitude values.
- *
- * @param {number} minLon - Minimum longitude.
- * @param {number} minLat - Minimum latitude.
- * @param {number} maxLon - Maximum longitude.
- * @param {number} maxLat - Maximum latitude.
- * @returns {string} The fully constructed API request URL.
- */
-function buildUrl(minLon, minLat, maxLon, maxLat) {
-    return `https://api.openstreetmap.org/api/0.6/map?bbox=${minLon},${minLat},${maxLon},${maxLat}`;
-}
-
 /**
  * Resets the internal cache of the renderer of OSM elements.
  * 
@@ -160,26 +319,3 @@ function resetRendererCache(renderer) {
     renderer.cachedRelations = [];
     renderer.cacheReady = false;
 }
-
-/**
- * Fetches OSM XML data from the specified URL and stores it in IndexedDB.
- * 
- * Performs a fetch call to the given URL, converts the response to text, and passes
- * it to the OSM parser and storage handler. Logs any errors encountered.
- *
- * @param {string} url - The OSM API URL to fetch.
- * @param {IDBDatabase} database - The database instance for storing parsed data.
- * @throws {Error} If the network response is not OK or data processing fails.
- */
-async function fetchAndStoreOsmData(url, database) {
-    logMessage(MessageScope.FORM, MessageOutput.CONSOLE, "Fetching OSM XML data");
-
-    const response = await fetch(url);
-    if (!response.ok) {
-        logMessage(MessageScope.FORM, MessageOutput.CONSOLE, `${response.status}`);
-        throw new Error(response.status);
-    }
-
-    const data = await response.text();
-    await parseAndStoreOSMData(data, database);
-}
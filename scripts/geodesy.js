@@ -0,0 +1,91 @@
+/**
+ * @fileoverview
+ * Geodesy module for measuring distances, bearings, and areas over the surface of the Earth.
+ *
+ * The following script provides the geodesic calculations shared by the routing and the
+ * measurement tool of the map, all made on a spherical Earth of the mean radius, which
+ * is accurate to within about half a percent at the scale of a downloaded region.
+ * Positions are geographic, in degrees of longitude and latitude.
+ */
+import { toRadians, toDegrees } from './projection.js';
+
+/**
+ * The mean radius of the Earth in metres, rather than the equatorial radius used by the
+ * map projections.
+ * @constant {number}
+ * @default 6371008.8
+ */
+export const MEAN_EARTH_RADIUS = 6371008.8;
+
+/**
+ * Calculates the great-circle distance between two positions by the haversine formula.
+ *
+ * @param {{lon: number, lat: number}} from - The first position, in degrees.
+ * @param {{lon: number, lat: number}} to - The second position, in degrees.
+ * @returns {number} The distance in metres.
+ */
+export function haversineDistance(from, to) {
+    const deltaLat = toRadians(to.lat - from.lat);
+    const deltaLon = toRadians(to.lon - from.lon);
+
+    const a = Math.sin(deltaLat / 2) ** 2 +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(deltaLon / 2) ** 2;
+    return 2 * MEAN_EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Calculates the initial bearing of the great-circle path from one position to another.
+ *
+ * @param {{lon: number, lat: number}} from - The start position, in degrees.
+ * @param {{lon: number, lat: number}} to - The end position, in degrees.
+ * @returns {number} The bearing in degrees clockwise from north, from 0 up to 360.
+ */
+export function initialBearing(from, to) {
+    const fromLat = toRadians(from.lat);
+    const toLat = toRadians(to.lat);
+    const deltaLon = toRadians(to.lon - from.lon);
+
+    const y = Math.sin(deltaLon) * Math.cos(toLat);
+    const x = Math.cos(fromLat) * Math.sin(toLat) - Math.sin(fromLat) * Math.cos(toLat) * Math.cos(deltaLon);
+    return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Calculates the length of a path along the great circles between its positions.
+ *
+ * @param {Array<{lon: number, lat: number}>} positions - The positions along the path, in degrees.
+ * @returns {number} The length in metres.
+ */
+export function pathLength(positions) {
+    let length = 0;
+    for (let i = 1; i < positions.length; i++) {
+        length += haversineDistance(positions[i - 1], positions[i]);
+    }
+    return length;
+}
+
+/**
+ * Calculates the area enclosed by a ring of positions on the sphere.
+ *
+ * Each edge of the ring contributes the area between it and the equator, by the formula
+ * of Chamberlain and Duquette, so the sum is the enclosed area whichever way round the
+ * ring runs.  The ring may or may not repeat its first position at the end.
+ *
+ * @param {Array<{lon: number, lat: number}>} ring - The positions around the ring, in degrees.
+ * @returns {number} The area in square metres, or 0 for fewer than three positions.
+ */
+export function geodesicArea(ring) {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    const isClosed = ring.length > 1 && first.lon === last.lon && first.lat === last.lat;
+    const positions = isClosed ? ring.slice(0, -1) : ring;
+    if (positions.length < 3) return 0;
+
+    let total = 0;
+    for (let i = 0; i < positions.length; i++) {
+        const previous = positions[(i + positions.length - 1) % positions.length];
+        const next = positions[(i + 1) % positions.length];
+        total += toRadians(next.lon - previous.lon) * Math.sin(toRadians(positions[i].lat));
+    }
+    return Math.abs(total * MEAN_EARTH_RADIUS ** 2 / 2);
+}
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview
+ * Highlights module for choosing the features drawn on the highlight layer of the map.
+ *
+ * The following script keeps the selection of highlighted features on the renderer, and
+ * the index of the current one, which 'render-highlight.js' draws above the map.  Features
+ * are chosen by their IDs, such as 'way 100, n4', by a tag query of 'tag-query.js' over
+ * the loaded elements, or by the search and address lookup results.  The previous and
+ * next buttons cycle through the selection, zooming the map to each feature in turn, and
+ * the rest of the map can be dimmed so the highlights stand out.
+ */
+import { focusOnElement } from './regions.js';
+import { parseTagQuery } from './tag-query.js';
+import { logMessage, MessageScope, MessageOutput } from './log-message.js';
+
+/**
+ * Enum for how the features to highlight are chosen in the highlight form.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const HighlightSource = Object.freeze({
+    IDS: "ids",
+    QUERY: "query"
+});
+
+/**
+ * The ID of the element describing the current feature of the selection.
+ * @constant {string}
+ */
+const HIGHLIGHT_DETAILS_ID = "highlightDetails";
+
+/**
+ * The largest number of features highlighted at once, so that a broad query cannot
+ * slow every frame.
+ * @constant {number}
+ */
+const MAX_HIGHLIGHTS = 500;
+
+/**
+ * The element types by each way of writing them in an element ID.
+ * @constant {Object<string, string>}
+ */
+const ELEMENT_TYPE_ALIASES = Object.freeze({
+    n: "node", node: "node",
+    w: "way", way: "way",
+    r: "relation", relation: "relation"
+});
+
+/**
+ * Describes a feature by its type, ID, and name, as in 'way 100 (High Street)'.
+ *
+ * @private
+ * @param {{type: string, element: Object}} feature - The feature.
+ * @returns {string} The description.
+ */
+function describeFeature({ type, element }) {
+    const name = element.tags.find(({ key }) => key === "name")?.value;
+    return name ? `${type} ${element.id} (${name})` : `${type} ${element.id}`;
+}
+
+/**
+ * Parses a list of element IDs, separated by commas or spaces, such as 'way 100, n4,
+ * relation/1000'.
+ *
+ * @param {string} text - The list of IDs.
+ * @returns {Array<{type: string, id: string}>} The element type and ID of each entry.
+ * @throws {Error} If the list is empty or an entry is not a type followed by a number.
+ */
+export function parseElementIds(text) {
+    const entries = text.match(/[a-z]+\s*\/?\s*-?\d+|[^\s,]+/gi) ?? [];
+    if (entries.length === 0) throw new Error("No element IDs given");
+
+    return entries.map(entry => {
+        const match = /^([a-z]+)\s*\/?\s*(-?\d+)$/i.exec(entry);
+        const type = match && ELEMENT_TYPE_ALIASES[match[1].toLowerCase()];
+        if (!type) throw new Error(`'${entry}' is not an element ID such as 'way 100' or 'n4'`);
+        return { type, id: match[2] };
+    });
+}
+
+/**
+ * Finds the loaded features with the given IDs.
+ *
+ * @param {Object} renderer - The map renderer instance.
+ * @param {Array<{type: string, id: string}>} ids - The element types and IDs to find.
+ * @returns {{features: Array<{type: string, element: Object}>, missing: Array<string>}} The
+ *  features found, and the descriptions of the IDs which are not loaded.
+ */
+export function findFeaturesByIds(renderer, ids) {
+    const elementsByType = { node: renderer.nodesById, way: renderer.waysById, relation: renderer.relationsById };
+    const features = [];
+    const missing = [];
+
+    for (const { type, id } of ids) {
+        const element = elementsByType[type].get(id);
+        if (element) {
+            features.push({ type, element });
+        } else {
+            missing.push(`${type} ${id}`);
+        }
+    }
+    return { features, missing };
+}
+
+/**
+ * Finds the loaded features whose tags match a tag query; untagged nodes, which only
+ * position ways, are never matched.
+ *
+ * @param {Object} renderer - The map renderer instance.
+ * @param {string} query - The tag query, in the language of 'tag-query.js'.
+ * @returns {Array<{type: string, element: Object}>} The matching features.
+ * @throws {Error} If the query is invalid.
+ */
+export function findFeaturesByQuery(renderer, query) {
+    const matches = parseTagQuery(query);
+    const collect = (type, elements) => elements
+        .filter(element => element.tags.length > 0 && matches(element.tags))
+        .map(element => ({ type, element }));
+
+    return [
+        ...collect("node", renderer.cachedNodes),
+        ...collect("way", renderer.cachedWays),
+        ...collect("relation", renderer.cachedRelations)
+    ];
+}
+
+/**
+ * Replaces the highlighted features of the renderer, describing the current feature.
+ *
+ * Selections larger than MAX_HIGHLIGHTS are cut short, with a message to the status element.
+ *
+ * @param {Object} renderer - The map renderer instance.
+ * @param {Array<{type: string, element: Object}>} features - The features to highlight,
+ *  or an empty array to clear the highlights.
+ * @param {number} [index=0] - The index of the current feature.
+ * @returns {void}
+ */
+export function setHighlights(renderer, features, index = 0) {
+    if (features.length > MAX_HIGHLIGHTS) {
+        logMessage(MessageScope.HIGHLIGHTS, MessageOutput.STATUS,
+            `Highlighting the first ${MAX_HIGHLIGHTS} of ${features.length} matching features`);
+    }
+
+    renderer.highlights = features.slice(0, MAX_HIGHLIGHTS);
+    renderer.highlightIndex = renderer.highlights.length > 0 ? Math.min(index, renderer.highlights.length - 1) : -1;
+    renderer.needsRender = true;
+    updateHighlightDetails(renderer);
+}
+
+/**
+ * Describes the current feature of the selection in the highlight details element.
+ *
+ * @private
+ * @param {Object} renderer - The map renderer instance.
+ * @returns {void}
+ */
+function updateHighlightDetails(renderer) {
+    const details = document.getElementById(HIGHLIGHT_DETAILS_ID);
+    if (!details) return;
+
+    const { highlights, highlightIndex } = renderer;
+    details.textContent = highlights.length === 0 ? "[Highlight]: No features highlighted." :
+        `[Highlight]: ${highlightIndex + 1} of ${highlights.length}: ${describeFeature(highlights[highlightIndex])}.`;
+}
+
+/**
+ * Moves the current feature of the selection forwards or backwards, wrapping around at
+ * either end, and zooms the map to it.
+ *
+ * @param {Object} renderer - The map renderer instance.
+ * @param {number} step - The number of features to move by, negative to move backwards.
+ * @returns {void}
+ */
+export function cycleHighlight(renderer, step) {
+    const count = renderer.highlights.length;
+    if (count === 0) return;
+
+    renderer.highlightIndex = ((renderer.highlightIndex + step) % count + count) % count;
+    renderer.needsRender = true;
+    updateHighlightDetails(renderer);
+
+    const { type, element } = renderer.highlights[renderer.highlightIndex];
+    if (!focusOnElement(renderer, type, element)) {
+        logMessage(MessageScope.HIGHLIGHTS, MessageOutput.STATUS, `${describeFeature({ type, element })} has no nodes loaded`);
+    }
+}
+
+/**
+ * Sets up the highlight form and the controls for cycling through the highlights.
+ *
+ * Submitting the form highlights the features with the typed IDs or matching the typed
+ * tag query, as chosen by the source select element, and zooms to the first of them;
+ * invalid input is marked on the input and explained in the status element.
+ *
+ * @param {HTMLFormElement} form - The highlight form.
+ * @param {HTMLInputElement} input - The input for the IDs or tag query.
+ * @param {HTMLSelectElement} sourceSelect - The select element choosing a value from HighlightSource.
+ * @param {HTMLInputElement} dimCheckbox - The checkbox which dims the rest of the map.
+ * @param {HTMLButtonElement} previousBtn - The button which moves to the previous feature.
+ * @param {HTMLButtonElement} nextBtn - The button which moves to the next feature.
+ * @param {HTMLButtonElement} clearBtn - The button which clears the highlights.
+ * @param {Object} renderer - The map renderer instance.
+ * @returns {void}
+ */
+export function setupHighlights(form, input, sourceSelect, dimCheckbox, previousBtn, nextBtn, clearBtn, renderer) {
+    form.addEventListener("submit", (event) => {
+        event.preventDefault();
+
+        try {
+            let features;
+            if (sourceSelect.value === HighlightSource.QUERY) {
+                features = findFeaturesByQuery(renderer, input.value);
+            } else {
+                const found = findFeaturesByIds(renderer, parseElementIds(input.value));
+                features = found.features;
+                if (found.missing.length > 0) {
+                    logMessage(MessageScope.HIGHLIGHTS, MessageOutput.STATUS, `Not loaded: ${found.missing.join(", ")}`);
+                }
+            }
+            input.classList.remove("input-error");
+
+            setHighlights(renderer, features);
+            if (features.length > 0) cycleHighlight(renderer, 0);
+        } catch (error) {
+            input.classList.add("input-error");
+            logMessage(MessageScope.HIGHLIGHTS, MessageOutput.STATUS, `Invalid highlight: ${error.message}`);
+        }
+    });
+
+    dimCheckbox.addEventListener("change", () => {
+        renderer.dimUnhighlighted = dimCheckbox.checked;
+        renderer.needsRender = true;
+    });
+    previousBtn.addEventListener("click", () => cycleHighlight(renderer, -1));
+    nextBtn.addEventListener("click", () => cycleHighlight(renderer, 1));
+    clearBtn.addEventListener("click", () => setHighlights(renderer, []));
+}
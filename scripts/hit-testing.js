@@ -0,0 +1,203 @@
+/**
+ * @fileoverview
+ * Hit-testing module for finding the map feature drawn under a position on the canvas.
+ *
+ * The following script searches the spatial indexes of the renderer around a screen
+ * position, and tests the candidates from the topmost drawn to the lowest: nodes by
+ * their distance from the position, lines by their distance from each segment, and
+ * filled areas by whether they contain the position.  All tests are made in projected
+ * coordinates, so that no node positions need to be transformed to the screen.
+ */
+import { SYMBOL_RADIUS } from './render-nodes.js';
+import { Z_INDEX_ORDER } from './style-resolution.js';
+
+/**
+ * The distance in pixels within which a point or line counts as under the cursor.
+ * @constant {number}
+ */
+const HIT_TOLERANCE = 4;
+
+/**
+ * Calculates the distance from a point to a line segment.
+ *
+ * @param {{x: number, y: number}} point - The point.
+ * @param {{x: number, y: number}} start - The start of the segment.
+ * @param {{x: number, y: number}} end - The end of the segment.
+ * @returns {number} The shortest distance from the point to the segment.
+ */
+export function distanceToSegment(point, start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSquared = dx * dx + dy * dy;
+
+    const t = lengthSquared === 0 ? 0 :
+        Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared));
+    return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+}
+
+/**
+ * Calculates the distance from a point to a polyline.
+ *
+ * @param {{x: number, y: number}} point - The point.
+ * @param {Array<{x: number, y: number}>} line - The positions along the line.
+ * @returns {number} The shortest distance from the point to any segment of the line.
+ */
+export function distanceToLine(point, line) {
+    let distance = Infinity;
+    for (let i = 1; i < line.length; i++) {
+        distance = Math.min(distance, distanceToSegment(point, line[i - 1], line[i]));
+    }
+    return distance;
+}
+
+/**
+ * Determines whether a point lies inside a set of rings by the even-odd rule, matching the
+ * way that areas are filled; a point inside an inner ring is outside the area.
+ *
+ * @param {{x: number, y: number}} point - The point.
+ * @param {Array<Array<{x: number, y: number}>>} rings - The positions around each ring.
+ * @returns {boolean} True if the point is inside the area.
+ */
+export function isPointInRings(point, rings) {
+    let inside = false;
+    for (const ring of rings) {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const a = ring[i];
+            const b = ring[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+    }
+    return inside;
+}
+
+/**
+ * Converts a list of node IDs to their projected positions, skipping nodes not loaded.
+ *
+ * @private
+ * @param {Array<string>} nodeIds - The IDs of the nodes.
+ * @param {Map<string, {x: number, y: number}>} projectedNodes - The projected positions by node ID.
+ * @returns {Array<{x: number, y: number}>} The projected positions.
+ */
+const toPositions = (nodeIds, projectedNodes) => nodeIds.map(ref => projectedNodes.get(ref)).filter(Boolean);
+
+/**
+ * Tests whether a way is under the given projected position.
+ *
+ * Filled, closed ways are hit anywhere inside them; all other ways are hit along their line,
+ * with a tolerance widened by half of their drawn line width.
+ *
+ * @private
+ * @param {Object} way - The way object with a resolved style.
+ * @param {{x: number, y: number}} point - The projected position.
+ * @param {number} tolerance - The hit tolerance in projected units.
+ * @param {number} scale - The number of canvas pixels per projected unit.
+ * @param {Map<string, {x: number, y: number}>} projectedNodes - The projected positions by node ID.
+ * @returns {boolean} True if the way is hit.
+ */
+const hitsWay = (way, point, tolerance, scale, projectedNodes) => {
+    const line = toPositions(way.nodes, projectedNodes);
+    if (line.length < 2) return false;
+
+    const isClosed = way.nodes[0] === way.nodes[way.nodes.length - 1];
+    if (way.style.shouldFill && isClosed && isPointInRings(point, [line])) return true;
+
+    return distanceToLine(point, line) <= tolerance + (way.style.lineWidth / 2) / scale;
+};
+
+/**
+ * Tests whether a relation is under the given projected position.
+ *
+ * Filled area relations are hit anywhere inside their rings, excluding their holes; all
+ * other relations are hit along the lines of their member ways.
+ *
+ * @private
+ * @param {Object} relation - The relation object with a resolved style.
+ * @param {{x: number, y: number}} point - The projected position.
+ * @param {number} tolerance - The hit tolerance in projected units.
+ * @param {Map<string, Object>} waysById - A map where keys are way IDs and values are way objects.
+ * @param {Map<string, {x: number, y: number}>} projectedNodes - The projected positions by node ID.
+ * @returns {boolean} True if the relation is hit.
+ */
+const hitsRelation = (relation, point, tolerance, waysById, projectedNodes) => {
+    if (relation.rings && relation.style.shouldFill) {
+        const rings = [...relation.rings.outer, ...relation.rings.inner].map(ring => toPositions(ring, projectedNodes));
+        if (isPointInRings(point, rings)) return true;
+    }
+
+    return relation.members.some(member => {
+        const way = member.type === "way" ? waysById.get(member.ref) : null;
+        if (!way) return false;
+
+        const line = toPositions(way.nodes, projectedNodes);
+        return line.length >= 2 && distanceToLine(point, line) <= tolerance;
+    });
+};
+
+/**
+ * Finds the topmost map feature drawn under a screen position.
+ *
+ * Candidates are taken from the spatial indexes of the renderer, respecting its display
+ * toggles and leaving out the elements hidden by its tag filter, and tested in the reverse
+ * of the order they are drawn: point-of-interest symbols, then raw nodes in the debug view,
+ * then each zIndex layer from the highest, with the ways of a layer drawn above its
+ * relations.
+ *
+ * @param {Object} renderer - The map renderer instance.
+ * @param {number} screenX - The screen x position in canvas pixels.
+ * @param {number} screenY - The screen y position in canvas pixels, y increasing downwards.
+ * @returns {{type: string, element: Object} | null} The feature type ('node', 'way', or
+ *  'relation') and element, or null if nothing is drawn at the position.
+ */
+export function findFeatureAt(renderer, screenX, screenY) {
+    if (!renderer.cacheReady || !renderer.spatialIndexes.nodes) return null;
+
+    const scale = renderer.getScale();
+    const point = renderer.canvasToProjected(screenX, renderer.canvas.height - screenY);
+    const tolerance = HIT_TOLERANCE / scale;
+    const searchRadius = (SYMBOL_RADIUS + HIT_TOLERANCE) / scale;
+    const searchBounds = {
+        minX: point.x - searchRadius,
+        minY: point.y - searchRadius,
+        maxX: point.x + searchRadius,
+        maxY: point.y + searchRadius
+    };
+
+    const { projectedNodes, waysById, spatialIndexes } = renderer;
+    const isVisible = (element) => !renderer.isFilteredOut(element);
+    const isNodeWithin = (node, radius) => {
+        const position = projectedNodes.get(node.id);
+        return position && Math.hypot(position.x - point.x, position.y - point.y) <= radius;
+    };
+
+    if (renderer.showNodes) {
+        const symbol = spatialIndexes.pointsOfInterest.search(searchBounds).reverse().find(node =>
+            renderer.zoomLevel >= node.symbol.minZoom && isVisible(node) && isNodeWithin(node, SYMBOL_RADIUS / scale));
+        if (symbol) return { type: "node", element: symbol };
+    }
+
+    if (renderer.showVertices) {
+        const vertex = spatialIndexes.nodes.search(searchBounds).reverse().find(node =>
+            isVisible(node) && isNodeWithin(node, tolerance));
+        if (vertex) return { type: "node", element: vertex };
+    }
+
+    for (let i = Z_INDEX_ORDER.length - 1; i >= 0; i--) {
+        const layer = spatialIndexes.layers[i];
+
+        if (renderer.showWays) {
+            const way = layer.ways.search(searchBounds).reverse().find(way =>
+                isVisible(way) && hitsWay(way, point, tolerance, scale, projectedNodes));
+            if (way) return { type: "way", element: way };
+        }
+
+        if (renderer.showRelations) {
+            const relation = layer.relations.search(searchBounds).reverse().find(relation =>
+                isVisible(relation) && hitsRelation(relation, point, tolerance, waysById, projectedNodes));
+            if (relation) return { type: "relation", element: relation };
+        }
+    }
+    return null;
+}
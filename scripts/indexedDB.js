@@ -2,11 +2,13 @@
  * @fileoverview
  * IndexedDB implementation for the OSM data storage and retrieval.
  * 
- * This module handles the initialisation of the IndexedDB database, the creation of the 
- * object stores for nodes, ways, and relations, the functions to parse and store the OSM 
- * XML data, and the helper functions for wrapping database transactions in promises.
+ * This module handles the initialisation of the IndexedDB database, the registry of schema 
+ * migrations which create and upgrade the object stores for nodes, ways, relations, and 
+ * regions, the functions to parse and store the OSM XML data, and the helper functions 
+ * for wrapping database transactions in promises.
  */
-import { parseOSMData } from './parse-data.js';
+import { OSMStreamParser } from './stream-parser.js';
+import { addIndex, runMigrations, readAllRecords, requestPromise, transformRecords } from './migrations.js';
 import { logMessage, MessageScope, MessageOutput } from './log-message.js';
 
 /**
@@ -15,45 +17,283 @@ import { logMessage, MessageScope, MessageOutput } from './log-message.js';
  */
 const DB_NAME = 'OSM-DB';
 
-/**
- * The version number of the IndexedDB database schema.
- * @constant {number}
- */
-const DB_VERSION = 1;
-
 /**
  * An object representing the names of the object stores used for storing the OSM data.
  * @constant {Object}
  * @property {string} NODES - The name of the object store for storing node data.
  * @property {string} WAYS - The name of the object store for storing way data.
  * @property {string} RELATIONS - The name of the object store for storing relation data.
+ * @property {string} REGIONS - The name of the object store for the offline region catalogue.
  */
 const STORE_NAMES = Object.freeze({
     NODES: "nodes",
     WAYS: "ways",
-    RELATIONS: "relations"
+    RELATIONS: "relations",
+    REGIONS: "regions"
 });
 
 /**
- * An array containing all of the object store names extracted from the STORE_NAMES constant.
+ * An array containing the names of the object stores which hold the OSM elements.
  * @constant {Array<string>}
  */
-const ALL_STORE_NAMES = Object.values(STORE_NAMES);
+const ELEMENT_STORE_NAMES = [STORE_NAMES.NODES, STORE_NAMES.WAYS, STORE_NAMES.RELATIONS];
+
+/**
+ * The name of the index used to look up the OSM elements belonging to a region.
+ * @constant {string}
+ */
+const REGION_INDEX = "regionId";
+
+/**
+ * The name given to the region created for data stored before regions existed.
+ * @constant {string}
+ */
+const LEGACY_REGION_NAME = "Default region";
+
+/**
+ * The number of parsed elements of one type collected before they are written to storage.
+ * @constant {number}
+ */
+const STREAM_BATCH_SIZE = 2000;
+
+/**
+ * The object store which holds each of the OSM element types emitted by the stream parser.
+ * @constant {Object<string, string>}
+ */
+const ELEMENT_TYPE_STORES = Object.freeze({
+    node: STORE_NAMES.NODES,
+    way: STORE_NAMES.WAYS,
+    relation: STORE_NAMES.RELATIONS
+});
+
+/**
+ * The edit metadata of the OSM elements, and the values given to records stored before
+ * the metadata was kept.
+ * @constant {Object}
+ */
+const METADATA_DEFAULTS = Object.freeze({
+    version: null,
+    timestamp: null,
+    changeset: null,
+    uid: null,
+    user: null,
+    visible: null
+});
+
+/**
+ * The tags indexed for searching, and the fields of the 'searchKeys' of each stored element
+ * which hold their lower-cased values.  Each field is indexed together with the regionId,
+ * under an index named by its key path, so that a region can be searched by prefix.
+ * @constant {Array<{tag: string, field: string}>}
+ */
+const SEARCH_INDEXES = Object.freeze([
+    { tag: "name", field: "name" },
+    { tag: "addr:street", field: "street" },
+    { tag: "addr:housenumber", field: "housenumber" },
+    { tag: "amenity", field: "amenity" }
+]);
+
+/**
+ * Returns the name of the search index over the given field of the 'searchKeys'.
+ *
+ * @param {string} field - The field of the 'searchKeys', from SEARCH_INDEXES.
+ * @returns {string} The name of the index, equal to the key path of the field.
+ */
+const searchIndexName = (field) => `searchKeys.${field}`;
+
+/**
+ * Creates the lower-cased search values of an element from its tags.
+ *
+ * @private
+ * @param {Array<{key: string, value: string}>} tags - The tags of the element.
+ * @returns {Object<string, string>} The values of the searchable tags the element has, by field.
+ */
+function createSearchKeys(tags) {
+    const searchKeys = {};
+    for (const { tag, field } of SEARCH_INDEXES) {
+        const value = tags.find(({ key }) => key === tag)?.value;
+        if (value) searchKeys[field] = value.trim().toLowerCase();
+    }
+    return searchKeys;
+}
 
 /**
- * Creates object stores in the provided IndexedDB database if they do not already exist.
+ * Converts a parsed element into its stored record, tagged with its region and search keys.
+ *
+ * @private
+ * @param {Object} element - The element, as produced by 'parse-data.js'.
+ * @param {number} regionId - The identifier of the region the element belongs to.
+ * @returns {Object} The record to store.
+ */
+const toRecord = (element, regionId) => ({ ...element, searchKeys: createSearchKeys(element.tags), regionId });
+
+/**
+ * Creates an element object store keyed by region and OSM id, with a region index.
+ *
+ * @private
+ * @param {IDBDatabase} database - The IndexedDB database instance.
+ * @param {string} storeName - The name of the element store to create.
+ * @returns {IDBObjectStore} The newly created object store.
+ */
+function createElementStore(database, storeName) {
+    const objectStore = database.createObjectStore(storeName, { keyPath: [REGION_INDEX, 'id'] });
+    objectStore.createIndex(REGION_INDEX, REGION_INDEX, { unique: false });
+    return objectStore;
+}
+
+/**
+ * Creates the node, way, and relation stores of version 1 of the schema, keyed by OSM id.
  *
  * @private
  * @param {IDBDatabase} database - The IndexedDB database instance.
  * @returns {void}
  */
-function createObjectStores(database) {
-    for (const storeName of ALL_STORE_NAMES) {
+function createElementStores(database) {
+    for (const storeName of ELEMENT_STORE_NAMES) {
         if (!database.objectStoreNames.contains(storeName)) {
             database.createObjectStore(storeName, { keyPath: 'id' });
         }
     }
-    logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, "OSM data schema updated");
+}
+
+/**
+ * Moves the records of the version 1 element stores into a newly created default region.
+ *
+ * Creates the region catalogue, reads every record from the element stores, recreates 
+ * each store with the region keyed schema, and, if any records were stored, creates a 
+ * catalogue entry covering the extent of the nodes and writes the records back tagged 
+ * with the identifier of that region.
+ *
+ * @private
+ * @param {IDBDatabase} database - The IndexedDB database instance.
+ * @param {IDBTransaction} transaction - The versionchange transaction of the upgrade.
+ * @returns {Promise<void>} A promise that resolves once the records have been moved.
+ */
+async function migrateToRegions(database, transaction) {
+    database.createObjectStore(STORE_NAMES.REGIONS, { keyPath: 'id', autoIncrement: true });
+
+    const legacyRecords = {};
+    for (const storeName of ELEMENT_STORE_NAMES) {
+        legacyRecords[storeName] = await readAllRecords(transaction, storeName);
+        database.deleteObjectStore(storeName);
+        createElementStore(database, storeName);
+    }
+
+    const recordCount = Object.values(legacyRecords).reduce((total, records) => total + records.length, 0);
+    if (recordCount === 0) return;
+
+    const nodes = legacyRecords[STORE_NAMES.NODES];
+    const region = {
+        name: LEGACY_REGION_NAME,
+        bbox: calculateBoundingBox(nodes),
+        downloadedAt: new Date().toISOString(),
+        counts: {
+            nodes: nodes.length,
+            ways: legacyRecords[STORE_NAMES.WAYS].length,
+            relations: legacyRecords[STORE_NAMES.RELATIONS].length
+        }
+    };
+
+    const regionId = await requestPromise(transaction.objectStore(STORE_NAMES.REGIONS).add(region));
+
+    for (const storeName of ELEMENT_STORE_NAMES) {
+        const objectStore = transaction.objectStore(storeName);
+        legacyRecords[storeName].forEach(record => objectStore.put({ ...record, regionId }));
+    }
+    logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, `Moved ${recordCount} records into '${LEGACY_REGION_NAME}'`);
+}
+
+/**
+ * Fills the edit metadata of the stored elements, which was discarded by version 2 of the
+ * schema, with null values, and gives every region an empty set of <bounds>, so that all
+ * records share one shape until their region is downloaded again.
+ *
+ * @private
+ * @param {IDBDatabase} database - The IndexedDB database instance.
+ * @param {IDBTransaction} transaction - The versionchange transaction of the upgrade.
+ * @returns {Promise<void>} A promise that resolves once every record has been updated.
+ */
+async function migrateMetadata(database, transaction) {
+    for (const storeName of ELEMENT_STORE_NAMES) {
+        await transformRecords(transaction, storeName, record => ({ ...METADATA_DEFAULTS, ...record }));
+    }
+    await transformRecords(transaction, STORE_NAMES.REGIONS, region => ({ bounds: null, ...region }));
+}
+
+/**
+ * Indexes the values of the commonly searched tags of every stored element, adding the
+ * search keys to the existing records and a compound index with the regionId per tag.
+ *
+ * @private
+ * @param {IDBDatabase} database - The IndexedDB database instance.
+ * @param {IDBTransaction} transaction - The versionchange transaction of the upgrade.
+ * @returns {Promise<void>} A promise that resolves once every record has been indexed.
+ */
+async function migrateSearchIndexes(database, transaction) {
+    for (const storeName of ELEMENT_STORE_NAMES) {
+        for (const { field } of SEARCH_INDEXES) {
+            addIndex(transaction, storeName, searchIndexName(field), [REGION_INDEX, searchIndexName(field)]);
+        }
+        await transformRecords(transaction, storeName, record => ({ ...record, searchKeys: createSearchKeys(record.tags) }));
+    }
+}
+
+/**
+ * The ordered registry of schema migrations, one for each version of the schema.
+ *
+ * A new database runs every migration from the first, and an existing database runs 
+ * those above its stored version.  To change the schema, append a migration with the 
+ * next version number; existing migrations must never be edited once released.
+ * @constant {Array<{version: number, description: string, migrate: Function}>}
+ */
+const MIGRATIONS = Object.freeze([
+    {
+        version: 1,
+        description: "Create the node, way, and relation stores",
+        migrate: createElementStores
+    },
+    {
+        version: 2,
+        description: "Group the stored elements into offline regions",
+        migrate: migrateToRegions
+    },
+    {
+        version: 3,
+        description: "Add the OSM edit metadata and region bounds",
+        migrate: migrateMetadata
+    },
+    {
+        version: 4,
+        description: "Index the names and addresses of the stored elements",
+        migrate: migrateSearchIndexes
+    }
+]);
+
+/**
+ * The version number of the IndexedDB database schema, that of the last migration.
+ * @constant {number}
+ */
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Calculates the bounding box which encloses the provided nodes.
+ *
+ * @private
+ * @param {Array<Object>} nodes - An array of node objects with lat and lon properties.
+ * @returns {{minLon: number, minLat: number, maxLon: number, maxLat: number} | null}
+ *  The bounding box, or null if there are no nodes.
+ */
+function calculateBoundingBox(nodes) {
+    if (nodes.length === 0) return null;
+
+    const bbox = { minLon: Infinity, minLat: Infinity, maxLon: -Infinity, maxLat: -Infinity };
+    for (const { lon, lat } of nodes) {
+        bbox.minLon = Math.min(bbox.minLon, lon);
+        bbox.minLat = Math.min(bbox.minLat, lat);
+        bbox.maxLon = Math.max(bbox.maxLon, lon);
+        bbox.maxLat = Math.max(bbox.maxLat, lat);
+    }
+    return bbox;
 }
 
 /**
@@ -77,13 +317,17 @@ function awaitTransactionCompletion(transaction) {
 /**
  * Opens the IndexedDB database for the application.
  *
+ * Works from both the page and the data loading worker.  The connection closes itself 
+ * when another context needs to upgrade the database to a newer schema version, and an
+ * upgrade held up by an older tab which does not close its connection is reported.
+ *
  * @returns {Promise<IDBDatabase>} A promise that resolves to the opened database instance.
  */
 export async function openDatabase() {
     return new Promise((resolve, reject) => {
         let request;
         try {
-            request = window.indexedDB.open(DB_NAME, DB_VERSION);
+            request = self.indexedDB.open(DB_NAME, DB_VERSION);
         } catch (error) {
             const errorMessage = `Failed to open database: ${error.message}`;
             logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, errorMessage);
@@ -91,19 +335,34 @@ export async function openDatabase() {
         }
 
         request.onupgradeneeded = (event) => {
-            try {
-                const database = event.target.result;
-                createObjectStores(database);
-            } catch (error) {
-                const errorMessage = `Error during upgrade: ${error.message}`;
-                logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, errorMessage);
+            const database = event.target.result;
+            const transaction = event.target.transaction;
+
+            runMigrations(MIGRATIONS, database, transaction, event.oldVersion, event.newVersion).catch(error => {
+                const errorMessage = `Error during upgrade: ${error?.message ?? error}`;
+                logMessage(MessageScope.INDEXED_DB, MessageOutput.BOTH, errorMessage);
+                try {
+                    transaction.abort();
+                } catch (abortError) {
+                    logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, `Upgrade already finished: ${abortError.message}`);
+                }
                 reject(new Error(errorMessage));
-            }
+            });
+        };
+
+        request.onblocked = () => {
+            logMessage(MessageScope.INDEXED_DB, MessageOutput.BOTH,
+                "Database upgrade is waiting for other tabs of the map, close them to continue");
         };
 
         request.onsuccess = (event) => {
+            const database = event.target.result;
+            database.onversionchange = () => {
+                logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, "Closing connection for a schema upgrade");
+                database.close();
+            };
             logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, "Connection success");
-            resolve(event.target.result);
+            resolve(database);
         };
 
         request.onerror = (event) => {
@@ -115,16 +374,19 @@ export async function openDatabase() {
 }
 
 /**
- * Stores the given items in the specified object store of the database.
+ * Merges the given items into the specified object store of the database.
+ *
+ * Each item replaces the stored record with the same key only if the stored record does 
+ * not exist, or if the item is at least as new according to its OSM version; items 
+ * without a version are treated as the newest available copy.
  *
  * @param {string} storeName - The name of the object store.
- * @param {Iterable} items - The items to store.
- * @param {Function} transform - A function to transform each item before storage.
+ * @param {Array<Object>} items - The items to merge, each including its regionId and id.
  * @param {IDBDatabase} database - The database instance.
- * @returns {Promise<void>} A promise that resolves when the items have been stored.
- * @throws {Error} If the database instance is undefined or if storing fails.
+ * @returns {Promise<number>} A promise that resolves to the number of records written.
+ * @throws {Error} If the database instance is undefined or if merging fails.
  */
-export async function storeItems(storeName, items, transform, database) {
+export async function mergeItems(storeName, items, database) {
     if (!database) {
         const errorMessage = "Database instance is undefined";
         logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, errorMessage);
@@ -133,61 +395,103 @@ export async function storeItems(storeName, items, transform, database) {
     try {
         const transaction = database.transaction([storeName], "readwrite");
         const objectStore = transaction.objectStore(storeName);
-        logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, `Storing ${storeName} items..`);
+        let written = 0;
+        logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, `Merging ${storeName} items..`);
 
         for (const item of items) {
-            let record;
-            try {
-                record = transform(item);
-            } catch (transformError) {
-                logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, `Error transforming item for store ${storeName}: ${transformError}`);
-                continue;
-            }
-            if (record === undefined) {
-                logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, `Transform returned undefined for an item in store ${storeName}. Skipping.`);
-                continue;
-            }
-            objectStore.put(record);
+            const request = objectStore.get([item.regionId, item.id]);
+            request.onsuccess = () => {
+                if (isNewerVersion(item, request.result)) {
+                    objectStore.put(item);
+                    written++;
+                }
+            };
         }
 
         await awaitTransactionCompletion(transaction);
-        logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, `${storeName} data stored successfully`);
-        logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, `${[...items].length} ${storeName} records processed`);
+        logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, `${written} of ${items.length} ${storeName} records merged`);
+        return written;
     } catch (error) {
-        const errorMessage = `Error storing ${storeName} data: ${error.message}`;
+        const errorMessage = `Error merging ${storeName} data: ${error.message}`;
         logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, errorMessage);
         throw new Error(errorMessage);
     }
 }
 
 /**
- * Parses the provided OSM XML data and stores the parsed nodes, ways, and relations in the database.
+ * Determines whether an incoming element should replace the stored copy of the element.
+ *
+ * @private
+ * @param {Object} incoming - The newly parsed element.
+ * @param {Object|undefined} stored - The stored element with the same key, if any.
+ * @returns {boolean} True if there is no stored copy, or the incoming copy is not older.
+ */
+function isNewerVersion(incoming, stored) {
+    if (!stored) return true;
+    if (incoming.version == null || stored.version == null) return true;
+    return incoming.version >= stored.version;
+}
+
+/**
+ * Parses a stream of OSM XML data incrementally and stores the elements in batches.
+ *
+ * Reads the stream chunk by chunk, feeding the text to the streaming parser and merging 
+ * the parsed elements into the database whenever a batch is full, so that neither the 
+ * full response text nor the full set of parsed elements is ever held in memory.  The 
+ * next chunk is not read until the previous batches have been written.
  *
- * @param {string} xmlString - The XML string representing OSM data.
+ * @param {ReadableStream<Uint8Array>} stream - The body stream of the OSM API response.
  * @param {IDBDatabase} database - The database instance.
- * @returns {Promise<void>} A promise that resolves when parsing and storage are complete.
- * @throws {Error} If no XML data is provided or if parsing/storing fails.
+ * @param {number} regionId - The identifier of the region the elements belong to.
+ * @returns {Promise<{counts: Object, bounds: Object|null}>} A promise that resolves to the 
+ *  number of nodes, ways, and relations parsed, and the <bounds> of the data, once parsing 
+ *  and storage are complete.
+ * @throws {Error} If reading, parsing, or storing fails.
  */
-export async function parseAndStoreOSMData(xmlString, database) {
-    if (!xmlString) {
-        const errorMessage = "No XML data provided";
-        logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, errorMessage);
-        throw new Error(errorMessage);
-    }
+export async function streamAndStoreOSMData(stream, database, regionId) {
+    const batches = { node: [], way: [], relation: [] };
+    const counts = { nodes: 0, ways: 0, relations: 0 };
+    let bounds = null;
+
+    const parser = new OSMStreamParser((type, element) => {
+        if (type === "bounds") {
+            bounds = element;
+            return;
+        }
+        batches[type].push(toRecord(element, regionId));
+        counts[`${type}s`]++;
+    });
+
+    const flushBatches = async (force) => {
+        for (const [type, batch] of Object.entries(batches)) {
+            if (batch.length >= STREAM_BATCH_SIZE || (force && batch.length > 0)) {
+                await mergeItems(ELEMENT_TYPE_STORES[type], batch.splice(0), database);
+            }
+        }
+    };
+
     try {
-        logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, "Parsing XML data..");
-        const { nodes, ways, relations } = parseOSMData(xmlString);
-
-        await Promise.all([
-            storeItems(STORE_NAMES.NODES, nodes, item => item, database),
-            storeItems(STORE_NAMES.WAYS, ways, item => item, database),
-            storeItems(STORE_NAMES.RELATIONS, relations, item => item, database)
-        ]);
+        logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, "Streaming XML data..");
+        const reader = stream.getReader();
+        const decoder = new TextDecoder();
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            parser.write(decoder.decode(value, { stream: true }));
+            await flushBatches(false);
+        }
+        parser.write(decoder.decode());
+        parser.end();
+        await flushBatches(true);
+
+        return { counts, bounds };
     } catch (error) {
-        const errorMessage = `Failed to parse and store OSM data: ${error.message}`;
+        const errorMessage = `Failed to stream and store OSM data: ${error.message}`;
         logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, errorMessage);
         throw new Error(errorMessage);
     }
 }
 
-export { STORE_NAMES };
+export { STORE_NAMES, ELEMENT_STORE_NAMES, REGION_INDEX, SEARCH_INDEXES, searchIndexName };
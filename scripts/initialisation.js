@@ -9,6 +9,7 @@
 
 import { openDatabase } from './indexedDB.js';
 import { MapRenderer } from './render-main.js';
+import { getStoredActiveRegion } from './regions.js';
 import { setupEventListeners } from './event-listeners.js';
 import { logMessage, MessageScope, MessageOutput } from './log-message.js';
 
@@ -67,11 +68,14 @@ export function initialiseCanvas() {
 }
 
 /**
- * Restores the canvas state: zoom level and pan offsets from localStorage, if available.
+ * Restores the canvas state: zoom level, pan offsets, and active region from localStorage, 
+ * if available.
  *
  * @param {MapRenderer} renderer - The instance of MapRenderer to update.
  */
 function restoreCanvasState(renderer) {
+    renderer.activeRegionId = getStoredActiveRegion();
+
     const savedZoom = localStorage.getItem("zoomLevel");
 
     if (savedZoom !== null) {
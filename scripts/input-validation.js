@@ -4,10 +4,12 @@
  *
  * Verifies that the user-provided minimum and maximum longitude and latitude values meet 
  * the required constraints for coordinate integrity and map API compatibility. Ensures 
- * that inputs are numbers, within range, and logically correct in their ordering.
+ * that inputs are numbers, within range, logically correct in their ordering, and small 
+ * enough to be split into a reasonable number of API sized tiles.
  * 
  */
 
+import { countTiles, MAX_TILE_COUNT } from './tiling.js';
 import { logMessage, MessageScope, MessageOutput } from './log-message.js';
 
 /**
@@ -40,8 +42,8 @@ function getValidationError(minLon, minLat, maxLon, maxLat) {
             field: "minLat"
         },
         {
-            check: () => ((maxLon - minLon) * (maxLat - minLat)) <= 0.25,
-            message: "Bounding box area cannot exceed 0.25 square degrees",
+            check: () => countTiles({ minLon, minLat, maxLon, maxLat }) <= MAX_TILE_COUNT,
+            message: `Bounding box cannot be split into more than ${MAX_TILE_COUNT} tiles`,
         },
         {
             check: () => isInRange(minLon, -180, 180) && isInRange(maxLon, -180, 180),
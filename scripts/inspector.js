@@ -0,0 +1,318 @@
+/**
+ * @fileoverview
+ * Inspector module for showing the details of the map feature under a click.
+ *
+ * The following script listens for clicks on the canvas while the inspect tool of
+ * 'map-tools.js' is active, and uses 'hit-testing.js' to find the topmost node, way, or
+ * relation at the cursor.  The side panel then lists the id, type, last edit, and tags of
+ * the feature, its members and the elements it belongs to, and the render rule it matched;
+ * members and parents which are loaded can be clicked to inspect them in turn, and the
+ * area of a closed way or multipolygon is measured by 'measure.js'.  The raw
+ * OSM XML of the feature, regenerated by 'osm-xml.js', can be viewed, copied, or saved as
+ * a '.osm' file.
+ */
+import { formatAge } from './regions.js';
+import { downloadBlob } from './download.js';
+import { renderRules } from './render-rules.js';
+import { symbolRules } from './symbol-rules.js';
+import { findFeatureAt } from './hit-testing.js';
+import { MapTool, addToolClickListener } from './map-tools.js';
+import { calculateElementArea, describeArea } from './measure.js';
+import { serializeElement, serializeDocument } from './osm-xml.js';
+import { logMessage, MessageScope, MessageOutput } from './log-message.js';
+
+/**
+ * The largest number of node references listed for a single way.
+ * @constant {number}
+ */
+const MAX_LISTED_NODES = 50;
+
+/**
+ * Looks up a cached element of the renderer by its type and ID.
+ *
+ * @param {Object} renderer - The map renderer instance.
+ * @param {string} type - The element type: 'node', 'way', or 'relation'.
+ * @param {string} id - The ID of the element.
+ * @returns {Object|undefined} The element, or undefined if it is not loaded.
+ */
+export function lookupElement(renderer, type, id) {
+    if (type === "node") return renderer.nodesById.get(id);
+    if (type === "way") return renderer.waysById.get(id);
+    if (type === "relation") return renderer.relationsById.get(id);
+    return undefined;
+}
+
+/**
+ * Finds the loaded elements which reference the given element: the relations listing it
+ * as a member, and, for a node, the ways passing through it.
+ *
+ * @private
+ * @param {Object} renderer - The map renderer instance.
+ * @param {string} type - The element type: 'node', 'way', or 'relation'.
+ * @param {string} id - The ID of the element.
+ * @returns {Array<{type: string, id: string, role: string}>} The parent elements.
+ */
+function findParents(renderer, type, id) {
+    const parents = [];
+
+    if (type === "node") {
+        renderer.cachedWays
+            .filter(way => way.nodes.includes(id))
+            .forEach(way => parents.push({ type: "way", id: way.id, role: "" }));
+    }
+
+    renderer.cachedRelations.forEach(relation => {
+        relation.members
+            .filter(member => member.type === type && member.ref === id)
+            .forEach(member => parents.push({ type: "relation", id: relation.id, role: member.role }));
+    });
+    return parents;
+}
+
+/**
+ * Describes the last edit of an element from its OSM metadata.
+ *
+ * @private
+ * @param {Object} element - The inspected element.
+ * @returns {string} The description of who last edited the element, when, and in which changeset.
+ */
+function describeLastEdit(element) {
+    if (!element.timestamp) return "Last edit: not stored, download the region again to fetch it.";
+
+    const user = element.user ? `${element.user} (uid ${element.uid})` : "an anonymous user";
+    const date = new Date(element.timestamp).toLocaleString();
+    return `Last edited by ${user} on ${date} (${formatAge(element.timestamp)}), ` +
+        `version ${element.version}, changeset ${element.changeset}.`;
+}
+
+/**
+ * Describes a render rule by its position in the rule table and its style values.
+ *
+ * @private
+ * @param {Array<Object>} rules - The rule table containing the rule.
+ * @param {Object} rule - The matched rule.
+ * @param {Object} values - The style or symbol values to list.
+ * @returns {string} The description of the rule.
+ */
+function describeRule(rules, rule, values) {
+    const isDefault = rule.condition({ tags: [] });
+    const properties = Object.entries(values)
+        .filter(([key, value]) => key !== "label" && value !== "")
+        .map(([key, value]) => `${key}: ${value}`);
+    return `${isDefault ? "default rule" : `rule ${rules.indexOf(rule) + 1} of ${rules.length}`} (${properties.join(", ")})`;
+}
+
+/**
+ * Describes the rules matched by an element: its render rule, and for points of interest,
+ * its symbol rule.
+ *
+ * @private
+ * @param {string} type - The element type: 'node', 'way', or 'relation'.
+ * @param {Object} element - The inspected element.
+ * @returns {Array<string>} A description of each matched rule.
+ */
+function describeMatchedRules(type, element) {
+    const descriptions = [];
+
+    if (element.renderRule) {
+        descriptions.push(`Render ${describeRule(renderRules, element.renderRule, element.renderRule.styles)}`);
+    } else if (type !== "node") {
+        descriptions.push("Render rule: none matched");
+    }
+
+    if (element.symbol) {
+        const rule = symbolRules.find(rule => rule.symbol === element.symbol);
+        descriptions.push(`Symbol ${describeRule(symbolRules, rule, element.symbol)}`);
+    }
+
+    if (descriptions.length === 0) descriptions.push("No render or symbol rule; drawn only as a vertex");
+    return descriptions;
+}
+
+/**
+ * Creates a section of the panel with a heading and a list of entries.
+ *
+ * @private
+ * @param {string} title - The heading of the section.
+ * @param {Array<Node|string>} entries - The list entries, as elements or text.
+ * @param {number} [count=entries.length] - The total shown in the heading.
+ * @returns {HTMLElement} The section element.
+ */
+function createSection(title, entries, count = entries.length) {
+    const section = document.createElement("section");
+    const heading = document.createElement("h2");
+    heading.textContent = `${title} (${count})`;
+    section.appendChild(heading);
+
+    const list = document.createElement("ul");
+    entries.forEach(entry => {
+        const item = document.createElement("li");
+        item.append(entry);
+        list.appendChild(item);
+    });
+    section.appendChild(list);
+    return section;
+}
+
+/**
+ * Creates an entry referring to another element, which inspects that element when clicked
+ * if it is loaded.
+ *
+ * @private
+ * @param {HTMLElement} panel - The inspector panel.
+ * @param {Object} renderer - The map renderer instance.
+ * @param {string} type - The element type: 'node', 'way', or 'relation'.
+ * @param {string} id - The ID of the element.
+ * @param {string} [role=""] - The role of the element within a relation.
+ * @returns {Node|string} A button for a loaded element, or text for one which is not loaded.
+ */
+function createElementLink(panel, renderer, type, id, role = "") {
+    const element = lookupElement(renderer, type, id);
+    const name = element?.tags.find(({ key }) => key === "name")?.value;
+    const text = `${type} ${id}${role ? ` [${role}]` : ""}${name ? ` - ${name}` : ""}`;
+    if (!element) return `${text} (not loaded)`;
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "inspector-link";
+    button.textContent = text;
+    button.addEventListener("click", () => inspectFeature(panel, renderer, { type, element }));
+    return button;
+}
+
+/**
+ * Saves a feature as a '.osm' file.
+ *
+ * @private
+ * @param {string} type - The element type: 'node', 'way', or 'relation'.
+ * @param {Object} element - The element to save.
+ * @returns {void}
+ */
+function saveAsOSMFile(type, element) {
+    const blob = new Blob([serializeDocument([{ type, element }])], { type: "application/xml" });
+    downloadBlob(blob, `${type}-${element.id}.osm`);
+}
+
+/**
+ * Creates the collapsible section holding the raw XML of a feature, with buttons which
+ * copy the XML to the clipboard and save it as a '.osm' file.
+ *
+ * @private
+ * @param {string} type - The element type: 'node', 'way', or 'relation'.
+ * @param {Object} element - The inspected element.
+ * @returns {HTMLElement} The details element.
+ */
+function createXMLSection(type, element) {
+    const xml = serializeElement(type, element);
+    const details = document.createElement("details");
+    const summary = document.createElement("summary");
+    summary.textContent = "Raw XML";
+
+    const copyBtn = document.createElement("button");
+    copyBtn.type = "button";
+    copyBtn.textContent = "Copy";
+    copyBtn.addEventListener("click", async () => {
+        try {
+            await navigator.clipboard.writeText(xml);
+            logMessage(MessageScope.INSPECTOR, MessageOutput.STATUS, `Copied the XML of ${type} ${element.id}`);
+        } catch (error) {
+            logMessage(MessageScope.INSPECTOR, MessageOutput.BOTH, `Failed to copy the XML: ${error.message}`);
+        }
+    });
+
+    const saveBtn = document.createElement("button");
+    saveBtn.type = "button";
+    saveBtn.textContent = "Save .osm";
+    saveBtn.addEventListener("click", () => saveAsOSMFile(type, element));
+
+    const code = document.createElement("pre");
+    code.className = "inspector-xml";
+    code.textContent = xml;
+
+    details.append(summary, copyBtn, saveBtn, code);
+    return details;
+}
+
+/**
+ * Shows the details of a feature in the inspector panel.
+ *
+ * @param {HTMLElement} panel - The inspector panel, containing an '.inspector-content' element.
+ * @param {Object} renderer - The map renderer instance.
+ * @param {{type: string, element: Object}} feature - The feature to inspect.
+ * @returns {void}
+ */
+export function inspectFeature(panel, renderer, { type, element }) {
+    const content = panel.querySelector(".inspector-content");
+    content.replaceChildren();
+
+    const title = document.createElement("h2");
+    title.textContent = `[${type[0].toUpperCase()}${type.slice(1)}]: ${element.id}`;
+    content.appendChild(title);
+
+    if (type === "node") {
+        const position = document.createElement("p");
+        position.textContent = `lat: ${element.lat}, lon: ${element.lon}`;
+        content.appendChild(position);
+    }
+
+    const area = calculateElementArea(renderer, type, element);
+    if (area !== null) {
+        const areaText = document.createElement("p");
+        areaText.textContent = `Area: ${describeArea(area)}`;
+        content.appendChild(areaText);
+    }
+
+    const lastEdit = document.createElement("p");
+    lastEdit.textContent = describeLastEdit(element);
+    content.appendChild(lastEdit);
+
+    content.appendChild(createSection("Tags", element.tags.map(({ key, value }) => `${key} = ${value}`)));
+
+    if (type === "way") {
+        const nodes = element.nodes.slice(0, MAX_LISTED_NODES).map(ref => createElementLink(panel, renderer, "node", ref));
+        if (element.nodes.length > MAX_LISTED_NODES) nodes.push(`... ${element.nodes.length - MAX_LISTED_NODES} more`);
+        content.appendChild(createSection("Nodes", nodes, element.nodes.length));
+    }
+
+    if (type === "relation") {
+        const members = element.members.map(member => createElementLink(panel, renderer, member.type, member.ref, member.role));
+        content.appendChild(createSection("Members", members));
+    }
+
+    const parents = findParents(renderer, type, element.id)
+        .map(parent => createElementLink(panel, renderer, parent.type, parent.id, parent.role));
+    content.appendChild(createSection("Parents", parents));
+
+    content.appendChild(createSection("Rules", describeMatchedRules(type, element)));
+    content.appendChild(createXMLSection(type, element));
+
+    panel.hidden = false;
+    panel.scrollTop = 0;
+}
+
+/**
+ * Sets up click-to-inspect on the canvas and the button which closes the inspector panel.
+ *
+ * Clicks are handled while the inspect tool is active; clicking where no feature is drawn
+ * closes the panel.
+ *
+ * @param {HTMLCanvasElement} canvas - The canvas element on which features are clicked.
+ * @param {HTMLElement} panel - The inspector panel.
+ * @param {HTMLButtonElement} closeBtn - The button which closes the panel.
+ * @param {Object} renderer - The map renderer instance.
+ * @returns {void}
+ */
+export function setupInspector(canvas, panel, closeBtn, renderer) {
+    addToolClickListener(canvas, renderer, MapTool.INSPECT, (x, y) => {
+        const feature = findFeatureAt(renderer, x, y);
+        if (feature) {
+            inspectFeature(panel, renderer, feature);
+        } else {
+            panel.hidden = true;
+        }
+    });
+
+    closeBtn.addEventListener("click", () => {
+        panel.hidden = true;
+    });
+}
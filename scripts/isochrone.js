@@ -0,0 +1,167 @@
+/**
+ * @fileoverview
+ * Isochrone module for showing how far can be travelled from a point within a given time.
+ *
+ * The following script finds every stretch of road reachable from a point clicked with the
+ * reach tool of 'map-tools.js' within a number of minutes, walking, cycling, or driving,
+ * over the routing graphs of 'routing.js', whose speeds follow the highway class and the
+ * 'maxspeed' tag of each way.  Roads only partly reachable in the time are cut where the
+ * time runs out, and 'render-isochrone.js' colours the reachable network by travel time.
+ */
+import { formatDuration } from './units.js';
+import { MapTool, addToolClickListener } from './map-tools.js';
+import { RouteProfile, getRoutingGraph, describeProfile, findNearestGraphNode, findReachableNodes, snapToGraph } from './routing.js';
+import { logMessage, MessageScope, MessageOutput } from './log-message.js';
+
+/**
+ * The ID of the element describing the reachable area.
+ * @constant {string}
+ */
+const ISOCHRONE_DETAILS_ID = "isochroneDetails";
+
+/**
+ * The longest travel time in minutes which can be asked for, so that a large region is
+ * not searched from end to end on every click.
+ * @constant {number}
+ */
+const MAX_MINUTES = 120;
+
+/**
+ * Collects the road segments reachable from the start within the travel time.
+ *
+ * A segment whose far end is reached in time is taken whole, and only once if it can be
+ * travelled in both directions; otherwise it is cut at the fraction of its length covered
+ * before the time runs out, unless it is already reachable whole from its other end.
+ *
+ * @param {Map<string, Array<Object>>} graph - The routing graph of the profile.
+ * @param {Map<string, number>} durations - The travel time in seconds to each reachable node.
+ * @param {number} maxDuration - The longest travel time in seconds.
+ * @returns {Array<{fromId: string, toId: string, fraction: number, duration: number}>} The
+ *  segments, each with the share of its length reachable from its start node, and the
+ *  travel time in seconds to its midpoint.
+ */
+export function buildReachableSegments(graph, durations, maxDuration) {
+    const wholeSegments = new Map();
+    const partSegments = [];
+
+    for (const [fromId, fromDuration] of durations) {
+        for (const edge of graph.get(fromId) ?? []) {
+            const fraction = edge.duration > 0 ? Math.min(1, (maxDuration - fromDuration) / edge.duration) : 1;
+            const segment = { fromId, toId: edge.to, fraction, duration: fromDuration + edge.duration * fraction / 2 };
+            const key = [fromId, edge.to].sort().join("|");
+
+            if (fraction === 1) {
+                if (!wholeSegments.has(key)) wholeSegments.set(key, segment);
+            } else if (fraction > 0) {
+                partSegments.push({ key, segment });
+            }
+        }
+    }
+
+    const cutSegments = partSegments.filter(({ key }) => !wholeSegments.has(key)).map(({ segment }) => segment);
+    return [...wholeSegments.values(), ...cutSegments];
+}
+
+/**
+ * Replaces the reachable area drawn by the renderer, describing it in the isochrone
+ * details element.
+ *
+ * @param {Object} renderer - The map renderer instance.
+ * @param {Object|null} isochrone - The reachable area to draw, or null to clear it.
+ * @returns {void}
+ */
+export function setIsochrone(renderer, isochrone) {
+    renderer.isochrone = isochrone;
+    renderer.needsRender = true;
+
+    const details = document.getElementById(ISOCHRONE_DETAILS_ID);
+    if (!details) return;
+
+    if (!isochrone) {
+        details.textContent = "[Reach]: Click a start point on the map with the reach tool.";
+    } else {
+        const { profile, maxDuration, durations, segments } = isochrone;
+        details.textContent = `[Reach]: ${segments.length} road segments and ${durations.size} junctions ` +
+            `within ${formatDuration(maxDuration)} ${describeProfile(profile)}.`;
+    }
+}
+
+/**
+ * Finds the area reachable from a graph node and shows it on the map.
+ *
+ * @private
+ * @param {Object} renderer - The map renderer instance.
+ * @param {string} profile - A value from RouteProfile.
+ * @param {string} startId - The ID of the start node.
+ * @param {number} minutes - The travel time in minutes.
+ * @returns {void}
+ */
+function showReachable(renderer, profile, startId, minutes) {
+    const graph = getRoutingGraph(renderer, profile);
+    const maxDuration = minutes * 60;
+    const durations = findReachableNodes(graph, startId, maxDuration);
+    const segments = buildReachableSegments(graph, durations, maxDuration);
+
+    setIsochrone(renderer, { profile, startId, maxDuration, durations, segments });
+}
+
+/**
+ * Sets up the reach tool and the reachability controls.
+ *
+ * With the reach tool active, clicking the map shows the roads reachable from the nearest
+ * node of the routing graph within the chosen number of minutes.  Changing the profile or
+ * the minutes shows the area again from the same start, snapped again to the graph of the
+ * profile, or clears it if the profile has no routes; an invalid number of minutes is
+ * marked on the input and explained in the status element.
+ *
+ * @param {HTMLSelectElement} profileSelect - The select element choosing a value from RouteProfile.
+ * @param {HTMLInputElement} minutesInput - The input for the travel time in minutes.
+ * @param {HTMLButtonElement} clearBtn - The button which clears the reachable area.
+ * @param {HTMLCanvasElement} canvas - The canvas element on which the map is clicked.
+ * @param {Object} renderer - The map renderer instance.
+ * @returns {void}
+ */
+export function setupIsochrone(profileSelect, minutesInput, clearBtn, canvas, renderer) {
+    const readMinutes = () => {
+        const minutes = Number(minutesInput.value);
+        const isValid = minutesInput.value.trim() !== "" && minutes >= 1 && minutes <= MAX_MINUTES;
+        minutesInput.classList.toggle("input-error", !isValid);
+
+        if (!isValid) {
+            logMessage(MessageScope.ROUTING, MessageOutput.STATUS, `Travel time must be between 1 and ${MAX_MINUTES} minutes`);
+            return null;
+        }
+        return minutes;
+    };
+
+    addToolClickListener(canvas, renderer, MapTool.REACH, (x, y) => {
+        const minutes = readMinutes();
+        if (minutes === null) return;
+
+        const profile = profileSelect.value || RouteProfile.WALK;
+        const graph = getRoutingGraph(renderer, profile);
+        const startId = findNearestGraphNode(graph, renderer.nodesById, renderer.screenToGeo(x, y));
+        if (!startId) {
+            logMessage(MessageScope.ROUTING, MessageOutput.STATUS, `No ${describeProfile(profile)} routes are stored for this region`);
+            return;
+        }
+        showReachable(renderer, profile, startId, minutes);
+    });
+
+    const refresh = () => {
+        const minutes = readMinutes();
+        if (minutes === null || !renderer.isochrone) return;
+
+        const profile = profileSelect.value || RouteProfile.WALK;
+        const startId = snapToGraph(getRoutingGraph(renderer, profile), renderer.nodesById, renderer.isochrone.startId);
+        if (!startId) {
+            setIsochrone(renderer, null);
+            logMessage(MessageScope.ROUTING, MessageOutput.STATUS, `No ${describeProfile(profile)} routes are stored for this region`);
+            return;
+        }
+        showReachable(renderer, profile, startId, minutes);
+    };
+    profileSelect.addEventListener("change", refresh);
+    minutesInput.addEventListener("change", refresh);
+    clearBtn.addEventListener("click", () => setIsochrone(renderer, null));
+}
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview
+ * Data loading worker for fetching, parsing, and storing OSM data off the main thread.
+ *
+ * The following script runs as a dedicated module worker.  It receives LOAD requests from
+ * 'form-submission.js', splits the requested bounding box into API sized tiles, and for
+ * each tile streams the OSM API response through the incremental parser into IndexedDB,
+ * posting progress, completion, and error messages back so that the canvas and controls
+ * remain responsive throughout a load.
+ */
+import { splitBoundingBox } from './tiling.js';
+import { unionBoundingBox } from './regions.js';
+import { WorkerMessage } from './worker-messages.js';
+import { openDatabase, streamAndStoreOSMData } from './indexedDB.js';
+import { logMessage, MessageScope, MessageOutput } from './log-message.js';
+
+/**
+ * The promise of the database connection of the worker, opened on the first request.
+ * @type {Promise<IDBDatabase>|null}
+ */
+let databasePromise = null;
+
+/**
+ * The promise chain which processes the LOAD requests one after another.
+ * @type {Promise<void>}
+ */
+let queue = Promise.resolve();
+
+/**
+ * Opens the database connection of the worker once and reuses it for later requests.
+ *
+ * @private
+ * @returns {Promise<IDBDatabase>} A promise that resolves to the database instance.
+ */
+function getDatabase() {
+    if (!databasePromise) {
+        databasePromise = openDatabase().catch(error => {
+            databasePromise = null;
+            throw error;
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Constructs the OpenStreetMap API URL from bounding box coordinates.
+ * 
+ * Builds a request string for the `/api/0.6/map` endpoint using the specified
+ * minimum and maximum longitude and latitude values.
+ *
+ * @private
+ * @param {{minLon: number, minLat: number, maxLon: number, maxLat: number}} bbox - The bounding box.
+ * @returns {string} The fully constructed API request URL.
+ */
+function buildUrl({ minLon, minLat, maxLon, maxLat }) {
+    return `https://api.openstreetmap.org/api/0.6/map?bbox=${minLon},${minLat},${maxLon},${maxLat}`;
+}
+
+/**
+ * Fetches OSM XML data from the specified URL and stores it in IndexedDB.
+ * 
+ * Performs a fetch call to the given URL and streams the response body through the 
+ * incremental parser and storage handler. Logs any errors encountered.
+ *
+ * @private
+ * @param {string} url - The OSM API URL to fetch.
+ * @param {IDBDatabase} database - The database instance for storing parsed data.
+ * @param {number} regionId - The identifier of the region the data is merged into.
+ * @returns {Promise<{counts: Object, bounds: Object|null}>} The number of elements parsed, and
+ *  the <bounds> of the data.
+ * @throws {Error} If the network response is not OK or data processing fails.
+ */
+async function fetchAndStoreOsmData(url, database, regionId) {
+    logMessage(MessageScope.LOAD_WORKER, MessageOutput.CONSOLE, "Fetching OSM XML data");
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        logMessage(MessageScope.LOAD_WORKER, MessageOutput.CONSOLE, `${response.status}`);
+        throw new Error(response.status);
+    }
+
+    return streamAndStoreOSMData(response.body, database, regionId);
+}
+
+/**
+ * Fetches and stores each of the given tiles in sequence, posting progress per tile.
+ * 
+ * A tile which fails to load does not stop the remaining tiles from loading; instead it 
+ * is collected so that it can be retried later.  The <bounds> of the loaded tiles are 
+ * combined into a single bounding box.
+ *
+ * @private
+ * @param {number} requestId - The identifier of the LOAD request being processed.
+ * @param {Array<{minLon: number, minLat: number, maxLon: number, maxLat: number}>} tiles - The tiles to load.
+ * @param {IDBDatabase} database - The database instance for storing parsed data.
+ * @param {number} regionId - The identifier of the region the tiles are merged into.
+ * @returns {Promise<{failedTiles: Array<Object>, lastError: string|null, counts: Object, bounds: Object|null}>} 
+ *  The tiles which failed to load, the message of the last failure, the element counts, and 
+ *  the combined bounds of the loaded tiles.
+ */
+async function loadTiles(requestId, tiles, database, regionId) {
+    const counts = { nodes: 0, ways: 0, relations: 0 };
+    const failedTiles = [];
+    let lastError = null;
+    let bounds = null;
+
+    for (const [index, tile] of tiles.entries()) {
+        self.postMessage({ type: WorkerMessage.PROGRESS, requestId, tile: index + 1, tileCount: tiles.length, counts });
+        try {
+            const result = await fetchAndStoreOsmData(buildUrl(tile), database, regionId);
+            for (const key in counts) counts[key] += result.counts[key];
+            if (result.bounds) bounds = unionBoundingBox(bounds, result.bounds);
+        } catch (error) {
+            logMessage(MessageScope.LOAD_WORKER, MessageOutput.CONSOLE, `Tile ${index + 1} of ${tiles.length} failed: ${error.message}`);
+            failedTiles.push(tile);
+            lastError = error.message;
+        }
+    }
+    return { failedTiles, lastError, counts, bounds };
+}
+
+/**
+ * Handles a LOAD request, posting COMPLETE once every tile has been attempted.
+ *
+ * @private
+ * @param {{requestId: number, regionId: number, bbox?: Object, tiles?: Array<Object>}} request - The LOAD request.
+ * @returns {Promise<void>} A promise that resolves once the request has been answered.
+ */
+async function handleLoad({ requestId, regionId, bbox, tiles }) {
+    try {
+        const database = await getDatabase();
+        const requestedTiles = tiles ?? splitBoundingBox(bbox);
+        const result = await loadTiles(requestId, requestedTiles, database, regionId);
+
+        self.postMessage({ type: WorkerMessage.COMPLETE, requestId, tileCount: requestedTiles.length, ...result });
+    } catch (error) {
+        logMessage(MessageScope.LOAD_WORKER, MessageOutput.CONSOLE, `Load failed: ${error.message}`);
+        self.postMessage({ type: WorkerMessage.ERROR, requestId, message: error.message });
+    }
+}
+
+/**
+ * Handles the messages posted to the worker by the main thread.
+ *
+ * Requests are processed one at a time in the order they arrive, so that concurrent loads
+ * into the same region cannot interleave their writes.
+ *
+ * @listens DedicatedWorkerGlobalScope#message
+ * @param {MessageEvent} event - The message event containing the request.
+ */
+self.addEventListener("message", (event) => {
+    const request = event.data;
+
+    if (request?.type !== WorkerMessage.LOAD) {
+        self.postMessage({ type: WorkerMessage.ERROR, requestId: request?.requestId, message: `Unknown message type: ${request?.type}` });
+        return;
+    }
+    queue = queue.then(() => handleLoad(request));
+});
@@ -20,10 +20,20 @@
 export const MessageScope = Object.freeze({
     ZOOM: "Zoom",
     FORM: "Form",
+    SEARCH: "Search",
+    FILTER: "Filter",
     PARSING: "Parsing",
     UNKNOWN: "Unknown",
+    REGIONS: "Regions",
+    ADDRESS: "Address",
+    ROUTING: "Routing",
+    MEASURE: "Measure",
+    INSPECTOR: "Inspector",
     INDEXED_DB: "IndexedDB",
     CLEAR_DATA: "Clear Data",
+    HIGHLIGHTS: "Highlights",
+    COORDINATES: "Coordinates",
+    LOAD_WORKER: "Load Worker",
     MOUSE_EVENTS: "Mouse Events",
     RENDERER_WAY: "Renderer: Way",
     RENDERER_MAIN: "Renderer: Main",
@@ -78,13 +88,16 @@ function outputToConsole(scope, message) {
 /**
  * Displays a formatted message in the UI status element.
  * 
- * If the status element with ID 'status' is not found in the DOM, no action is taken.
+ * If there is no DOM, as within a worker, or the status element with ID 'status' is not 
+ * found in the DOM, no action is taken.
  * 
  * @private
  * @param {string} scope - The scope of the message.
  * @param {string} message - The message to display.
  */
 function outputToStatus(scope, message) {
+    if (typeof document === "undefined") return;
+
     const status = document.getElementById("status");
     if (status) {
         status.textContent = formatMessage(scope, message);
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview
+ * Map tools module for selecting what a click on the canvas does.
+ *
+ * The following script keeps the active tool of the renderer, chosen with the tool buttons
+ * over the canvas, and persists the choice to localStorage.  Features which respond to
+ * clicks on the map register a listener for their own tool, so that a single click is only
+ * handled by the active tool; the end of a pan is never treated as a click.
+ */
+
+/**
+ * Enum for the tools which handle clicks on the canvas.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const MapTool = Object.freeze({
+    INSPECT: "inspect",
+    ADDRESS: "address",
+    ROUTE: "route",
+    REACH: "reach",
+    MEASURE: "measure"
+});
+
+/**
+ * The key used for storing the active tool in localStorage.
+ * @constant {string}
+ */
+const STORAGE_KEY_MAP_TOOL = "mapTool";
+
+/**
+ * The distance in pixels the mouse may move between press and release for a click.
+ * @constant {number}
+ */
+const CLICK_TOLERANCE = 4;
+
+/**
+ * Makes a tool the active tool of the renderer, and marks its button as active.
+ *
+ * @private
+ * @param {Object} renderer - The map renderer instance.
+ * @param {Array<HTMLButtonElement>} toolButtons - The tool buttons, each with a 'data-tool' value.
+ * @param {string} tool - A value from MapTool.
+ * @returns {void}
+ */
+function selectTool(renderer, toolButtons, tool) {
+    renderer.activeTool = tool;
+    toolButtons.forEach(button => button.classList.toggle("active", button.dataset.tool === tool));
+    renderer.canvas.classList.toggle("tool-crosshair", tool !== MapTool.INSPECT);
+    localStorage.setItem(STORAGE_KEY_MAP_TOOL, tool);
+}
+
+/**
+ * Sets up the tool buttons, restoring the previously active tool from localStorage.
+ *
+ * @param {Array<HTMLButtonElement>} toolButtons - The tool buttons, each with a 'data-tool' value.
+ * @param {Object} renderer - The map renderer instance.
+ * @returns {void}
+ */
+export function setupMapTools(toolButtons, renderer) {
+    const stored = localStorage.getItem(STORAGE_KEY_MAP_TOOL);
+    const isKnownTool = Object.values(MapTool).includes(stored);
+    selectTool(renderer, toolButtons, isKnownTool ? stored : MapTool.INSPECT);
+
+    toolButtons.forEach(button => {
+        button.addEventListener("click", () => selectTool(renderer, toolButtons, button.dataset.tool));
+    });
+}
+
+/**
+ * Adds a listener for the clicks on the canvas made while the given tool is active.
+ *
+ * A click is only passed on when the mouse moved less than the click tolerance since it
+ * was pressed, so the end of a pan does not count as a click.  The position is converted
+ * from the page to canvas pixels, allowing for the canvas being scaled by CSS.
+ *
+ * @param {HTMLCanvasElement} canvas - The canvas element on which the map is clicked.
+ * @param {Object} renderer - The map renderer instance.
+ * @param {string} tool - A value from MapTool, the tool the listener belongs to.
+ * @param {function(number, number): void} onClick - Called with the screen x and y position
+ *  of the click in canvas pixels, y increasing downwards.
+ * @returns {void}
+ */
+export function addToolClickListener(canvas, renderer, tool, onClick) {
+    let pressX = 0, pressY = 0;
+
+    canvas.addEventListener("mousedown", (event) => {
+        pressX = event.clientX;
+        pressY = event.clientY;
+    });
+
+    canvas.addEventListener("click", (event) => {
+        if (renderer.activeTool !== tool) return;
+        if (Math.hypot(event.clientX - pressX, event.clientY - pressY) > CLICK_TOLERANCE) return;
+
+        const rect = canvas.getBoundingClientRect();
+        onClick(
+            (event.clientX - rect.left) * (canvas.width / rect.width),
+            (event.clientY - rect.top) * (canvas.height / rect.height)
+        );
+    });
+}
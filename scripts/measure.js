@@ -0,0 +1,211 @@
+/**
+ * @fileoverview
+ * Measure module for measuring lengths and areas on the map.
+ *
+ * The following script lets the measure tool of 'map-tools.js' place points on the map,
+ * optionally snapped to the nearest loaded node, drawing a line whose geodesic length is
+ * shown in metric and imperial units; closing the line, by clicking its first point again
+ * or with the close button, measures the area it encloses instead.  Measurements are made
+ * on the sphere by 'geodesy.js', so they do not depend on the map projection or zoom.
+ * The area of a closed way or multipolygon can also be calculated for the inspector.
+ */
+import { geodesicArea, pathLength } from './geodesy.js';
+import { MapTool, addToolClickListener } from './map-tools.js';
+import { formatArea, formatDistance, formatImperialArea, formatImperialDistance } from './units.js';
+import { logMessage, MessageScope, MessageOutput } from './log-message.js';
+
+/**
+ * The ID of the element describing the current measurement.
+ * @constant {string}
+ */
+const MEASURE_DETAILS_ID = "measureDetails";
+
+/**
+ * The distance in pixels within which a click snaps to a node, or closes the line on its
+ * first point.
+ * @constant {number}
+ */
+const SNAP_TOLERANCE = 8;
+
+/**
+ * Describes a length in metric and imperial units.
+ *
+ * @param {number} metres - The length in metres.
+ * @returns {string} The description, such as '1.31 km (0.81 mi)'.
+ */
+export function describeLength(metres) {
+    return `${formatDistance(metres)} (${formatImperialDistance(metres)})`;
+}
+
+/**
+ * Describes an area in metric and imperial units.
+ *
+ * @param {number} squareMetres - The area in square metres.
+ * @returns {string} The description, such as '2.35 ha (5.81 acres)'.
+ */
+export function describeArea(squareMetres) {
+    return `${formatArea(squareMetres)} (${formatImperialArea(squareMetres)})`;
+}
+
+/**
+ * Calculates the area of a closed way, or of a multipolygon or boundary relation as its
+ * outer rings less its inner rings.
+ *
+ * @param {Object} renderer - The map renderer instance.
+ * @param {string} type - The element type: 'node', 'way', or 'relation'.
+ * @param {Object} element - The element.
+ * @returns {number|null} The area in square metres, or null if the element is not an area
+ *  or its nodes are not loaded.
+ */
+export function calculateElementArea(renderer, type, element) {
+    const toPositions = (nodeIds) => nodeIds.map(id => renderer.nodesById.get(id)).filter(Boolean);
+
+    if (type === "way") {
+        const { nodes } = element;
+        if (nodes.length < 4 || nodes[0] !== nodes[nodes.length - 1]) return null;
+
+        const ring = toPositions(nodes);
+        return ring.length === nodes.length ? geodesicArea(ring) : null;
+    }
+
+    if (type === "relation" && element.rings?.outer.length > 0) {
+        const toRingPositions = (rings) => rings.map(ring => ({ ring, positions: toPositions(ring) }));
+        const outer = toRingPositions(element.rings.outer);
+        const inner = toRingPositions(element.rings.inner);
+        if ([...outer, ...inner].some(({ ring, positions }) => positions.length !== ring.length)) return null;
+
+        const sumOf = (rings) => rings.reduce((sum, { positions }) => sum + geodesicArea(positions), 0);
+        return Math.max(0, sumOf(outer) - sumOf(inner));
+    }
+    return null;
+}
+
+/**
+ * Finds the loaded node nearest to a screen position, within the snap tolerance.
+ *
+ * @private
+ * @param {Object} renderer - The map renderer instance.
+ * @param {number} x - The screen x position in canvas pixels.
+ * @param {number} y - The screen y position in canvas pixels, y increasing downwards.
+ * @returns {Object|null} The nearest node, or null if none is close enough.
+ */
+function findSnapNode(renderer, x, y) {
+    if (!renderer.spatialIndexes.nodes) return null;
+
+    const radius = SNAP_TOLERANCE / renderer.getScale();
+    const point = renderer.canvasToProjected(x, renderer.canvas.height - y);
+    const candidates = renderer.spatialIndexes.nodes.search({
+        minX: point.x - radius,
+        minY: point.y - radius,
+        maxX: point.x + radius,
+        maxY: point.y + radius
+    });
+
+    let nearest = null;
+    let nearestDistance = radius;
+    for (const node of candidates) {
+        const position = renderer.projectedNodes.get(node.id);
+        const distance = position ? Math.hypot(position.x - point.x, position.y - point.y) : Infinity;
+        if (distance <= nearestDistance && !renderer.isFilteredOut(node)) {
+            nearest = node;
+            nearestDistance = distance;
+        }
+    }
+    return nearest;
+}
+
+/**
+ * Replaces the measurement drawn by the renderer, describing it in the measure details
+ * element.
+ *
+ * @param {Object} renderer - The map renderer instance.
+ * @param {{positions: Array<{lon: number, lat: number, nodeId: string|null}>, isClosed: boolean} | null} measurement -
+ *  The points of the measurement, each with the ID of the node it snapped to, and whether
+ *  the line is closed into an area, or null to clear the measurement.
+ * @returns {void}
+ */
+export function setMeasurement(renderer, measurement) {
+    renderer.measurement = measurement;
+    renderer.needsRender = true;
+
+    const details = document.getElementById(MEASURE_DETAILS_ID);
+    if (!details) return;
+
+    if (!measurement) {
+        details.textContent = "[Measure]: Click points on the map with the measure tool.";
+    } else if (measurement.isClosed) {
+        const perimeter = pathLength([...measurement.positions, measurement.positions[0]]);
+        details.textContent = `[Measure]: Area ${describeArea(geodesicArea(measurement.positions))}, ` +
+            `perimeter ${describeLength(perimeter)}.`;
+    } else if (measurement.positions.length === 1) {
+        details.textContent = "[Measure]: First point placed, click the next point.";
+    } else {
+        details.textContent = `[Measure]: Length ${describeLength(pathLength(measurement.positions))} ` +
+            `over ${measurement.positions.length} points.`;
+    }
+}
+
+/**
+ * Closes the current line into an area, if it has enough points.
+ *
+ * @private
+ * @param {Object} renderer - The map renderer instance.
+ * @returns {void}
+ */
+function closeMeasurement(renderer) {
+    const measurement = renderer.measurement;
+    if (!measurement || measurement.isClosed) return;
+
+    if (measurement.positions.length < 3) {
+        logMessage(MessageScope.MEASURE, MessageOutput.STATUS, "Place at least three points to measure an area");
+        return;
+    }
+    setMeasurement(renderer, { ...measurement, isClosed: true });
+}
+
+/**
+ * Sets up the measure tool and the measurement controls.
+ *
+ * With the measure tool active, each click on the map adds a point to the line, snapped
+ * to the nearest node when the snap checkbox is ticked.  Clicking the first point again
+ * closes the line into an area, and a click after that starts a new measurement.  The
+ * undo button removes the last point, reopening a closed area.
+ *
+ * @param {HTMLInputElement} snapCheckbox - The checkbox which snaps points to nodes.
+ * @param {HTMLButtonElement} closeBtn - The button which closes the line into an area.
+ * @param {HTMLButtonElement} undoBtn - The button which removes the last point.
+ * @param {HTMLButtonElement} clearBtn - The button which clears the measurement.
+ * @param {HTMLCanvasElement} canvas - The canvas element on which the map is clicked.
+ * @param {Object} renderer - The map renderer instance.
+ * @returns {void}
+ */
+export function setupMeasurement(snapCheckbox, closeBtn, undoBtn, clearBtn, canvas, renderer) {
+    addToolClickListener(canvas, renderer, MapTool.MEASURE, (x, y) => {
+        const measurement = renderer.measurement;
+        const positions = measurement && !measurement.isClosed ? measurement.positions : [];
+
+        if (positions.length >= 3) {
+            const first = renderer.geoToScreen(positions[0].lon, positions[0].lat);
+            if (Math.hypot(first.x - x, first.y - y) <= SNAP_TOLERANCE) {
+                closeMeasurement(renderer);
+                return;
+            }
+        }
+
+        const node = snapCheckbox.checked ? findSnapNode(renderer, x, y) : null;
+        const position = node ?
+            { lon: node.lon, lat: node.lat, nodeId: node.id } :
+            { ...renderer.screenToGeo(x, y), nodeId: null };
+        setMeasurement(renderer, { positions: [...positions, position], isClosed: false });
+    });
+
+    closeBtn.addEventListener("click", () => closeMeasurement(renderer));
+    undoBtn.addEventListener("click", () => {
+        const measurement = renderer.measurement;
+        if (!measurement) return;
+
+        const positions = measurement.isClosed ? measurement.positions : measurement.positions.slice(0, -1);
+        setMeasurement(renderer, positions.length > 0 ? { positions, isClosed: false } : null);
+    });
+    clearBtn.addEventListener("click", () => setMeasurement(renderer, null));
+}
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview
+ * Schema migration module for upgrading the IndexedDB database one version at a time.
+ *
+ * The following script runs an ordered registry of migrations within the versionchange
+ * transaction of 'onupgradeneeded'.  Each migration moves the schema up by a single
+ * version, and every migration between the old and the new version of the database is
+ * applied in turn, so that a database of any earlier version keeps its offline data.
+ * Helpers are provided for the common steps of a migration: creating stores and indexes,
+ * and reading or transforming the records already stored, with progress reported to the
+ * status element for long running steps.
+ */
+import { logMessage, MessageScope, MessageOutput } from './log-message.js';
+
+/**
+ * The number of records transformed between each progress report.
+ * @constant {number}
+ */
+const PROGRESS_INTERVAL = 5000;
+
+/**
+ * A single step of the schema, upgrading the database to the given version.
+ *
+ * @typedef {Object} Migration
+ * @property {number} version - The schema version the migration upgrades to.
+ * @property {string} description - A short description of the change, used in progress reports.
+ * @property {function(IDBDatabase, IDBTransaction): (Promise<void>|void)} migrate - Applies the
+ *  change, using only requests of the given versionchange transaction.
+ */
+
+/**
+ * Wraps an IndexedDB request in a promise that resolves with its result, for the requests
+ * of an upgrade and of the later transactions alike.
+ *
+ * @param {IDBRequest} request - The request to monitor.
+ * @returns {Promise<*>} A promise that resolves to the result of the request.
+ */
+export function requestPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Checks that the migrations of a registry are in order, one version step apart.
+ *
+ * @private
+ * @param {Array<Migration>} migrations - The registry of migrations.
+ * @returns {void}
+ * @throws {Error} If a migration is missing, repeated, or out of order.
+ */
+function validateMigrations(migrations) {
+    migrations.forEach((migration, index) => {
+        if (migration.version !== index + 1) {
+            const errorMessage = `Migration '${migration.description}' has version ${migration.version}, expected ${index + 1}`;
+            logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, errorMessage);
+            throw new Error(errorMessage);
+        }
+    });
+}
+
+/**
+ * Applies, in order, every migration above the old version and up to the new version.
+ *
+ * Each migration completes, including any requests it awaits, before the next begins.
+ * A failing migration rejects the returned promise, and the caller should then abort the
+ * transaction so that the database is left at its old version.
+ *
+ * @param {Array<Migration>} migrations - The registry of migrations, ordered by version.
+ * @param {IDBDatabase} database - The database being upgraded.
+ * @param {IDBTransaction} transaction - The versionchange transaction of the upgrade.
+ * @param {number} oldVersion - The version of the database before the upgrade, 0 if new.
+ * @param {number} newVersion - The version the database is being upgraded to.
+ * @returns {Promise<void>} A promise that resolves once every migration has been applied.
+ * @throws {Error} If the registry is not ordered or a migration fails.
+ */
+export async function runMigrations(migrations, database, transaction, oldVersion, newVersion) {
+    validateMigrations(migrations);
+
+    const pending = migrations.filter(({ version }) => version > oldVersion && version <= newVersion);
+    for (const [index, migration] of pending.entries()) {
+        logMessage(MessageScope.INDEXED_DB, MessageOutput.BOTH,
+            `Upgrading database to version ${migration.version} (step ${index + 1} of ${pending.length}): ${migration.description}`);
+        await migration.migrate(database, transaction);
+    }
+    if (pending.length > 0) {
+        logMessage(MessageScope.INDEXED_DB, MessageOutput.BOTH, `Database upgraded from version ${oldVersion} to ${newVersion}`);
+    }
+}
+
+/**
+ * Creates an index on an object store, unless an index with the same name already exists.
+ *
+ * @param {IDBTransaction} transaction - The versionchange transaction of the upgrade.
+ * @param {string} storeName - The name of the object store to index.
+ * @param {string} indexName - The name of the index.
+ * @param {string|Array<string>} keyPath - The key path of the index.
+ * @param {IDBIndexParameters} [options={}] - The options of the index, such as unique.
+ * @returns {IDBIndex} The new or existing index.
+ */
+export function addIndex(transaction, storeName, indexName, keyPath, options = {}) {
+    const objectStore = transaction.objectStore(storeName);
+    if (objectStore.indexNames.contains(indexName)) return objectStore.index(indexName);
+    return objectStore.createIndex(indexName, keyPath, options);
+}
+
+/**
+ * Reads every record of an object store within the upgrade.
+ *
+ * @param {IDBTransaction} transaction - The versionchange transaction of the upgrade.
+ * @param {string} storeName - The name of the object store to read.
+ * @returns {Promise<Array<Object>>} A promise that resolves to the stored records.
+ */
+export function readAllRecords(transaction, storeName) {
+    return requestPromise(transaction.objectStore(storeName).getAll());
+}
+
+/**
+ * Rewrites every record of an object store through a transformation function.
+ *
+ * The records are walked with a cursor, so only one record is held at a time, and the
+ * progress is reported to the status element after every PROGRESS_INTERVAL records.  The
+ * key of a record must not be changed by the transformation.
+ *
+ * @param {IDBTransaction} transaction - The versionchange transaction of the upgrade.
+ * @param {string} storeName - The name of the object store to transform.
+ * @param {function(Object): Object} transform - Returns the new record for a stored record.
+ * @returns {Promise<number>} A promise that resolves to the number of records transformed.
+ */
+export async function transformRecords(transaction, storeName, transform) {
+    const objectStore = transaction.objectStore(storeName);
+    const total = await requestPromise(objectStore.count());
+    if (total === 0) return 0;
+
+    return new Promise((resolve, reject) => {
+        const request = objectStore.openCursor();
+        let transformed = 0;
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                logMessage(MessageScope.INDEXED_DB, MessageOutput.CONSOLE, `Transformed ${transformed} ${storeName} records`);
+                resolve(transformed);
+                return;
+            }
+
+            cursor.update(transform(cursor.value));
+            if (++transformed % PROGRESS_INTERVAL === 0) {
+                logMessage(MessageScope.INDEXED_DB, MessageOutput.STATUS, `Upgrading ${storeName}: ${transformed} of ${total} records`);
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
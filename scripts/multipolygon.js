@@ -0,0 +1,123 @@
+/**
+ * @fileoverview
+ * Multipolygon module for assembling the rings of area relations from their member ways.
+ *
+ * An OSM multipolygon describes an area by its 'outer' and 'inner' member ways, where a
+ * single ring may be split over several ways which meet end to end, in either direction.
+ * The following script joins those way segments into closed rings of node IDs, so that
+ * each relation can be drawn as one path and filled with the even-odd rule, leaving its
+ * inner rings as holes.
+ */
+
+/**
+ * The relation types whose members describe an area.
+ * @constant {Array<string>}
+ */
+const AREA_RELATION_TYPES = Object.freeze(["multipolygon", "boundary"]);
+
+/**
+ * Determines whether a relation describes an area made of rings.
+ *
+ * @param {Object} relation - The relation object containing tags.
+ * @returns {boolean} True if the relation is a multipolygon or boundary.
+ */
+export function isAreaRelation(relation) {
+    return relation.tags.some(({ key, value }) => key === "type" && AREA_RELATION_TYPES.includes(value));
+}
+
+/**
+ * Joins way segments, given as lists of node IDs, into rings.
+ *
+ * Closed segments are rings already.  Open segments are chained together wherever the
+ * end of one matches the start or end of another, reversing segments as needed, until
+ * the chain closes.  Chains which cannot be closed, such as those cut off at the edge of
+ * the downloaded area, are returned separately.
+ *
+ * @param {Array<Array<string>>} segments - The node IDs of each segment.
+ * @returns {{rings: Array<Array<string>>, unclosed: Array<Array<string>>}} The closed rings
+ *  and the chains which could not be closed.
+ */
+export function joinSegments(segments) {
+    const rings = [];
+    const unclosed = [];
+    const open = [];
+
+    for (const segment of segments) {
+        if (segment.length < 2) continue;
+        if (segment.length > 3 && segment[0] === segment[segment.length - 1]) {
+            rings.push(segment);
+        } else {
+            open.push(segment);
+        }
+    }
+
+    while (open.length > 0) {
+        let chain = open.shift();
+
+        while (chain[0] !== chain[chain.length - 1]) {
+            const end = chain[chain.length - 1];
+            const index = open.findIndex(segment => segment[0] === end || segment[segment.length - 1] === end);
+            if (index === -1) break;
+
+            const [segment] = open.splice(index, 1);
+            const oriented = segment[0] === end ? segment : [...segment].reverse();
+            chain = chain.concat(oriented.slice(1));
+        }
+
+        if (chain.length > 3 && chain[0] === chain[chain.length - 1]) {
+            rings.push(chain);
+        } else {
+            unclosed.push(chain);
+        }
+    }
+    return { rings, unclosed };
+}
+
+/**
+ * Assembles the outer and inner rings of an area relation.
+ *
+ * Way members with the role 'inner' form the inner rings; all other way members, including
+ * those without a role, form the outer rings.  Members whose ways are not loaded are skipped.
+ *
+ * @param {Object} relation - The relation object containing members.
+ * @param {Map<string, Object>} waysById - A map where keys are way IDs and values are way objects.
+ * @returns {{outer: Array<Array<string>>, inner: Array<Array<string>>, unclosed: Array<Array<string>>}}
+ *  The rings as lists of node IDs, and any segments which could not be closed.
+ */
+export function assembleRings(relation, waysById) {
+    const outerSegments = [];
+    const innerSegments = [];
+
+    for (const member of relation.members) {
+        const way = member.type === "way" ? waysById.get(member.ref) : null;
+        if (!way) continue;
+
+        (member.role === "inner" ? innerSegments : outerSegments).push(way.nodes);
+    }
+
+    const outer = joinSegments(outerSegments);
+    const inner = joinSegments(innerSegments);
+    return {
+        outer: outer.rings,
+        inner: inner.rings,
+        unclosed: [...outer.unclosed, ...inner.unclosed]
+    };
+}
+
+/**
+ * Assembles and caches the rings of every area relation in a dataset.
+ *
+ * Each multipolygon or boundary relation is annotated with its assembled rings as 'rings';
+ * other relations are left without them, and are drawn member by member.
+ *
+ * @param {Array<Object>} relations - The relation objects of the dataset.
+ * @param {Map<string, Object>} waysById - A map where keys are way IDs and values are way objects.
+ * @returns {void}
+ */
+export function assembleAreaRelations(relations, waysById) {
+    for (const relation of relations) {
+        if (isAreaRelation(relation)) {
+            relation.rings = assembleRings(relation, waysById);
+        }
+    }
+}
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview
+ * OpenStreetMap XML serialisation module for writing the stored elements back out as XML.
+ *
+ * The following script regenerates the XML fragment of a node, way, or relation from the
+ * objects produced by 'parse-data.js', with the same attributes, <nd> references, members,
+ * and tags as were downloaded from the OSM API.  Fragments can also be wrapped in an <osm>
+ * document, so that they can be saved as a '.osm' file and opened by other editors.
+ */
+import { logMessage, MessageScope, MessageOutput } from './log-message.js';
+
+/**
+ * The attributes written for every element, in the order used by the OSM API, after the id.
+ * @constant {Array<string>}
+ */
+const METADATA_ATTRIBUTES = ["visible", "version", "changeset", "timestamp", "user", "uid"];
+
+/**
+ * The characters which must be escaped within an attribute value, and their entities.
+ * @constant {Object<string, string>}
+ */
+const XML_ESCAPES = Object.freeze({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    "\"": "&quot;",
+    "'": "&apos;",
+    "\n": "&#10;",
+    "\r": "&#13;",
+    "\t": "&#9;"
+});
+
+/**
+ * The indentation used for each level of nesting within the generated XML.
+ * @constant {string}
+ */
+const INDENT = "  ";
+
+/**
+ * Escapes a value for use within a double-quoted XML attribute.
+ *
+ * @param {*} value - The attribute value.
+ * @returns {string} The escaped attribute value.
+ */
+export const escapeXML = (value) => String(value).replace(/[&<>"'\n\r\t]/g, (character) => XML_ESCAPES[character]);
+
+/**
+ * Formats a list of attributes, skipping any which are null or undefined.
+ *
+ * @private
+ * @param {Array<[string, *]>} attributes - The attribute names and values, in order.
+ * @returns {string} The attributes, each preceded by a space.
+ */
+const formatAttributes = (attributes) => attributes
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => ` ${name}="${escapeXML(value)}"`)
+    .join("");
+
+/**
+ * Formats a single XML element, as an empty-element tag when it has no children.
+ *
+ * @private
+ * @param {string} name - The tag name of the element.
+ * @param {Array<[string, *]>} attributes - The attribute names and values, in order.
+ * @param {Array<string>} children - The formatted child elements.
+ * @param {string} indent - The indentation of the element.
+ * @returns {string} The formatted element.
+ */
+const formatElement = (name, attributes, children, indent) => {
+    const start = `${indent}<${name}${formatAttributes(attributes)}`;
+    if (children.length === 0) return `${start}/>`;
+    return [`${start}>`, ...children, `${indent}</${name}>`].join("\n");
+};
+
+/**
+ * Serialises a node, way, or relation into its OSM XML fragment.
+ *
+ * @param {string} type - The element type: 'node', 'way', or 'relation'.
+ * @param {Object} element - The element object, as produced by 'parse-data.js'.
+ * @param {string} [indent=""] - The indentation of the fragment.
+ * @returns {string} The XML fragment of the element.
+ * @throws {Error} If the type is not an OSM element type.
+ */
+export function serializeElement(type, element, indent = "") {
+    const childIndent = indent + INDENT;
+    const attributes = [["id", element.id], ...METADATA_ATTRIBUTES.map(name => [name, element[name]])];
+    const children = [];
+
+    if (type === "node") {
+        attributes.push(["lat", element.lat], ["lon", element.lon]);
+    } else if (type === "way") {
+        element.nodes.forEach(ref => children.push(formatElement("nd", [["ref", ref]], [], childIndent)));
+    } else if (type === "relation") {
+        element.members.forEach(member => children.push(formatElement("member",
+            [["type", member.type], ["ref", member.ref], ["role", member.role]], [], childIndent)));
+    } else {
+        logMessage(MessageScope.PARSING, MessageOutput.CONSOLE, `Unknown OSM element type: ${type}`);
+        throw new Error(`Unknown OSM element type: ${type}`);
+    }
+
+    element.tags.forEach(({ key, value }) => children.push(formatElement("tag", [["k", key], ["v", value]], [], childIndent)));
+    return formatElement(type, attributes, children, indent);
+}
+
+/**
+ * Serialises a list of elements into a complete OSM XML document.
+ *
+ * @param {Array<{type: string, element: Object}>} features - The elements and their types.
+ * @returns {string} The XML document, with an <osm> root element.
+ */
+export function serializeDocument(features) {
+    return [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<osm version="0.6" generator="offline-map">`,
+        ...features.map(({ type, element }) => serializeElement(type, element, INDENT)),
+        `</osm>`,
+        ""
+    ].join("\n");
+}
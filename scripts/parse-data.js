@@ -25,59 +25,131 @@ const parseElements = (xmlDoc, tagName, transform) => {
  * Parses an XML string containing OpenStreetMap data into JavaScript objects.
  *
  * @param {string} xmlString - The XML string representing the OSM data.
- * @returns {{nodes: Array, ways: Array, relations: Array}} An object containing arrays of parsed nodes, ways, and relations.
+ * @returns {{bounds: Object|null, nodes: Array, ways: Array, relations: Array}} An object 
+ *  containing the <bounds> of the data, if present, and arrays of parsed nodes, ways, and relations.
  * @throws {Error} If the XML string is invalid or if the parsing fails.
  */
 export const parseOSMData = (xmlString) => {
     const xml = parseXMLString(xmlString);
 
     return {
+        bounds: parseBounds(xml),
         nodes: parseNodes(xml),
         ways: parseWays(xml),
         relations: parseRelations(xml)
     };
 };
 
+/**
+ * Parses the <bounds> element within the XML document.
+ *
+ * @param {Document} xmlDoc - The XML Document to parse.
+ * @returns {Object|null} The bounding box of the data, or null if there is no <bounds> element.
+ */
+const parseBounds = (xmlDoc) => parseElements(xmlDoc, "bounds", transformBounds)[0] ?? null;
+
 /**
  * Parses all <node> elements within the XML document.
  *
  * @param {Document} xmlDoc - The XML Document to parse.
- * @returns {Array} An array of node objects, each containing id, lat, lon, and tags.
+ * @returns {Array} An array of node objects, each containing id, the edit metadata, lat, lon, and tags.
+ */
+const parseNodes = (xmlDoc) => parseElements(xmlDoc, "node", transformNode);
+
+/**
+ * Parses all <way> elements within the XML document.
+ *
+ * @param {Document} xmlDoc - The XML Document to parse.
+ * @returns {Array} An array of way objects, each containing id, the edit metadata, an array of node references, and tags.
+ */
+const parseWays = (xmlDoc) => parseElements(xmlDoc, "way", transformWay);
+
+/**
+ * Parses all <relation> elements within the XML document.
+ *
+ * @param {Document} xmlDoc - The XML Document to parse.
+ * @returns {Array} An array of relation objects, each containing id, the edit metadata, an array of members, and tags.
+ */
+const parseRelations = (xmlDoc) => parseElements(xmlDoc, "relation", transformRelation);
+
+/**
+ * Transforms the <bounds> element, which the OSM API uses to record the area that was
+ * requested, into a bounding box.
+ *
+ * @param {Element} bounds - The <bounds> element to transform.
+ * @returns {{minLon: number, minLat: number, maxLon: number, maxLat: number}} The bounding box.
+ */
+export const transformBounds = (bounds) => ({
+    minLon: getAttribute(bounds, "minlon", parseFloat),
+    minLat: getAttribute(bounds, "minlat", parseFloat),
+    maxLon: getAttribute(bounds, "maxlon", parseFloat),
+    maxLat: getAttribute(bounds, "maxlat", parseFloat)
+});
+
+/**
+ * Extracts the edit metadata which the OSM API attaches to every node, way, and relation.
+ *
+ * Each attribute is optional, and is set to null when missing, so that the metadata can be
+ * written back out as it was downloaded by 'osm-xml.js'.
+ *
+ * @param {Element} element - The <node>, <way>, or <relation> element.
+ * @returns {Object} The metadata containing version, timestamp, changeset, uid, user, and visible.
  */
-const parseNodes = (xmlDoc) => parseElements(xmlDoc, "node", (node) => ({
+const extractMetadata = (element) => ({
+    version: getOptionalAttribute(element, "version", parseInt),
+    timestamp: getOptionalAttribute(element, "timestamp", String),
+    changeset: getOptionalAttribute(element, "changeset", parseInt),
+    uid: getOptionalAttribute(element, "uid", parseInt),
+    user: getOptionalAttribute(element, "user", String),
+    visible: getOptionalAttribute(element, "visible", (val) => val === "true")
+});
+
+/**
+ * Transforms a single <node> element into a node object.
+ *
+ * Accepts any element exposing getAttribute, hasAttribute, and getElementsByTagName, 
+ * so that both DOM elements and the elements of the streaming parser share one shape.
+ *
+ * @param {Element} node - The <node> element to transform.
+ * @returns {Object} The node object containing id, the edit metadata, lat, lon, and tags.
+ */
+export const transformNode = (node) => ({
     id: getAttribute(node, "id", String),
+    ...extractMetadata(node),
     lat: getAttribute(node, "lat", parseFloat),
     lon: getAttribute(node, "lon", parseFloat),
     tags: extractTags(node)
-}));
+});
 
 /**
- * Parses all <way> elements within the XML document.
+ * Transforms a single <way> element into a way object.
  *
- * @param {Document} xmlDoc - The XML Document to parse.
- * @returns {Array} An array of way objects, each containing id, an array of node references, and tags.
+ * @param {Element} way - The <way> element to transform.
+ * @returns {Object} The way object containing id, the edit metadata, an array of node references, and tags.
  */
-const parseWays = (xmlDoc) => parseElements(xmlDoc, "way", (way) => ({
+export const transformWay = (way) => ({
     id: getAttribute(way, "id", String),
+    ...extractMetadata(way),
     nodes: parseElements(way, "nd", (nd) => getAttribute(nd, "ref", String)),
     tags: extractTags(way)
-}));
+});
 
 /**
- * Parses all <relation> elements within the XML document.
+ * Transforms a single <relation> element into a relation object.
  *
- * @param {Document} xmlDoc - The XML Document to parse.
- * @returns {Array} An array of relation objects, each containing id, an array of members, and tags.
+ * @param {Element} relation - The <relation> element to transform.
+ * @returns {Object} The relation object containing id, the edit metadata, an array of members, and tags.
  */
-const parseRelations = (xmlDoc) => parseElements(xmlDoc, "relation", (relation) => ({
+export const transformRelation = (relation) => ({
     id: getAttribute(relation, "id", String),
+    ...extractMetadata(relation),
     members: parseElements(relation, "member", (member) => ({
         type: getAttribute(member, "type", String),
         ref: getAttribute(member, "ref", String),
         role: getAttribute(member, "role", String)
     })),
     tags: extractTags(relation)
-}));
+});
 
 /**
  * Extracts the tag data from an XML element.
@@ -122,6 +194,22 @@ function getAttribute(element, attributeName, parser = (val) => val) {
     return parsed;
 }
 
+/**
+ * Extracts and parses an optional attribute from the provided XML element.
+ *
+ * @param {Element} element - The XML element from which the attribute is extracted.
+ * @param {string} attributeName - The name of the attribute to retrieve.
+ * @param {Function} [parser=(val) => val] - A parser function to convert the attribute.
+ * @returns {*} The parsed attribute value, or null if the attribute is missing.
+ * @throws {Error} If the attribute is present but its value is invalid.
+ */
+function getOptionalAttribute(element, attributeName, parser = (val) => val) {
+    if (!element.hasAttribute(attributeName)) {
+        return null;
+    }
+    return getAttribute(element, attributeName, parser);
+}
+
 /**
  * Parses the provided string into an XML Document.
  *
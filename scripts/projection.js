@@ -0,0 +1,75 @@
+/**
+ * @fileoverview
+ * Map projection module for converting between geographic and projected coordinates.
+ *
+ * The following script provides the Web Mercator projection used for displaying the map,
+ * with forward and inverse functions, so that positions on the canvas can be converted
+ * back to latitude and longitude exactly.
+ */
+
+/**
+ * The equatorial radius of the WGS 84 ellipsoid in metres, as used by Web Mercator.
+ * @constant {number}
+ */
+export const EARTH_RADIUS = 6378137;
+
+/**
+ * The latitude limit of Web Mercator, beyond which the projection is undefined.
+ * @constant {number}
+ */
+export const MAX_MERCATOR_LATITUDE = 85.0511287798;
+
+/**
+ * Converts an angle from degrees to radians.
+ *
+ * @param {number} degrees - The angle in degrees.
+ * @returns {number} The angle in radians.
+ */
+export const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Converts an angle from radians to degrees.
+ *
+ * @param {number} radians - The angle in radians.
+ * @returns {number} The angle in degrees.
+ */
+export const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * The spherical Web Mercator projection (EPSG:3857), in metres.
+ *
+ * Latitudes are clamped to the limits of the projection.  Being conformal, the projection
+ * preserves shapes locally, while its scale grows with the secant of the latitude.
+ *
+ * @constant {{forward: Function, inverse: Function}}
+ */
+export const webMercator = Object.freeze({
+    /**
+     * Projects a geographic position to Web Mercator coordinates.
+     *
+     * @param {number} lon - The longitude in degrees.
+     * @param {number} lat - The latitude in degrees.
+     * @returns {{x: number, y: number}} The projected position in metres, y increasing northwards.
+     */
+    forward(lon, lat) {
+        const clampedLat = Math.max(-MAX_MERCATOR_LATITUDE, Math.min(MAX_MERCATOR_LATITUDE, lat));
+        return {
+            x: EARTH_RADIUS * toRadians(lon),
+            y: EARTH_RADIUS * Math.log(Math.tan(Math.PI / 4 + toRadians(clampedLat) / 2))
+        };
+    },
+
+    /**
+     * Converts Web Mercator coordinates back to a geographic position.
+     *
+     * @param {number} x - The projected easting in metres.
+     * @param {number} y - The projected northing in metres.
+     * @returns {{lon: number, lat: number}} The geographic position in degrees.
+     */
+    inverse(x, y) {
+        return {
+            lon: toDegrees(x / EARTH_RADIUS),
+            lat: toDegrees(2 * Math.atan(Math.exp(y / EARTH_RADIUS)) - Math.PI / 2)
+        };
+    }
+});
@@ -0,0 +1,381 @@
+/**
+ * @fileoverview
+ * Regions module for managing the catalogue of named offline regions.
+ *
+ * The following script provides the functions to create, list, update, and delete the
+ * offline regions stored in the IndexedDB database, where each region records its name,
+ * bounding box, the <bounds> reported by the OSM API, download date, and element counts.
+ * It also binds the region selector and delete button, allowing the user to switch between
+ * and remove stored regions, and describes how long ago the active region was downloaded.
+ */
+
+import { requestPromise } from './migrations.js';
+import { STORE_NAMES, ELEMENT_STORE_NAMES, REGION_INDEX } from './indexedDB.js';
+import { logMessage, MessageScope, MessageOutput } from './log-message.js';
+
+/**
+ * The key used for storing the identifier of the active region in localStorage.
+ * @constant {string}
+ */
+const STORAGE_KEY_ACTIVE_REGION = "activeRegion";
+
+/**
+ * The ID of the select element which lists the stored regions.
+ * @constant {string}
+ */
+const REGION_SELECT_ID = "regionSelect";
+
+/**
+ * The ID of the element which describes the active region.
+ * @constant {string}
+ */
+const REGION_DETAILS_ID = "regionDetails";
+
+/**
+ * The ID of the button which resumes the pending tiles of the active region.
+ * @constant {string}
+ */
+const RESUME_TILES_ID = "resumeTiles";
+
+/**
+ * The number of milliseconds in one day.
+ * @constant {number}
+ */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Wraps an IndexedDB transaction in a promise that resolves when the transaction completes.
+ *
+ * @private
+ * @param {IDBTransaction} transaction - The transaction to monitor.
+ * @returns {Promise<void>} A promise that resolves when the transaction completes successfully.
+ */
+function transactionPromise(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => {
+            const errorMessage = `Transaction error: ${event.target.error}`;
+            logMessage(MessageScope.REGIONS, MessageOutput.CONSOLE, errorMessage);
+            reject(new Error(errorMessage));
+        };
+    });
+}
+
+/**
+ * Creates a new region in the catalogue.
+ *
+ * @param {IDBDatabase} database - The IndexedDB database instance.
+ * @param {string} name - The display name of the region.
+ * @param {{minLon: number, minLat: number, maxLon: number, maxLat: number}} bbox - The bounding box of the region.
+ * @returns {Promise<Object>} A promise that resolves to the stored region, including its generated id.
+ */
+export async function createRegion(database, name, bbox) {
+    const region = {
+        name,
+        bbox,
+        bounds: null,
+        downloadedAt: new Date().toISOString(),
+        counts: { nodes: 0, ways: 0, relations: 0 }
+    };
+
+    const transaction = database.transaction([STORE_NAMES.REGIONS], "readwrite");
+    region.id = await requestPromise(transaction.objectStore(STORE_NAMES.REGIONS).add(region));
+    await transactionPromise(transaction);
+
+    logMessage(MessageScope.REGIONS, MessageOutput.CONSOLE, `Created region '${name}' (${region.id})`);
+    return region;
+}
+
+/**
+ * Retrieves every region from the catalogue, ordered by download date.
+ *
+ * @param {IDBDatabase} database - The IndexedDB database instance.
+ * @returns {Promise<Array<Object>>} A promise that resolves to the array of regions.
+ */
+export async function getRegions(database) {
+    const transaction = database.transaction([STORE_NAMES.REGIONS], "readonly");
+    const regions = await requestPromise(transaction.objectStore(STORE_NAMES.REGIONS).getAll());
+    return regions.sort((a, b) => a.downloadedAt.localeCompare(b.downloadedAt));
+}
+
+/**
+ * Retrieves a single region from the catalogue.
+ *
+ * @param {IDBDatabase} database - The IndexedDB database instance.
+ * @param {number} regionId - The identifier of the region.
+ * @returns {Promise<Object|undefined>} A promise that resolves to the region, if it exists.
+ */
+export async function getRegion(database, regionId) {
+    const transaction = database.transaction([STORE_NAMES.REGIONS], "readonly");
+    return requestPromise(transaction.objectStore(STORE_NAMES.REGIONS).get(regionId));
+}
+
+/**
+ * Updates an existing region in the catalogue.
+ *
+ * @param {IDBDatabase} database - The IndexedDB database instance.
+ * @param {Object} region - The region to store, including its id.
+ * @returns {Promise<void>} A promise that resolves once the region has been stored.
+ */
+export async function updateRegion(database, region) {
+    const transaction = database.transaction([STORE_NAMES.REGIONS], "readwrite");
+    transaction.objectStore(STORE_NAMES.REGIONS).put(region);
+    await transactionPromise(transaction);
+}
+
+/**
+ * Counts the elements stored for a region in each of the element stores.
+ *
+ * @param {IDBDatabase} database - The IndexedDB database instance.
+ * @param {number} regionId - The identifier of the region.
+ * @returns {Promise<{nodes: number, ways: number, relations: number}>} A promise that resolves 
+ *  to the number of nodes, ways, and relations belonging to the region.
+ */
+export async function countRegionElements(database, regionId) {
+    const transaction = database.transaction(ELEMENT_STORE_NAMES, "readonly");
+    const [nodes, ways, relations] = await Promise.all(ELEMENT_STORE_NAMES.map(storeName =>
+        requestPromise(transaction.objectStore(storeName).index(REGION_INDEX).count(IDBKeyRange.only(regionId)))
+    ));
+    return { nodes, ways, relations };
+}
+
+/**
+ * Calculates the smallest bounding box which encloses both of the given bounding boxes.
+ *
+ * @param {{minLon: number, minLat: number, maxLon: number, maxLat: number} | null} bboxA - The first bounding box.
+ * @param {{minLon: number, minLat: number, maxLon: number, maxLat: number}} bboxB - The second bounding box.
+ * @returns {{minLon: number, minLat: number, maxLon: number, maxLat: number}} The enclosing bounding box.
+ */
+export function unionBoundingBox(bboxA, bboxB) {
+    if (!bboxA) return { ...bboxB };
+    return {
+        minLon: Math.min(bboxA.minLon, bboxB.minLon),
+        minLat: Math.min(bboxA.minLat, bboxB.minLat),
+        maxLon: Math.max(bboxA.maxLon, bboxB.maxLon),
+        maxLat: Math.max(bboxA.maxLat, bboxB.maxLat)
+    };
+}
+
+/**
+ * Deletes a region from the catalogue along with every element that belongs to it.
+ *
+ * The elements of the other regions are left untouched, as the deletion walks the
+ * region index of each element store and only removes the matching records.
+ *
+ * @param {IDBDatabase} database - The IndexedDB database instance.
+ * @param {number} regionId - The identifier of the region to delete.
+ * @returns {Promise<void>} A promise that resolves once the region has been deleted.
+ */
+export async function deleteRegion(database, regionId) {
+    const transaction = database.transaction([...ELEMENT_STORE_NAMES, STORE_NAMES.REGIONS], "readwrite");
+
+    for (const storeName of ELEMENT_STORE_NAMES) {
+        const request = transaction.objectStore(storeName).index(REGION_INDEX).openKeyCursor(IDBKeyRange.only(regionId));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            transaction.objectStore(storeName).delete(cursor.primaryKey);
+            cursor.continue();
+        };
+    }
+    transaction.objectStore(STORE_NAMES.REGIONS).delete(regionId);
+
+    await transactionPromise(transaction);
+    logMessage(MessageScope.REGIONS, MessageOutput.CONSOLE, `Deleted region ${regionId}`);
+}
+
+/**
+ * Sets the active region of the renderer and persists the choice to localStorage.
+ *
+ * The cached elements of the renderer are discarded, so that the next render fetches
+ * the elements of the newly active region.
+ *
+ * @param {Object} renderer - The renderer instance.
+ * @param {number|null} regionId - The identifier of the region, or null for no region.
+ * @returns {void}
+ */
+export function setActiveRegion(renderer, regionId) {
+    renderer.activeRegionId = regionId;
+    renderer.cacheReady = false;
+
+    if (regionId === null) {
+        localStorage.removeItem(STORAGE_KEY_ACTIVE_REGION);
+    } else {
+        localStorage.setItem(STORAGE_KEY_ACTIVE_REGION, regionId);
+    }
+}
+
+/**
+ * Reads the identifier of the previously active region from localStorage.
+ *
+ * @returns {number|null} The stored region identifier, or null if none is stored.
+ */
+export function getStoredActiveRegion() {
+    const stored = localStorage.getItem(STORAGE_KEY_ACTIVE_REGION);
+    return stored === null ? null : parseInt(stored, 10);
+}
+
+/**
+ * Describes how long ago a date was, in whole days.
+ *
+ * @param {string} isoDate - The date as an ISO 8601 string.
+ * @returns {string} The age of the date, such as 'today' or '12 days ago'.
+ */
+export function formatAge(isoDate) {
+    const days = Math.floor((Date.now() - new Date(isoDate).getTime()) / MS_PER_DAY);
+    if (days <= 0) return "today";
+    return days === 1 ? "1 day ago" : `${days} days ago`;
+}
+
+/**
+ * Formats a short description of a region for the region details element.
+ *
+ * @private
+ * @param {Object} region - The region to describe.
+ * @returns {string} The description of the region.
+ */
+function describeRegion(region) {
+    const date = `${new Date(region.downloadedAt).toLocaleString()} (${formatAge(region.downloadedAt)})`;
+    const { nodes, ways, relations } = region.counts;
+    const bbox = region.bbox
+        ? `${region.bbox.minLon}, ${region.bbox.minLat}, ${region.bbox.maxLon}, ${region.bbox.maxLat}`
+        : "unknown";
+
+    const pending = region.pendingTiles?.length ? ` ${region.pendingTiles.length} tiles pending.` : "";
+
+    return `[Region]: ${bbox}. Downloaded ${date}. ${nodes} nodes, ${ways} ways, ${relations} relations.${pending}`;
+}
+
+/**
+ * Repopulates the region selector from the catalogue and describes the active region.
+ *
+ * If the active region of the renderer no longer exists, the first stored region is
+ * made active instead, or no region if the catalogue is empty.  The resume button is
+ * only enabled while the active region has tiles which failed to load.
+ *
+ * @param {IDBDatabase} database - The IndexedDB database instance.
+ * @param {Object} renderer - The renderer instance.
+ * @returns {Promise<void>} A promise that resolves once the selector has been updated.
+ */
+export async function refreshRegionList(database, renderer) {
+    const select = document.getElementById(REGION_SELECT_ID);
+    const details = document.getElementById(REGION_DETAILS_ID);
+    const resumeBtn = document.getElementById(RESUME_TILES_ID);
+    const regions = await getRegions(database);
+
+    if (!regions.some(region => region.id === renderer.activeRegionId)) {
+        setActiveRegion(renderer, regions.length > 0 ? regions[0].id : null);
+    }
+
+    if (select) {
+        select.replaceChildren(...regions.map(region => {
+            const option = document.createElement("option");
+            option.value = region.id;
+            option.textContent = region.name;
+            option.selected = region.id === renderer.activeRegionId;
+            return option;
+        }));
+        select.disabled = regions.length === 0;
+    }
+
+    const activeRegion = regions.find(region => region.id === renderer.activeRegionId);
+    if (details) {
+        details.textContent = activeRegion ? describeRegion(activeRegion) : "[Region]: No regions stored.";
+    }
+    if (resumeBtn) {
+        resumeBtn.disabled = !activeRegion?.pendingTiles?.length;
+    }
+}
+
+/**
+ * Sets up the region selector and the delete region button.
+ *
+ * Selecting a region makes it the active region and re-renders the map, whereas the
+ * delete button removes the active region and its elements from the database.
+ *
+ * @param {HTMLSelectElement} regionSelect - The select element listing the regions.
+ * @param {HTMLButtonElement} deleteRegionBtn - The button which deletes the active region.
+ * @param {Object} renderer - The renderer instance.
+ * @param {IDBDatabase} database - The IndexedDB database instance.
+ * @returns {Promise<void>} A promise that resolves once the region list has been populated.
+ */
+export async function setupRegionControls(regionSelect, deleteRegionBtn, renderer, database) {
+    regionSelect.addEventListener("change", async () => {
+        setActiveRegion(renderer, parseInt(regionSelect.value, 10));
+        resetView(renderer);
+        await refreshRegionList(database, renderer);
+        renderer.render(database, renderer.showNodes);
+    });
+
+    deleteRegionBtn.addEventListener("click", async () => {
+        if (renderer.activeRegionId === null) return;
+
+        try {
+            await deleteRegion(database, renderer.activeRegionId);
+            setActiveRegion(renderer, null);
+            resetView(renderer);
+
+            await refreshRegionList(database, renderer);
+            renderer.clear();
+            renderer.render(database, renderer.showNodes);
+
+            logMessage(MessageScope.REGIONS, MessageOutput.BOTH, "Region deleted successfully");
+        } catch (error) {
+            logMessage(MessageScope.REGIONS, MessageOutput.BOTH, `Error deleting region: ${error.message}`);
+        }
+    });
+
+    try {
+        await refreshRegionList(database, renderer);
+        renderer.render(database, renderer.showNodes);
+    } catch (error) {
+        logMessage(MessageScope.REGIONS, MessageOutput.CONSOLE, `Error listing regions: ${error.message}`);
+    }
+}
+
+/**
+ * Persists the current zoom level and pan offsets of the renderer to localStorage.
+ *
+ * @param {Object} renderer - The renderer instance.
+ * @returns {void}
+ */
+export function storeView(renderer) {
+    localStorage.setItem("zoomLevel", renderer.zoomLevel);
+    localStorage.setItem("offsetX", renderer.offsetX);
+    localStorage.setItem("offsetY", renderer.offsetY);
+}
+
+/**
+ * Pans and zooms the renderer to an element of the active region, persisting the view.
+ *
+ * @param {Object} renderer - The map renderer instance.
+ * @param {string} type - The element type: 'node', 'way', or 'relation'.
+ * @param {Object} element - The element to show.
+ * @returns {boolean} True if the view was moved, or false if the element has no loaded nodes.
+ */
+export function focusOnElement(renderer, type, element) {
+    const bounds = renderer.getElementBounds(type, element);
+    if (!bounds) return false;
+
+    renderer.focusOn(bounds);
+    storeView(renderer);
+    return true;
+}
+
+/**
+ * Resets the zoom level and pan offsets of the renderer, and persists them to localStorage.
+ *
+ * @param {Object} renderer - The renderer instance.
+ * @returns {void}
+ */
+export function resetView(renderer) {
+    renderer.zoomLevel = 2.0;
+    renderer.offsetX = 0;
+    renderer.offsetY = 0;
+    renderer.currentOffsetX = 0;
+    renderer.currentOffsetY = 0;
+
+    localStorage.setItem("zoomLevel", "2.0");
+    localStorage.setItem("offsetX", "0");
+    localStorage.setItem("offsetY", "0");
+}
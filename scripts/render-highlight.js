@@ -0,0 +1,150 @@
+/**
+ * @fileoverview
+ * Render Highlight module for marking the chosen features on top of the rendered map.
+ *
+ * The following script draws the highlight layer of the renderer above the other layers
+ * and labels: the highlighted nodes are circled with a ring, and the highlighted ways and
+ * the member ways of highlighted relations are traced with a glowing outline, so that the
+ * features stand out at any zoom level.  The current feature of the selection, the one
+ * cycled to with 'highlights.js', is drawn in a stronger colour than the rest, and the
+ * rest of the map can be dimmed beneath the highlights with a translucent wash.
+ */
+
+/**
+ * The colour of the highlighted features.
+ * @constant {string}
+ * @default "#e0592ac0"
+ */
+const HIGHLIGHT_COLOUR = "#e0592ac0";
+
+/**
+ * The colour of the current feature of the selection.
+ * @constant {string}
+ * @default "#c2185bf0"
+ */
+const CURRENT_HIGHLIGHT_COLOUR = "#c2185bf0";
+
+/**
+ * The colour of the glow around the highlighted features.
+ * @constant {string}
+ * @default "#ffd54f"
+ */
+const GLOW_COLOUR = "#ffd54f";
+
+/**
+ * The blur radius in pixels of the glow around the highlighted features.
+ * @constant {number}
+ * @default 12
+ */
+const GLOW_BLUR = 12;
+
+/**
+ * The colour of the wash drawn over the map when the rest of the map is dimmed.
+ * @constant {string}
+ * @default "#fdfdfdb0"
+ */
+const DIM_WASH_COLOUR = "#fdfdfdb0";
+
+/**
+ * The width in pixels of the outline traced along highlighted ways.
+ * @constant {number}
+ * @default 6
+ */
+const HIGHLIGHT_LINE_WIDTH = 6;
+
+/**
+ * The radius in pixels of the ring drawn around highlighted nodes.
+ * @constant {number}
+ * @default 12
+ */
+const HIGHLIGHT_RING_RADIUS = 12;
+
+/**
+ * Traces the nodes of a way which are positioned on the canvas.
+ *
+ * @private
+ * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context.
+ * @param {number} canvasHeight - The height of the canvas.
+ * @param {Object} way - The way to trace.
+ * @param {Map<string, Object>} nodesMap - A map of node IDs to canvas coordinates.
+ * @returns {void}
+ */
+const traceWay = (ctx, canvasHeight, way, nodesMap) => {
+    const nodes = way.nodes.map(ref => nodesMap.get(ref)).filter(Boolean);
+    if (nodes.length < 2) return;
+
+    ctx.moveTo(nodes[0].x, canvasHeight - nodes[0].y);
+    for (let i = 1; i < nodes.length; i++) {
+        ctx.lineTo(nodes[i].x, canvasHeight - nodes[i].y);
+    }
+};
+
+/**
+ * Draws the outline of a single highlighted feature.
+ *
+ * @private
+ * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context.
+ * @param {number} canvasHeight - The height of the canvas.
+ * @param {{type: string, element: Object}} feature - The highlighted feature.
+ * @param {Map<string, Object>} nodesMap - A map of node IDs to canvas coordinates.
+ * @param {Map<string, Object>} waysById - The loaded ways by ID, for the members of relations.
+ * @returns {void}
+ */
+const drawFeatureOutline = (ctx, canvasHeight, { type, element }, nodesMap, waysById) => {
+    ctx.beginPath();
+
+    if (type === "node") {
+        const node = nodesMap.get(element.id);
+        if (!node) return;
+
+        ctx.lineWidth = HIGHLIGHT_LINE_WIDTH / 2;
+        ctx.arc(node.x, canvasHeight - node.y, HIGHLIGHT_RING_RADIUS, 0, Math.PI * 2);
+    } else {
+        ctx.lineWidth = HIGHLIGHT_LINE_WIDTH;
+        const ways = type === "way" ? [element] : element.members
+            .filter(member => member.type === "way")
+            .map(member => waysById.get(member.ref))
+            .filter(Boolean);
+        ways.forEach(way => traceWay(ctx, canvasHeight, way, nodesMap));
+    }
+    ctx.stroke();
+};
+
+/**
+ * Draws the highlight layer on the canvas.
+ *
+ * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context.
+ * @param {HTMLCanvasElement} canvas - The canvas element.
+ * @param {Array<{type: string, element: Object}>} features - The highlighted features.
+ * @param {number} currentIndex - The index of the current feature, drawn last and strongest.
+ * @param {boolean} dimOthers - Whether the rest of the map is dimmed beneath the highlights.
+ * @param {Map<string, Object>} nodesMap - A map of node IDs to canvas coordinates, holding
+ *  the nodes of the features.
+ * @param {Map<string, Object>} waysById - The loaded ways by ID, for the members of relations.
+ * @returns {void}
+ */
+export const drawHighlights = (ctx, canvas, features, currentIndex, dimOthers, nodesMap, waysById) => {
+    ctx.save();
+
+    if (dimOthers) {
+        ctx.fillStyle = DIM_WASH_COLOUR;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.shadowBlur = GLOW_BLUR;
+    ctx.shadowColor = GLOW_COLOUR;
+
+    ctx.strokeStyle = HIGHLIGHT_COLOUR;
+    features.forEach((feature, index) => {
+        if (index !== currentIndex) drawFeatureOutline(ctx, canvas.height, feature, nodesMap, waysById);
+    });
+
+    if (features[currentIndex]) {
+        ctx.strokeStyle = CURRENT_HIGHLIGHT_COLOUR;
+        drawFeatureOutline(ctx, canvas.height, features[currentIndex], nodesMap, waysById);
+    }
+
+    ctx.restore();
+};
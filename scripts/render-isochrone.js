@@ -0,0 +1,89 @@
+/**
+ * @fileoverview
+ * Render Isochrone module for drawing the reachable road network on top of the map.
+ *
+ * The following script draws the road segments found by 'isochrone.js' as wide lines
+ * coloured by the travel time to them, from green near the start to red at the limit of
+ * the time, with a marker at the start point.
+ */
+
+/**
+ * The width in pixels of the reachable road lines.
+ * @constant {number}
+ * @default 4
+ */
+const ISOCHRONE_LINE_WIDTH = 4;
+
+/**
+ * The hues of the quickest and slowest reachable roads, in degrees.
+ * @constant {{start: number, end: number}}
+ */
+const ISOCHRONE_HUES = Object.freeze({ start: 120, end: 0 });
+
+/**
+ * The opacity of the reachable road lines, so the roads beneath remain readable.
+ * @constant {number}
+ * @default 0.8
+ */
+const ISOCHRONE_ALPHA = 0.8;
+
+/**
+ * The colour of the start marker.
+ * @constant {string}
+ * @default "#2e9d4f"
+ */
+const START_COLOUR = "#2e9d4f";
+
+/**
+ * The radius in pixels of the start marker.
+ * @constant {number}
+ * @default 7
+ */
+const START_RADIUS = 7;
+
+/**
+ * Draws the reachable road network on the canvas.
+ *
+ * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context.
+ * @param {number} canvasHeight - The height of the canvas.
+ * @param {{startId: string, maxDuration: number, segments: Array<Object>}} isochrone - The
+ *  reachable area, as the segments of 'isochrone.js'.
+ * @param {Map<string, Object>} nodesMap - A map of node IDs to canvas coordinates, holding
+ *  the reachable nodes.
+ * @returns {void}
+ */
+export const drawIsochrone = (ctx, canvasHeight, isochrone, nodesMap) => {
+    ctx.save();
+    ctx.lineCap = "round";
+    ctx.lineWidth = ISOCHRONE_LINE_WIDTH;
+    ctx.globalAlpha = ISOCHRONE_ALPHA;
+
+    for (const { fromId, toId, fraction, duration } of isochrone.segments) {
+        const from = nodesMap.get(fromId);
+        const to = nodesMap.get(toId);
+        if (!from || !to) continue;
+
+        const share = Math.min(1, duration / isochrone.maxDuration);
+        const hue = ISOCHRONE_HUES.start + (ISOCHRONE_HUES.end - ISOCHRONE_HUES.start) * share;
+
+        ctx.beginPath();
+        ctx.moveTo(from.x, canvasHeight - from.y);
+        ctx.lineTo(from.x + (to.x - from.x) * fraction, canvasHeight - (from.y + (to.y - from.y) * fraction));
+        ctx.strokeStyle = `hsl(${hue}, 75%, 42%)`;
+        ctx.stroke();
+    }
+
+    const start = nodesMap.get(isochrone.startId);
+    if (start) {
+        ctx.globalAlpha = 1;
+        ctx.beginPath();
+        ctx.arc(start.x, canvasHeight - start.y, START_RADIUS, 0, Math.PI * 2);
+        ctx.fillStyle = START_COLOUR;
+        ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = "#fdfdfd";
+        ctx.stroke();
+    }
+
+    ctx.restore();
+};
@@ -0,0 +1,276 @@
+/**
+ * @fileoverview
+ * Rendering module for drawing the name labels of map elements on the canvas.
+ *
+ * The following script places the labels collected by 'style-resolution.js': highway names
+ * are rotated to follow their ways, area names are centred on their polygons, and place
+ * names are drawn at their nodes.  Labels are placed in priority order, and any label
+ * which would overlap one already placed, or which is hidden at the current zoom level,
+ * is skipped.
+ */
+
+/**
+ * The font family used for all labels.
+ * @constant {string}
+ */
+const LABEL_FONT_FAMILY = "sans-serif";
+
+/**
+ * The colour of the halo drawn around the text, to keep it readable over the map.
+ * @constant {string}
+ */
+const HALO_STYLE = "rgba(255, 255, 255, 0.85)";
+
+/**
+ * The width in pixels of the halo drawn around the text.
+ * @constant {number}
+ */
+const HALO_WIDTH = 3;
+
+/**
+ * The space in pixels kept clear around each label when checking for collisions.
+ * @constant {number}
+ */
+const LABEL_PADDING = 2;
+
+/**
+ * The extra space in pixels between a point-of-interest symbol and the label below it.
+ * @constant {number}
+ */
+const SYMBOL_LABEL_GAP = 2;
+
+/**
+ * Determines whether an axis-aligned box overlaps any of the boxes already placed.
+ *
+ * @private
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} box - The box to test.
+ * @param {Array<Object>} placedBoxes - The boxes of the labels already placed.
+ * @returns {boolean} True if the box collides with a placed box.
+ */
+const collides = (box, placedBoxes) => placedBoxes.some(placed =>
+    box.minX < placed.maxX && box.maxX > placed.minX && box.minY < placed.maxY && box.maxY > placed.minY);
+
+/**
+ * Calculates the screen-space box covering a label after rotation about its centre.
+ *
+ * @private
+ * @param {number} x - The screen x position of the label centre.
+ * @param {number} y - The screen y position of the label centre.
+ * @param {number} width - The width of the text in pixels.
+ * @param {number} height - The height of the text in pixels.
+ * @param {number} angle - The rotation of the label in radians.
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}} The padded bounding box.
+ */
+const calculateLabelBox = (x, y, width, height, angle) => {
+    const cos = Math.abs(Math.cos(angle));
+    const sin = Math.abs(Math.sin(angle));
+    const halfWidth = (width * cos + height * sin) / 2 + LABEL_PADDING;
+    const halfHeight = (width * sin + height * cos) / 2 + LABEL_PADDING;
+    return { minX: x - halfWidth, minY: y - halfHeight, maxX: x + halfWidth, maxY: y + halfHeight };
+};
+
+/**
+ * Finds the position and angle at the middle of a line, for a label of the given width.
+ *
+ * The angle follows the chord between the points half the label width either side of the
+ * midpoint, and is turned so that the text is never upside down.
+ *
+ * @private
+ * @param {Array<{x: number, y: number}>} points - The screen positions along the line.
+ * @param {number} width - The width of the text in pixels.
+ * @returns {{x: number, y: number, angle: number} | null} The placement, or null if the
+ *  line is too short on screen to hold the label.
+ */
+const findLinePlacement = (points, width) => {
+    const distances = [0];
+    for (let i = 1; i < points.length; i++) {
+        distances.push(distances[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+    }
+
+    const length = distances[distances.length - 1];
+    if (length < width + LABEL_PADDING * 2) return null;
+
+    const pointAt = (distance) => {
+        const index = Math.max(1, distances.findIndex(value => value >= distance));
+        const start = points[index - 1];
+        const end = points[index];
+        const span = distances[index] - distances[index - 1];
+        const fraction = span === 0 ? 0 : (distance - distances[index - 1]) / span;
+        return { x: start.x + (end.x - start.x) * fraction, y: start.y + (end.y - start.y) * fraction };
+    };
+
+    const centre = pointAt(length / 2);
+    const before = pointAt(length / 2 - width / 2);
+    const after = pointAt(length / 2 + width / 2);
+
+    let angle = Math.atan2(after.y - before.y, after.x - before.x);
+    if (angle > Math.PI / 2) angle -= Math.PI;
+    if (angle < -Math.PI / 2) angle += Math.PI;
+
+    return { x: centre.x, y: centre.y, angle };
+};
+
+/**
+ * Calculates the centroid of a closed ring, falling back to the average of its points for
+ * rings with no area.
+ *
+ * @param {Array<{x: number, y: number}>} points - The positions around the ring, in any planar space.
+ * @returns {{x: number, y: number}} The centroid of the ring.
+ */
+export const calculateCentroid = (points) => {
+    let area = 0;
+    let centroidX = 0;
+    let centroidY = 0;
+
+    for (let i = 0; i < points.length; i++) {
+        const current = points[i];
+        const next = points[(i + 1) % points.length];
+        const cross = current.x * next.y - next.x * current.y;
+        area += cross;
+        centroidX += (current.x + next.x) * cross;
+        centroidY += (current.y + next.y) * cross;
+    }
+
+    if (Math.abs(area) < 1e-9) {
+        return {
+            x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+            y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+        };
+    }
+    return { x: centroidX / (3 * area), y: centroidY / (3 * area) };
+};
+
+/**
+ * Finds the centre of an area for a label of the given width.
+ *
+ * Relations use their largest outer ring.  The area must be at least as wide as the label
+ * on screen, so that small areas are not crowded with text.
+ *
+ * @private
+ * @param {Array<Array<{x: number, y: number}>>} rings - The screen positions of each outer ring.
+ * @param {number} width - The width of the text in pixels.
+ * @returns {{x: number, y: number, angle: number} | null} The placement, or null if no
+ *  ring is wide enough to hold the label.
+ */
+const findAreaPlacement = (rings, width) => {
+    let best = null;
+    for (const points of rings) {
+        if (points.length < 3) continue;
+
+        let minX = Infinity;
+        let maxX = -Infinity;
+        for (const { x } of points) {
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+        }
+
+        const span = maxX - minX;
+        if (span >= width && (!best || span > best.span)) best = { points, span };
+    }
+    if (!best) return null;
+
+    const { x, y } = calculateCentroid(best.points);
+    return { x, y, angle: 0 };
+};
+
+/**
+ * Returns the screen positions of the given node IDs, skipping nodes without positions.
+ *
+ * @private
+ * @param {Array<string>} nodeIds - The IDs of the nodes.
+ * @param {Map<string, Object>} nodesMap - A map where keys are node IDs and values are node objects with coordinates.
+ * @param {number} canvasHeight - The height of the canvas.
+ * @returns {Array<{x: number, y: number}>} The screen positions, y increasing downwards.
+ */
+const toScreenPoints = (nodeIds, nodesMap, canvasHeight) => nodeIds
+    .map(ref => nodesMap.get(ref))
+    .filter(Boolean)
+    .map(node => ({ x: node.x, y: canvasHeight - node.y }));
+
+/**
+ * Finds where a label candidate should be drawn.
+ *
+ * Nodes are labelled at their position, or just below their point-of-interest symbol, 
+ * ways along the line or at the centre of the area depending on the placement of their 
+ * label, and relations at the centre of their rings.
+ *
+ * @private
+ * @param {{element: Object, type: string, label: Object}} candidate - The label candidate.
+ * @param {number} width - The width of the text in pixels.
+ * @param {Map<string, Object>} nodesMap - A map where keys are node IDs and values are node objects with coordinates.
+ * @param {number} canvasHeight - The height of the canvas.
+ * @returns {{x: number, y: number, angle: number} | null} The placement, or null if the
+ *  label cannot be placed.
+ */
+const findPlacement = ({ element, type, label }, width, nodesMap, canvasHeight) => {
+    if (type === "node") {
+        const node = nodesMap.get(element.id);
+        if (!node) return null;
+
+        const offset = element.symbol ? label.fontSize + SYMBOL_LABEL_GAP : 0;
+        return { x: node.x, y: canvasHeight - node.y + offset, angle: 0 };
+    }
+
+    if (type === "way") {
+        const points = toScreenPoints(element.nodes, nodesMap, canvasHeight);
+        if (points.length < 2) return null;
+        return label.placement === "line" ? findLinePlacement(points, width) : findAreaPlacement([points], width);
+    }
+
+    const outerRings = element.rings?.outer ?? [];
+    return findAreaPlacement(outerRings.map(ring => toScreenPoints(ring, nodesMap, canvasHeight)), width);
+};
+
+/**
+ * Draws the name labels on the canvas.
+ *
+ * Candidates are taken in the order given, which should be by descending priority.  Each
+ * label hidden at the current zoom level, which cannot be placed, which falls outside the
+ * canvas, or which overlaps a label already drawn is skipped; a name is also drawn only
+ * once, so that roads split into several ways are not labelled repeatedly.
+ *
+ * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context.
+ * @param {HTMLCanvasElement} canvas - The canvas element where the labels are drawn.
+ * @param {Array<{element: Object, type: string, text: string, label: Object}>} candidates - The label candidates.
+ * @param {Map<string, Object>} nodesMap - A map where keys are node IDs and values are node objects with coordinates.
+ * @param {number} zoomLevel - The current zoom level of the renderer.
+ * @returns {void}
+ */
+export const drawLabels = (ctx, canvas, candidates, nodesMap, zoomLevel) => {
+    const placedBoxes = [];
+    const placedNames = new Set();
+
+    ctx.save();
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.lineJoin = "round";
+    ctx.lineWidth = HALO_WIDTH;
+    ctx.strokeStyle = HALO_STYLE;
+
+    for (const candidate of candidates) {
+        const { text, label } = candidate;
+        if (zoomLevel < label.minZoom || placedNames.has(text)) continue;
+
+        ctx.font = `${label.fontSize}px ${LABEL_FONT_FAMILY}`;
+        const width = ctx.measureText(text).width;
+
+        const placement = findPlacement(candidate, width, nodesMap, canvas.height);
+        if (!placement) continue;
+
+        const box = calculateLabelBox(placement.x, placement.y, width, label.fontSize, placement.angle);
+        if (box.minX < 0 || box.minY < 0 || box.maxX > canvas.width || box.maxY > canvas.height) continue;
+        if (collides(box, placedBoxes)) continue;
+
+        placedBoxes.push(box);
+        placedNames.add(text);
+
+        ctx.save();
+        ctx.translate(placement.x, placement.y);
+        ctx.rotate(placement.angle);
+        ctx.strokeText(text, 0, 0);
+        ctx.fillStyle = label.fillStyle;
+        ctx.fillText(text, 0, 0);
+        ctx.restore();
+    }
+    ctx.restore();
+};
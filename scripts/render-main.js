@@ -7,30 +7,48 @@
  * while also updating the UI element counts, managing rendering state, and caching. 
  */
 
+import { setRoute } from './routing.js';
+import { MapTool } from './map-tools.js';
+import { FilterMode } from './tag-query.js';
 import { drawWays } from './render-ways.js';
-import { drawNodes } from './render-nodes.js';
-import { renderRules } from './render-rules.js';
+import { drawRoute } from './render-route.js';
+import { setMeasurement } from './measure.js';
+import { setIsochrone } from './isochrone.js';
+import { REGION_INDEX } from './indexedDB.js';
+import { webMercator } from './projection.js';
+import { updateScaleBar } from './scale-bar.js';
+import { drawLabels } from './render-labels.js';
+import { setHighlights } from './highlights.js';
+import { drawMeasurement } from './render-measure.js';
+import { drawIsochrone } from './render-isochrone.js';
 import { drawRelations } from './render-relations.js';
+import { drawHighlights } from './render-highlight.js';
+import { buildAddressIndex } from './address-lookup.js';
+import { assembleAreaRelations } from './multipolygon.js';
+import { drawNodes, drawSymbols } from './render-nodes.js';
+import { SpatialIndex, boundsOfPoints } from './spatial-index.js';
+import { MIN_ZOOM_LEVEL, MAX_ZOOM_LEVEL } from './zoom-buttons.js';
+import { resolveLabels, resolveStyles, resolveSymbols, Z_INDEX_ORDER } from './style-resolution.js';
 import { logMessage, MessageScope, MessageOutput } from './log-message.js';
 
 /**
  * Calculates the bounding coordinates for a collection of nodes.
  *
- * Converts node latitude values using the Mercator projection and determines 
- * the minimum and maximum latitudes and longitudes.
+ * Determines the minimum and maximum latitudes and longitudes of the nodes in a single 
+ * pass, which avoids spreading very large arrays into Math.min and Math.max.
  *
  * @param {Array<Object>} nodes - An array of node objects.
  * @returns {{minLat: number, maxLat: number, minLon: number, maxLon: number}} The computed bounding box.
  */
 export function calculateBounds(nodes) {
-    const latitudes = nodes.map(node => node.lat);
-    const longitudes = nodes.map(node => node.lon);
-    return {
-        minLat: Math.min(...latitudes),
-        maxLat: Math.max(...latitudes),
-        minLon: Math.min(...longitudes),
-        maxLon: Math.max(...longitudes)
-    };
+    const bounds = { minLat: Infinity, maxLat: -Infinity, minLon: Infinity, maxLon: -Infinity };
+    for (const { lat, lon } of nodes) {
+        bounds.minLat = Math.min(bounds.minLat, lat);
+        bounds.maxLat = Math.max(bounds.maxLat, lat);
+        bounds.minLon = Math.min(bounds.minLon, lon);
+        bounds.maxLon = Math.max(bounds.maxLon, lon);
+    }
+    return bounds;
 }
 
 /**
@@ -64,31 +82,84 @@ function updateCounts(nodesCount, waysCount, relationsCount) {
 }
 
 /**
- * Retrieves all records from a specified object store in the IndexedDB databse.
+ * Retrieves the records of a region from a specified object store in the IndexedDB database.
  *
  * Opens a read-only transaction for the given store and returns a promise 
- * that resolves swith all records.
+ * that resolves with all records belonging to the region.
  *
  * @private
  * @param {string} storeName - The name of the object store.
  * @param {IDBDatabase} database - The IndexedDB database instance.
+ * @param {number} regionId - The identifier of the region whose records are retrieved.
  * @returns {Promise<Array>} A promise resolving to an array of records from the store.
  */
-function getObjectStoreData(storeName, database) {
+function getObjectStoreData(storeName, database, regionId) {
     return new Promise((resolve, reject) => {
         const request = database.transaction([storeName], "readonly")
             .objectStore(storeName)
-            .getAll();
+            .index(REGION_INDEX)
+            .getAll(IDBKeyRange.only(regionId));
         request.onsuccess = () => resolve(request.result);
         request.onerror = () => reject(request.error);
     });
 }
 
+/**
+ * The fraction of the projected node positions trimmed from each end of the extent when 
+ * fitting the view, so that a few outlying nodes do not shrink the rest of the map.
+ * @constant {number}
+ */
+const FIT_TRIM_PERCENTAGE = 0.02;
+
+/**
+ * The margin in pixels added around the canvas when finding the visible elements, so that 
+ * wide strokes of features just off screen are still drawn at the edges.
+ * @constant {number}
+ */
+const VIEWPORT_MARGIN = 16;
+
+/**
+ * The fraction of the canvas filled by a feature when the view is focused on it.
+ * @constant {number}
+ */
+const FOCUS_FILL = 0.8;
+
+/**
+ * The opacity of the elements which do not match the tag filter in the dim mode.
+ * @constant {number}
+ */
+const DIMMED_ALPHA = 0.2;
+
+/**
+ * Calculates the smallest bounding box containing both of the given bounding boxes.
+ *
+ * @private
+ * @param {{minX: number, minY: number, maxX: number, maxY: number} | null} a - The first bounding box.
+ * @param {{minX: number, minY: number, maxX: number, maxY: number} | null} b - The second bounding box.
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number} | null} The combined bounding box.
+ */
+function combineBounds(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    return {
+        minX: Math.min(a.minX, b.minX),
+        minY: Math.min(a.minY, b.minY),
+        maxX: Math.max(a.maxX, b.maxX),
+        maxY: Math.max(a.maxY, b.maxY)
+    };
+}
+
 /**
  * Class representing the map renderer.
  *
  * Manages the canvas rendering of map data; handles data fetching from IndexedDB, 
  * coordinate transformation, and a continuous render loop to update the display.
+ * 
+ * Coordinates pass through three spaces: geographic (lon, lat), projected (x, y in metres, 
+ * from the map projection), and canvas (x, y in pixels).  Canvas positions used by the 
+ * drawing functions have y increasing upwards and are flipped against the canvas height 
+ * when drawn, whereas screen positions, as used by mouse events, have y increasing 
+ * downwards.  All conversions between these spaces go through the methods of this class.
  */
 export class MapRenderer {
     /**
@@ -115,14 +186,376 @@ export class MapRenderer {
         this.isRendering = false;
         this.cacheReady = false;
         this.database = null;
+        this.activeRegionId = null;
 
         this.cachedWays = [];
         this.cachedNodes = [];
         this.cachedRelations = [];
 
         this.showWays = true;
-        this.showNodes = false;
+        this.showNodes = true;
+        this.showVertices = false;
         this.showRelations = true;
+
+        this.projection = webMercator;
+        this.projectedNodes = new Map();
+        this.view = { centreX: 0, centreY: 0, scale: 1 };
+
+        this.nodesById = new Map();
+        this.waysById = new Map();
+        this.relationsById = new Map();
+        this.drawLists = { ways: new Map(), relations: new Map() };
+        this.labelCandidates = [];
+        this.pointsOfInterest = [];
+        this.spatialIndexes = { nodes: null, pointsOfInterest: null, layers: [], labels: null };
+
+        this.activeTool = MapTool.INSPECT;
+        this.addresses = [];
+        this.highlights = [];
+        this.highlightIndex = -1;
+        this.dimUnhighlighted = false;
+        this.route = null;
+        this.isochrone = null;
+        this.measurement = null;
+
+        this.tagFilter = null;
+        this.tagFilterMatches = new WeakMap();
+    }
+
+    /**
+     * Sets the tag filter deciding which elements are drawn, or removes it.
+     *
+     * @param {{query: string, mode: string, matches: function(Array<Object>): boolean} | null} tagFilter -
+     *  The filter, with the test parsed from its query and a value from FilterMode, or null.
+     * @returns {void}
+     */
+    setTagFilter(tagFilter) {
+        this.tagFilter = tagFilter;
+        this.tagFilterMatches = new WeakMap();
+        this.needsRender = true;
+    }
+
+    /**
+     * Determines whether an element matches the tag filter, caching the result until the
+     * filter changes; every element matches when there is no filter.
+     *
+     * @param {Object} element - The node, way, or relation to test.
+     * @returns {boolean} True if the element matches.
+     */
+    matchesTagFilter(element) {
+        if (!this.tagFilter) return true;
+        if (!this.tagFilterMatches.has(element)) {
+            this.tagFilterMatches.set(element, this.tagFilter.matches(element.tags));
+        }
+        return this.tagFilterMatches.get(element);
+    }
+
+    /**
+     * Determines whether an element is hidden because it does not match a filter in the
+     * only mode.
+     *
+     * @param {Object} element - The node, way, or relation to test.
+     * @returns {boolean} True if the element is not drawn.
+     */
+    isFilteredOut(element) {
+        return this.tagFilter?.mode === FilterMode.ONLY && !this.matchesTagFilter(element);
+    }
+
+    /**
+     * Splits elements into those drawn normally and those drawn dimmed by the tag filter;
+     * elements hidden by the filter are in neither.
+     *
+     * @private
+     * @param {Array<Object>} elements - The elements to split.
+     * @returns {{shown: Array<Object>, dimmed: Array<Object>}} The elements of each kind.
+     */
+    applyTagFilter(elements) {
+        if (!this.tagFilter) return { shown: elements, dimmed: [] };
+
+        const shown = elements.filter(element => this.matchesTagFilter(element));
+        const dimmed = this.tagFilter.mode === FilterMode.DIM ?
+            elements.filter(element => !this.matchesTagFilter(element)) : [];
+        return { shown, dimmed };
+    }
+
+    /**
+     * Projects the given nodes once and fits the view to their projected extent.
+     *
+     * The projected position of each node is cached by id, so that panning and zooming 
+     * only apply the affine view transform.  The view is centred on the extent of the nodes after trimming the most 
+     * outlying positions, and scaled so that the extent fills the canvas at zoom level 1.
+     *
+     * @param {Array<Object>} nodes - An array of node objects with 'lat' and 'lon'.
+     * @returns {void}
+     */
+    projectNodes(nodes) {
+        this.projectedNodes = new Map();
+
+        for (const node of nodes) {
+            this.projectedNodes.set(node.id, this.projection.forward(node.lon, node.lat));
+        }
+        this.fitView();
+    }
+
+    /**
+     * Fits the view to the trimmed extent of the projected nodes.
+     *
+     * @private
+     * @returns {void}
+     */
+    fitView() {
+        const positions = [...this.projectedNodes.values()];
+        if (positions.length === 0) {
+            this.view = { centreX: 0, centreY: 0, scale: 1 };
+            return;
+        }
+
+        const xs = positions.map(position => position.x).sort((a, b) => a - b);
+        const ys = positions.map(position => position.y).sort((a, b) => a - b);
+
+        const startIndex = Math.floor(FIT_TRIM_PERCENTAGE * positions.length);
+        const endIndex = Math.ceil((1 - FIT_TRIM_PERCENTAGE) * positions.length) - 1;
+
+        const width = (xs[endIndex] - xs[startIndex]) || 1;
+        const height = (ys[endIndex] - ys[startIndex]) || 1;
+
+        this.view = {
+            centreX: (xs[startIndex] + xs[endIndex]) / 2,
+            centreY: (ys[startIndex] + ys[endIndex]) / 2,
+            scale: Math.min(this.canvas.width / width, this.canvas.height / height)
+        };
+    }
+
+    /**
+     * Builds the spatial indexes over the projected bounding boxes of the cached elements.
+     *
+     * Nodes, and separately the points of interest, are indexed as points, ways by the 
+     * extent of their nodes, and relations by the combined extent of their member nodes 
+     * and ways.  Ways and relations are indexed per zIndex layer from the draw lists, so 
+     * that a search of a layer returns its visible elements already in drawing order; the 
+     * label candidates are indexed in the same way, in priority order.  Elements without 
+     * any loaded positions cannot be drawn, and are left out of the indexes.
+     *
+     * @returns {void}
+     */
+    buildSpatialIndexes() {
+        const extent = boundsOfPoints(this.projectedNodes.values()) ?? { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+        const wayBounds = new Map();
+
+        const getNodeBounds = (node) => {
+            const position = this.projectedNodes.get(node.id);
+            return position ? boundsOfPoints([position]) : null;
+        };
+
+        for (const way of this.cachedWays) {
+            const bounds = boundsOfPoints(way.nodes.map(ref => this.projectedNodes.get(ref)).filter(Boolean));
+            if (bounds) wayBounds.set(way.id, bounds);
+        }
+
+        const getRelationBounds = (relation) => {
+            let bounds = null;
+            for (const member of relation.members) {
+                if (member.type === "way") {
+                    bounds = combineBounds(bounds, wayBounds.get(member.ref) ?? null);
+                } else if (member.type === "node" && this.projectedNodes.has(member.ref)) {
+                    bounds = combineBounds(bounds, boundsOfPoints([this.projectedNodes.get(member.ref)]));
+                }
+            }
+            return bounds;
+        };
+
+        const buildLayerIndex = (elements, getBounds) => {
+            const index = new SpatialIndex(extent);
+            for (const element of elements) {
+                const bounds = getBounds(element);
+                if (bounds) index.insert(element, bounds);
+            }
+            return index;
+        };
+
+        const layers = Z_INDEX_ORDER.map(zIndex => ({
+            zIndex,
+            ways: buildLayerIndex(this.drawLists.ways.get(zIndex) ?? [], way => wayBounds.get(way.id)),
+            relations: buildLayerIndex(this.drawLists.relations.get(zIndex) ?? [], getRelationBounds)
+        }));
+
+        const getCandidateBounds = ({ element, type }) => {
+            if (type === "way") return wayBounds.get(element.id);
+            if (type === "relation") return getRelationBounds(element);
+            return getNodeBounds(element);
+        };
+
+        this.spatialIndexes = {
+            nodes: buildLayerIndex(this.cachedNodes, getNodeBounds),
+            pointsOfInterest: buildLayerIndex(this.pointsOfInterest, getNodeBounds),
+            layers,
+            labels: buildLayerIndex(this.labelCandidates, getCandidateBounds)
+        };
+    }
+
+    /**
+     * Returns the projected bounding box of the canvas, widened by the viewport margin.
+     *
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}} The visible area in metres.
+     */
+    getVisibleBounds() {
+        const bottomLeft = this.canvasToProjected(-VIEWPORT_MARGIN, -VIEWPORT_MARGIN);
+        const topRight = this.canvasToProjected(this.canvas.width + VIEWPORT_MARGIN, this.canvas.height + VIEWPORT_MARGIN);
+        return { minX: bottomLeft.x, minY: bottomLeft.y, maxX: topRight.x, maxY: topRight.y };
+    }
+
+    /**
+     * Returns the projected bounding box of a cached element.
+     *
+     * Ways are bounded by their nodes, and relations by their member nodes and the nodes of
+     * their member ways, counting only the members which are loaded.
+     *
+     * @param {string} type - The element type: 'node', 'way', or 'relation'.
+     * @param {Object} element - The element.
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number} | null} The bounding
+     *  box in metres, or null if none of the nodes of the element are loaded.
+     */
+    getElementBounds(type, element) {
+        const toPositions = (nodeIds) => nodeIds.map(ref => this.projectedNodes.get(ref)).filter(Boolean);
+
+        if (type === "node") return boundsOfPoints(toPositions([element.id]));
+        if (type === "way") return boundsOfPoints(toPositions(element.nodes));
+
+        let bounds = null;
+        for (const member of element.members) {
+            const way = member.type === "way" ? this.waysById.get(member.ref) : null;
+            if (way) bounds = combineBounds(bounds, boundsOfPoints(toPositions(way.nodes)));
+            if (member.type === "node") bounds = combineBounds(bounds, boundsOfPoints(toPositions([member.ref])));
+        }
+        return bounds;
+    }
+
+    /**
+     * Centres the view on a projected bounding box, zooming so that the box fills most of
+     * the canvas within the limits of the zoom buttons.
+     *
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds - The bounding box in metres.
+     * @returns {void}
+     */
+    focusOn(bounds) {
+        const width = bounds.maxX - bounds.minX;
+        const height = bounds.maxY - bounds.minY;
+        const fitZoom = Math.min(this.canvas.width / width, this.canvas.height / height) * FOCUS_FILL / this.view.scale;
+        this.zoomLevel = Math.min(Math.max(fitZoom, MIN_ZOOM_LEVEL), MAX_ZOOM_LEVEL);
+
+        this.centreOn((bounds.minX + bounds.maxX) / 2, (bounds.minY + bounds.maxY) / 2);
+    }
+
+    /**
+     * Pans the view, without zooming, so that a projected position is at the centre of
+     * the canvas.
+     *
+     * @param {number} x - The projected x position in metres.
+     * @param {number} y - The projected y position in metres.
+     * @returns {void}
+     */
+    centreOn(x, y) {
+        const scale = this.getScale();
+        this.offsetX = this.currentOffsetX = -(x - this.view.centreX) * scale;
+        this.offsetY = this.currentOffsetY = -(y - this.view.centreY) * scale;
+        this.needsRender = true;
+    }
+
+    /**
+     * Zooms the view about a screen position, so that the map point under it stays fixed,
+     * within the limits of the zoom buttons.
+     *
+     * @param {number} zoomLevel - The new zoom level, clamped to the limits.
+     * @param {number} screenX - The screen x position in canvas pixels.
+     * @param {number} screenY - The screen y position in canvas pixels, y increasing downwards.
+     * @returns {void}
+     */
+    zoomAt(zoomLevel, screenX, screenY) {
+        const canvasY = this.canvas.height - screenY;
+        const anchor = this.canvasToProjected(screenX, canvasY);
+        this.zoomLevel = Math.min(Math.max(zoomLevel, MIN_ZOOM_LEVEL), MAX_ZOOM_LEVEL);
+
+        const scale = this.getScale();
+        this.offsetX = this.currentOffsetX = screenX - (this.canvas.width / 2) - (anchor.x - this.view.centreX) * scale;
+        this.offsetY = this.currentOffsetY = canvasY - (this.canvas.height / 2) - (anchor.y - this.view.centreY) * scale;
+        this.needsRender = true;
+    }
+
+    /**
+     * Pans the view, without zooming, so that a geographic position is at the centre of
+     * the canvas.
+     *
+     * @param {number} lon - The longitude in degrees.
+     * @param {number} lat - The latitude in degrees.
+     * @returns {void}
+     */
+    panTo(lon, lat) {
+        const { x, y } = this.projection.forward(lon, lat);
+        this.centreOn(x, y);
+    }
+
+    /**
+     * Returns the number of canvas pixels per projected metre at the current zoom level.
+     *
+     * @returns {number} The current scale of the view.
+     */
+    getScale() {
+        return this.view.scale * this.zoomLevel;
+    }
+
+    /**
+     * Converts a projected position to a canvas position, with y increasing upwards.
+     *
+     * @param {number} x - The projected easting in metres.
+     * @param {number} y - The projected northing in metres.
+     * @returns {{x: number, y: number}} The canvas position in pixels.
+     */
+    projectedToCanvas(x, y) {
+        const scale = this.getScale();
+        return {
+            x: ((x - this.view.centreX) * scale) + (this.canvas.width / 2) + this.currentOffsetX,
+            y: ((y - this.view.centreY) * scale) + (this.canvas.height / 2) + this.currentOffsetY
+        };
+    }
+
+    /**
+     * Converts a canvas position, with y increasing upwards, to a projected position.
+     *
+     * @param {number} x - The canvas x position in pixels.
+     * @param {number} y - The canvas y position in pixels.
+     * @returns {{x: number, y: number}} The projected position in metres.
+     */
+    canvasToProjected(x, y) {
+        const scale = this.getScale();
+        return {
+            x: ((x - (this.canvas.width / 2) - this.currentOffsetX) / scale) + this.view.centreX,
+            y: ((y - (this.canvas.height / 2) - this.currentOffsetY) / scale) + this.view.centreY
+        };
+    }
+
+    /**
+     * Converts a geographic position to a screen position on the canvas element.
+     *
+     * @param {number} lon - The longitude in degrees.
+     * @param {number} lat - The latitude in degrees.
+     * @returns {{x: number, y: number}} The screen position in pixels, y increasing downwards.
+     */
+    geoToScreen(lon, lat) {
+        const projected = this.projection.forward(lon, lat);
+        const { x, y } = this.projectedToCanvas(projected.x, projected.y);
+        return { x, y: this.canvas.height - y };
+    }
+
+    /**
+     * Converts a screen position on the canvas element to a geographic position.
+     *
+     * @param {number} x - The screen x position in pixels.
+     * @param {number} y - The screen y position in pixels, y increasing downwards.
+     * @returns {{lon: number, lat: number}} The geographic position in degrees.
+     */
+    screenToGeo(x, y) {
+        const projected = this.canvasToProjected(x, this.canvas.height - y);
+        return this.projection.inverse(projected.x, projected.y);
     }
 
     /**
@@ -137,10 +570,15 @@ export class MapRenderer {
     }
 
     /**
-     * Fetches and caches map data from IndexedDB.
+     * Fetches and caches the map data of the active region from IndexedDB.
      *
      * Retrieves nodes, ways, and relations from their respective object stores and 
-     * updates the internal cache. Logs any errors encountered during the process.
+     * updates the internal cache; the cache is emptied when no region is active.  The 
+     * styles of the ways and relations are then resolved into draw lists, the label 
+     * candidates, points of interest, and addresses are collected, the rings of the area 
+     * relations are assembled, and the spatial indexes are rebuilt, so that each frame 
+     * only draws the elements on screen.  Any highlighted features, route, reachable area,
+     * and measurement are cleared.  Logs any errors encountered during the process.
      *
      * @param {IDBDatabase} database - The IndexedDB database instance.
      * @returns {Promise<void>} A promise that resolves when data fetching is complete.
@@ -148,15 +586,32 @@ export class MapRenderer {
      */
     async fetchData(database) {
         try {
-            const [nodes, ways, relations] = await Promise.all([
-                getObjectStoreData("nodes", database),
-                getObjectStoreData("ways", database),
-                getObjectStoreData("relations", database)
+            const regionId = this.activeRegionId;
+            const [nodes, ways, relations] = regionId === null ? [[], [], []] : await Promise.all([
+                getObjectStoreData("nodes", database, regionId),
+                getObjectStoreData("ways", database, regionId),
+                getObjectStoreData("relations", database, regionId)
             ]);
             this.cachedNodes = nodes;
             this.cachedWays = ways;
             this.cachedRelations = relations;
 
+            this.nodesById = new Map(nodes.map(node => [node.id, node]));
+            this.waysById = new Map(ways.map(way => [way.id, way]));
+            this.relationsById = new Map(relations.map(relation => [relation.id, relation]));
+            this.drawLists = { ways: resolveStyles(ways), relations: resolveStyles(relations) };
+            this.labelCandidates = resolveLabels(nodes, ways, relations);
+            this.pointsOfInterest = resolveSymbols(nodes);
+            this.addresses = buildAddressIndex(nodes, ways, this.nodesById);
+            setHighlights(this, []);
+            setRoute(this, null);
+            setIsochrone(this, null);
+            setMeasurement(this, null);
+            assembleAreaRelations(relations, this.waysById);
+
+            this.projectNodes(nodes);
+            this.buildSpatialIndexes();
+
             this.cacheReady = true;
         } catch (error) {
             logMessage(MessageScope.RENDERER_MAIN, MessageOutput.CONSOLE, `Error fetching data: ${error}`);
@@ -167,59 +622,60 @@ export class MapRenderer {
     /**
      * Builds a mapping from node IDs to their canvas coordinates.
      *
-     * Converts geographic coordinates to canvas positions using normalisation 
-     * and applies zoom and pan transformations.
+     * Applies the current zoom and pan to the cached projected position of each node; 
+     * IDs of nodes which are not loaded are skipped.
      *
-     * @param {Array<Object>} nodes - An array of node objects with 'lat', 'lon', and 'tags'.
-     * @param {{minLat: number, maxLat: number, minLon: number, maxLon: number}} bounds - The bounding box for the nodes.
+     * @param {Iterable<string>} nodeIds - The IDs of the nodes to position.
      * @returns {Map<string, Object>} A map where each key is a node ID and the value 
      * is an object containing canvas x, y coordinates and node properties.
      */
-    buildNodesMap(nodes) {
+    buildNodesMap(nodeIds) {
         const nodesMap = new Map();
 
-        const latitudes = nodes.map(node => node.lat).sort((latA, latB) => latA - latB);
-        const longitudes = nodes.map(node => node.lon).sort((lonA, lonB) => lonA - lonB);
-
-        const trimPercentage = 0.02;
-        const startIndex = Math.floor(trimPercentage * latitudes.length);
-        const endIndex = Math.ceil((1 - trimPercentage) * latitudes.length);
-
-        const minLat = latitudes[startIndex];
-        const maxLat = latitudes[endIndex - 1];
-
-        const minLon = longitudes[startIndex];
-        const maxLon = longitudes[endIndex - 1];
-
-        const boundingBoxWidth = maxLon - minLon;
-        const boundingBoxHeight = maxLat - minLat;
+        for (const id of nodeIds) {
+            const node = this.nodesById.get(id);
+            const projected = this.projectedNodes.get(id);
+            if (!node || !projected || nodesMap.has(id)) continue;
 
-        const canvasCenterX = this.canvas.width / 2;
-        const canvasCenterY = this.canvas.height / 2;
-
-        const scale = Math.min(
-            this.canvas.width / boundingBoxWidth,
-            this.canvas.height / boundingBoxHeight
-        ) * this.zoomLevel;
-
-        const midLon = (minLon + maxLon) / 2;
-        const midLat = (minLat + maxLat) / 2;
-
-        nodes.forEach(node => {
-            const xCoordinate = ((node.lon - midLon) * scale) + canvasCenterX + this.currentOffsetX;
-            const yCoordinate = ((node.lat - midLat) * scale * 1.6) + canvasCenterY + this.currentOffsetY;
-
-            nodesMap.set(node.id, { x: xCoordinate, y: yCoordinate, id: node.id, tags: node.tags });
-        });
+            const { x, y } = this.projectedToCanvas(projected.x, projected.y);
+            nodesMap.set(id, { x, y, id, tags: node.tags });
+        }
         return nodesMap;
     }
 
+    /**
+     * Collects the IDs of every node needed to draw the given elements.
+     *
+     * @private
+     * @param {Array<Object>} nodes - The nodes to draw.
+     * @param {Array<Object>} ways - The ways to draw.
+     * @param {Array<Object>} relations - The relations to draw, whose member ways are included.
+     * @returns {Set<string>} The IDs of the nodes.
+     */
+    collectNodeIds(nodes, ways, relations) {
+        const nodeIds = new Set(nodes.map(node => node.id));
+        const addWay = way => way.nodes.forEach(ref => nodeIds.add(ref));
+
+        ways.forEach(addWay);
+        relations.forEach(relation => relation.members.forEach(member => {
+            const way = member.type === "way" ? this.waysById.get(member.ref) : null;
+            if (way) addWay(way);
+        }));
+        return nodeIds;
+    }
+
     /**
      * Renders the map on the canvas.
      *
      * If the data cache is not ready, fetches data from IndexedDB first. Then updates UI 
-     * counts, clears the canvas, and draws relations, ways, and nodes based on current 
-     * display toggles.
+     * counts and the scale bar, clears the canvas, and draws the relations, ways, and nodes based on current 
+     * display toggles, followed by the point-of-interest symbols, the name labels, and the 
+     * highlighted features, with every raw node only drawn in the debug view; only elements 
+     * found on screen by the spatial indexes are positioned and drawn.  With a tag filter, 
+     * the elements which do not match are either left out or drawn faintly beneath the 
+     * matching ones, and only the matching elements are labelled.  The reachable area, 
+     * the planned route, the highlight layer, and then the measurement are drawn last, over
+     * the whole map.
      *
      * @param {IDBDatabase} database - The IndexedDB database instance.
      * @returns {Promise<void>} A promise that resolves when rendering is complete.
@@ -241,28 +697,72 @@ export class MapRenderer {
         const relations = this.cachedRelations;
 
         updateCounts(nodes.length, ways.length, relations.length);
+        updateScaleBar(this);
         this.clear();
 
-        try {
-            const bounds = calculateBounds(nodes);
-            const nodesMap = this.buildNodesMap(nodes, bounds);
-            const canvasNodes = Array.from(nodesMap.values());
-
-            const getRenderRule = (element) => renderRules.find(rule => rule.condition(element));
+        if (!this.spatialIndexes.nodes) return;
 
-            for (let zIndex = 1; zIndex <= 4; zIndex++) {
-                if (this.showRelations) {
-                    const relationsAtZIndex = relations.filter(relation => getRenderRule(relation)?.styles.zIndex === zIndex);
-                    drawRelations(this.ctx, this.canvas.height, relationsAtZIndex, ways, nodesMap);
+        try {
+            const visibleBounds = this.getVisibleBounds();
+            const visibleNodes = this.applyTagFilter(this.showVertices ? this.spatialIndexes.nodes.search(visibleBounds) : []);
+            const visiblePoints = this.applyTagFilter(this.showNodes ? this.spatialIndexes.pointsOfInterest.search(visibleBounds) : []);
+            const visibleLayers = this.spatialIndexes.layers.map(layer => ({
+                ways: this.applyTagFilter(this.showWays ? layer.ways.search(visibleBounds) : []),
+                relations: this.applyTagFilter(this.showRelations ? layer.relations.search(visibleBounds) : [])
+            }));
+
+            const visibleLabels = this.spatialIndexes.labels.search(visibleBounds).filter(({ type, element }) =>
+                (type === "node" || (type === "way" ? this.showWays : this.showRelations)) && this.matchesTagFilter(element));
+            const labelElements = (type) => visibleLabels.filter(label => label.type === type).map(label => label.element);
+            const allOf = ({ shown, dimmed }) => [...dimmed, ...shown];
+
+            const nodesMap = this.buildNodesMap(this.collectNodeIds(
+                [...allOf(visibleNodes), ...allOf(visiblePoints), ...labelElements("node")],
+                [...visibleLayers.flatMap(layer => allOf(layer.ways)), ...labelElements("way")],
+                [...visibleLayers.flatMap(layer => allOf(layer.relations)), ...labelElements("relation")]
+            ));
+
+            for (const kind of ["dimmed", "shown"]) {
+                this.ctx.globalAlpha = kind === "dimmed" ? DIMMED_ALPHA : 1;
+
+                for (const layer of visibleLayers) {
+                    drawRelations(this.ctx, this.canvas.height, layer.relations[kind], this.waysById, nodesMap);
+                    drawWays(this.ctx, this.canvas.height, layer.ways[kind], nodesMap);
                 }
-                if (this.showWays) {
-                    const waysAtZIndex = ways.filter(way => getRenderRule(way)?.styles.zIndex === zIndex);
-                    drawWays(this.ctx, this.canvas.height, waysAtZIndex, nodesMap);
+
+                if (this.showVertices) {
+                    const canvasNodes = visibleNodes[kind].map(node => nodesMap.get(node.id));
+                    drawNodes(this.ctx, this.canvas, canvasNodes, this.zoomLevel);
                 }
+
+                const canvasPoints = visiblePoints[kind].map(node => ({ ...nodesMap.get(node.id), symbol: node.symbol }));
+                drawSymbols(this.ctx, this.canvas, canvasPoints, this.zoomLevel);
+            }
+
+            drawLabels(this.ctx, this.canvas, visibleLabels, nodesMap, this.zoomLevel);
+
+            if (this.isochrone) {
+                drawIsochrone(this.ctx, this.canvas.height, this.isochrone, this.buildNodesMap(this.isochrone.durations.keys()));
             }
 
-            if (this.showNodes) {
-                drawNodes(this.ctx, this.canvas, canvasNodes, this.zoomLevel);
+            if (this.route) {
+                drawRoute(this.ctx, this.canvas.height, this.route, this.buildNodesMap(this.route.nodeIds));
+            }
+
+            if (this.highlights.length > 0) {
+                const elementsOf = (type) => this.highlights.filter(feature => feature.type === type).map(feature => feature.element);
+                const highlightNodes = this.buildNodesMap(this.collectNodeIds(
+                    elementsOf("node"), elementsOf("way"), elementsOf("relation")));
+                drawHighlights(this.ctx, this.canvas, this.highlights, this.highlightIndex, this.dimUnhighlighted,
+                    highlightNodes, this.waysById);
+            }
+
+            if (this.measurement) {
+                const points = this.measurement.positions.map(({ lon, lat }) => {
+                    const projected = this.projection.forward(lon, lat);
+                    return this.projectedToCanvas(projected.x, projected.y);
+                });
+                drawMeasurement(this.ctx, this.canvas.height, points, this.measurement.isClosed);
             }
         } catch (error) {
             logMessage(MessageScope.RENDERER_MAIN, MessageOutput.CONSOLE, `Error rendering canvas: ${error}`);
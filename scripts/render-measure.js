@@ -0,0 +1,82 @@
+/**
+ * @fileoverview
+ * Render Measure module for drawing the measurement of the measure tool over the map.
+ *
+ * The following script draws the points placed by 'measure.js' joined by a dashed line,
+ * and once the line is closed into an area, shades the area it encloses.
+ */
+
+/**
+ * The colour of the measurement line and points.
+ * @constant {string}
+ * @default "#d35400"
+ */
+const MEASURE_COLOUR = "#d35400";
+
+/**
+ * The colour shading a closed measurement.
+ * @constant {string}
+ * @default "rgba(211, 84, 0, 0.15)"
+ */
+const MEASURE_FILL_COLOUR = "rgba(211, 84, 0, 0.15)";
+
+/**
+ * The width in pixels of the measurement line.
+ * @constant {number}
+ * @default 2
+ */
+const MEASURE_LINE_WIDTH = 2;
+
+/**
+ * The dash pattern of the measurement line, in pixels.
+ * @constant {Array<number>}
+ */
+const MEASURE_DASH = Object.freeze([8, 4]);
+
+/**
+ * The radius in pixels of each measurement point.
+ * @constant {number}
+ * @default 4
+ */
+const POINT_RADIUS = 4;
+
+/**
+ * Draws a measurement on the canvas.
+ *
+ * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context.
+ * @param {number} canvasHeight - The height of the canvas.
+ * @param {Array<{x: number, y: number}>} points - The canvas positions of the points.
+ * @param {boolean} isClosed - Whether the line is closed into an area.
+ * @returns {void}
+ */
+export const drawMeasurement = (ctx, canvasHeight, points, isClosed) => {
+    if (points.length === 0) return;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, canvasHeight - points[0].y);
+    for (let i = 1; i < points.length; i++) {
+        ctx.lineTo(points[i].x, canvasHeight - points[i].y);
+    }
+
+    if (isClosed) {
+        ctx.closePath();
+        ctx.fillStyle = MEASURE_FILL_COLOUR;
+        ctx.fill();
+    }
+
+    ctx.setLineDash(MEASURE_DASH);
+    ctx.lineWidth = MEASURE_LINE_WIDTH;
+    ctx.strokeStyle = MEASURE_COLOUR;
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = MEASURE_COLOUR;
+    for (const point of points) {
+        ctx.beginPath();
+        ctx.arc(point.x, canvasHeight - point.y, POINT_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    ctx.restore();
+};
@@ -2,9 +2,10 @@
  * @fileoverview 
  * Show Nodes module for rendering map nodes on the canvas and toggling their display.
  * 
- * The following script provides the functionality to draw all of the nodes as small arcs 
- * on the canvas, and to setup a toggle button to either show or hide the nodes.  Drawing
- * parameters are calculated based on the current zoom level and canvas dimensions.
+ * The following script provides the functionality to draw the points of interest as vector 
+ * symbols chosen by the rules of 'symbol-rules.js', to draw every raw node as a small arc 
+ * in the debug view, and to setup the toggle buttons which show or hide each of them.  
+ * Drawing parameters are calculated based on the current zoom level and canvas dimensions.
  * 
  */
 
@@ -22,6 +23,70 @@ const NODE_RADIUS = 1;
  */
 const NODE_COLOUR = "#399cc6";
 
+/**
+ * The radius in pixels of the point-of-interest symbols.
+ * @constant {number}
+ * @default 7
+ */
+export const SYMBOL_RADIUS = 7;
+
+/**
+ * The colour of the outline and glyph of the point-of-interest symbols.
+ * @constant {string}
+ * @default "#ffffff"
+ */
+const SYMBOL_OUTLINE_COLOUR = "#ffffff";
+
+/**
+ * The path-tracing functions for each symbol shape, centred on the origin.
+ * @constant {Object<string, function(CanvasRenderingContext2D, number): void>}
+ */
+const SYMBOL_SHAPES = Object.freeze({
+    circle: (ctx, r) => {
+        ctx.arc(0, 0, r, 0, Math.PI * 2);
+    },
+    square: (ctx, r) => {
+        ctx.rect(-r, -r, r * 2, r * 2);
+    },
+    triangle: (ctx, r) => {
+        ctx.moveTo(0, -r);
+        ctx.lineTo(r, r * 0.8);
+        ctx.lineTo(-r, r * 0.8);
+        ctx.closePath();
+    },
+    diamond: (ctx, r) => {
+        ctx.moveTo(0, -r);
+        ctx.lineTo(r, 0);
+        ctx.lineTo(0, r);
+        ctx.lineTo(-r, 0);
+        ctx.closePath();
+    },
+    star: (ctx, r) => {
+        for (let i = 0; i < 10; i++) {
+            const radius = i % 2 === 0 ? r : r * 0.45;
+            const angle = (Math.PI / 5) * i - Math.PI / 2;
+            ctx.lineTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+        }
+        ctx.closePath();
+    },
+    cross: (ctx, r) => {
+        const arm = r / 3;
+        ctx.moveTo(-arm, -r);
+        ctx.lineTo(arm, -r);
+        ctx.lineTo(arm, -arm);
+        ctx.lineTo(r, -arm);
+        ctx.lineTo(r, arm);
+        ctx.lineTo(arm, arm);
+        ctx.lineTo(arm, r);
+        ctx.lineTo(-arm, r);
+        ctx.lineTo(-arm, arm);
+        ctx.lineTo(-r, arm);
+        ctx.lineTo(-r, -arm);
+        ctx.lineTo(-arm, -arm);
+        ctx.closePath();
+    }
+});
+
 /**
  * Calculates the parameters of the arc for a given node to be drawn on the canvas.
  * 
@@ -44,7 +109,7 @@ const calculateArcParameters = (node, canvas, zoomLevel) => {
 };
 
 /**
- * Draws the nodes on the canvas.
+ * Draws the raw nodes on the canvas, as used by the debug view.
  * 
  * Iterates over an array of node objects, calculates the appropriate arc parameters for 
  * each node based on the current zoom level and canvas dimensions, and draws each node.
@@ -65,11 +130,52 @@ export const drawNodes = (ctx, canvas, nodes, zoomLevel) => {
     });
 };
 
+/**
+ * Draws the point-of-interest symbols on the canvas.
+ * 
+ * Each node is drawn as the filled, outlined shape of its symbol with the glyph of the 
+ * symbol centred inside it; symbols hidden at the current zoom level are skipped.
+ *
+ * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas element.
+ * @param {HTMLCanvasElement} canvas - The canvas element where the symbols are drawn.
+ * @param {Array<Object>} nodes - An array of node objects with x and y coordinates and a symbol.
+ * @param {number} zoomLevel - The current zoom level, compared with the minimum zoom of each symbol.
+ */
+export const drawSymbols = (ctx, canvas, nodes, zoomLevel) => {
+    ctx.save();
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = SYMBOL_OUTLINE_COLOUR;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.font = `bold ${SYMBOL_RADIUS * 1.5}px sans-serif`;
+
+    nodes.forEach(node => {
+        const { shape, fillStyle, glyph, minZoom } = node.symbol;
+        if (zoomLevel < minZoom) return;
+
+        ctx.save();
+        ctx.translate(node.x, canvas.height - node.y);
+        ctx.beginPath();
+        SYMBOL_SHAPES[shape](ctx, SYMBOL_RADIUS);
+        ctx.fillStyle = fillStyle;
+        ctx.fill();
+        ctx.stroke();
+
+        if (glyph) {
+            ctx.fillStyle = SYMBOL_OUTLINE_COLOUR;
+            ctx.fillText(glyph, 0, 1);
+        }
+        ctx.restore();
+    });
+    ctx.restore();
+};
+
 /**
  * Sets up the toggle functionality for displaying the nodes on the canvas.
  * 
- * Configures a toggle button to switch node display on or off, reads initial state from 
- * localStorage, updates the showNodes flag, adjusts button text, and re-renders canvas.
+ * Configures a toggle button to switch the point-of-interest symbols on or off, reads 
+ * initial state from localStorage, updates the showNodes flag, adjusts button text, and 
+ * re-renders canvas.
  *
  * @param {HTMLElement} toggleBtn - The button element that toggles node visibility.
  * @param {Object} renderer - The renderer object responsible for drawing on the canvas.
@@ -78,7 +184,7 @@ export const drawNodes = (ctx, canvas, nodes, zoomLevel) => {
 export const setupToggleNodes = (toggleBtn, renderer, database) => {
     const storedShowNodes = localStorage.getItem("showNodes");
 
-    renderer.showNodes = storedShowNodes ? storedShowNodes === "true" : false;
+    renderer.showNodes = storedShowNodes ? storedShowNodes === "true" : true;
     updateToggleButton(toggleBtn, renderer.showNodes);
     renderer.render(database, renderer.showNodes);
 
@@ -90,6 +196,32 @@ export const setupToggleNodes = (toggleBtn, renderer, database) => {
     });
 };
 
+/**
+ * Sets up the toggle functionality for the debug view of the raw nodes.
+ * 
+ * Configures a toggle button to switch the drawing of every node, including the untagged 
+ * vertices of ways, on or off, reads the initial state from localStorage, updates the 
+ * showVertices flag, adjusts button text, and re-renders canvas.
+ *
+ * @param {HTMLElement} toggleBtn - The button element that toggles vertex visibility.
+ * @param {Object} renderer - The renderer object responsible for drawing on the canvas.
+ * @param {IDBDatabase} database - The IndexedDB database instance containing map data.
+ */
+export const setupToggleVertices = (toggleBtn, renderer, database) => {
+    const storedShowVertices = localStorage.getItem("showVertices");
+
+    renderer.showVertices = storedShowVertices === "true";
+    updateVerticesButton(toggleBtn, renderer.showVertices);
+    renderer.render(database, renderer.showNodes);
+
+    toggleBtn.addEventListener("click", () => {
+        renderer.showVertices = !renderer.showVertices;
+        localStorage.setItem("showVertices", renderer.showVertices);
+        updateVerticesButton(toggleBtn, renderer.showVertices);
+        renderer.render(database, renderer.showNodes);
+    });
+};
+
 
 /**
  * Updates the appearance of the button based on the current state of node visibility.
@@ -111,3 +243,15 @@ function updateToggleButton(button, showNodes) {
         button.classList.remove("active");
     }
 }
+
+/**
+ * Updates the appearance of the button based on the current state of the debug view.
+ *
+ * @private
+ * @param {HTMLElement} button - The toggle button element.
+ * @param {boolean} showVertices - The current state indicating if the raw nodes are displayed.
+ */
+function updateVerticesButton(button, showVertices) {
+    button.textContent = showVertices ? "Hide Vertices" : "Show Vertices";
+    button.classList.toggle("active", showVertices);
+}
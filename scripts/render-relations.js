@@ -2,26 +2,25 @@
  * @fileoverview
  * Rendering module for drawing map element: relations on the canvas.
  * 
- * Handles the drawing of the map relations by applying shared render rules imported from 
- * 'render-rules.js'. It processes the members of each relation, specifically ways, and 
- * renders them on the canvas using the defined style rules.
+ * Handles the drawing of the map relations using the styles resolved from the shared 
+ * render rules by 'style-resolution.js'. Area relations are drawn as a single path from 
+ * the rings assembled by 'multipolygon.js', so that inner rings are cut out as holes; the 
+ * way members of other relations are drawn one by one using the resolved styles.
  */
-import { renderRules } from './render-rules.js';
 
 /**
- * Applies render rules to a relation to determine its drawing style.
+ * Applies the resolved style of a relation to the canvas context.
  *
  * @private
  * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
- * @param {Object} relation - The relation object containing tags and member references.
- * @returns {boolean} True if the corresponding way of the relation should be filled based on the render rule.
+ * @param {Object} relation - The relation object containing member references and its resolved style.
+ * @returns {boolean} True if the corresponding way of the relation should be filled.
  */
 const applyRelationStyles = (ctx, relation) => {
-    const rule = renderRules.find(rule => rule.condition(relation));
-    ctx.lineWidth = rule.styles.lineWidth ?? 1;
-    ctx.fillStyle = rule.styles.fillStyle;
-    ctx.strokeStyle = rule.styles.strokeStyle;
-    return rule.styles.shouldFill;
+    ctx.lineWidth = relation.style.lineWidth;
+    ctx.fillStyle = relation.style.fillStyle;
+    ctx.strokeStyle = relation.style.strokeStyle;
+    return relation.style.shouldFill;
 };
 
 /**
@@ -37,32 +36,85 @@ const isPathClosed = (nodes) => {
     return startX === endX && startY === endY;
 };
 
+/**
+ * Adds a list of node IDs to the current path of the canvas context.
+ *
+ * @private
+ * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
+ * @param {number} canvasHeight - The height of the canvas.
+ * @param {Array<string>} nodeIds - The IDs of the nodes along the line.
+ * @param {Map<string, Object>} nodesMap - A map where keys are node IDs and values are node objects with coordinates.
+ * @param {boolean} shouldClose - True if the line should be closed back to its start.
+ * @returns {void}
+ */
+const traceLine = (ctx, canvasHeight, nodeIds, nodesMap, shouldClose) => {
+    const nodes = nodeIds.map((ref) => nodesMap.get(ref)).filter(Boolean);
+    if (nodes.length < 2) return;
+
+    ctx.moveTo(nodes[0].x, canvasHeight - nodes[0].y);
+    for (let i = 1; i < nodes.length; i++) {
+        ctx.lineTo(nodes[i].x, canvasHeight - nodes[i].y);
+    }
+    if (shouldClose) ctx.closePath();
+};
+
+/**
+ * Draws an area relation from its assembled rings.
+ *
+ * All of the outer and inner rings are traced into a single path, which is filled with the 
+ * even-odd rule so that the inner rings are left as holes, then stroked.  Segments which 
+ * could not be joined into rings are only stroked.
+ *
+ * @private
+ * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
+ * @param {number} canvasHeight - The height of the canvas.
+ * @param {{outer: Array<Array<string>>, inner: Array<Array<string>>, unclosed: Array<Array<string>>}} rings
+ *  The assembled rings of the relation.
+ * @param {Map<string, Object>} nodesMap - A map where keys are node IDs and values are node objects with coordinates.
+ * @param {boolean} shouldFill - True if the area should be filled.
+ * @returns {void}
+ */
+const drawAreaRelation = (ctx, canvasHeight, rings, nodesMap, shouldFill) => {
+    ctx.beginPath();
+    [...rings.outer, ...rings.inner].forEach((ring) => traceLine(ctx, canvasHeight, ring, nodesMap, true));
+    if (shouldFill) ctx.fill("evenodd");
+    ctx.stroke();
+
+    if (rings.unclosed.length === 0) return;
+
+    ctx.beginPath();
+    rings.unclosed.forEach((segment) => traceLine(ctx, canvasHeight, segment, nodesMap, false));
+    ctx.stroke();
+};
+
 /**
  * Draws map relations on the canvas.
  *
- * Iterates over an array of relation objects, and for each relation, iterates over its 
- * members. For way-type members, it retrieves the corresponding way, computes its node 
+ * Iterates over an array of relation objects, already in drawing order.  Relations with 
+ * assembled rings are drawn as areas.  For every other relation, it iterates over its 
+ * members; for way-type members, it looks up the corresponding way, computes its node 
  * coordinates from the nodes map, and draws the way on the canvas. Depending on the 
- * render rule, it either fills or outlines the way if the nodes form a closed path.
+ * resolved style, it either fills or outlines the way if the nodes form a closed path.
  *
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context.
  * @param {number} canvasHeight - The height of the canvas.
- * @param {Array<Object>} relations - An array of relation objects containing members and tags.
- * @param {Array<Object>} ways - An array of way objects containing node references and tags.
+ * @param {Array<Object>} relations - An array of relation objects containing members and resolved styles.
+ * @param {Map<string, Object>} waysById - A map where keys are way IDs and values are way objects.
  * @param {Map<string, Object>} nodesMap - A map where keys are node IDs and values are node objects with coordinates.
  */
-export const drawRelations = (ctx, canvasHeight, relations, ways, nodesMap) => {
-    const sortedRelations = relations
-        .map(relation => ({ relation, rule: getRenderRule(relation) }))
-        .sort((a, b) => (a.rule?.styles.zIndex ?? 0) - (b.rule?.styles.zIndex ?? 0));
-
-    sortedRelations.forEach(({ relation }) => {
+export const drawRelations = (ctx, canvasHeight, relations, waysById, nodesMap) => {
+    relations.forEach((relation) => {
         const shouldFill = applyRelationStyles(ctx, relation);
 
+        if (relation.rings) {
+            drawAreaRelation(ctx, canvasHeight, relation.rings, nodesMap, shouldFill);
+            return;
+        }
+
         relation.members.forEach((member) => {
             if (member.type !== "way") return;
 
-            const way = ways.find((w) => w.id === member.ref);
+            const way = waysById.get(member.ref);
             if (!way) return;
 
             const wayNodes = way.nodes.map((ref) => nodesMap.get(ref)).filter(Boolean);
@@ -83,16 +135,6 @@ export const drawRelations = (ctx, canvasHeight, relations, ways, nodesMap) => {
     });
 };
 
-/**
- * Returns the first matching render rule for a given map element.
- *
- * @param {Object} element - The relation to style.
- * @returns {Object} The matching render rule.
- */
-function getRenderRule(element) {
-    return renderRules.find(rule => rule.condition(element));
-}
-
 /**
  * Updates the toggle button text and active state for relation visibility.
  *
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview
+ * Render Route module for drawing the planned route on top of the rendered map.
+ *
+ * The following script draws the route found by 'routing.js' as a wide line with a light
+ * casing, so that it stands out against the roads it follows, with markers at its start
+ * and end; a route whose end is still to be chosen is drawn as its start marker alone.
+ */
+
+/**
+ * The colour of the route line.
+ * @constant {string}
+ * @default "#2f6fdf"
+ */
+const ROUTE_COLOUR = "#2f6fdf";
+
+/**
+ * The colour of the casing drawn beneath the route line.
+ * @constant {string}
+ * @default "#fdfdfd"
+ */
+const ROUTE_CASING_COLOUR = "#fdfdfd";
+
+/**
+ * The width in pixels of the route line.
+ * @constant {number}
+ * @default 5
+ */
+const ROUTE_LINE_WIDTH = 5;
+
+/**
+ * The colours of the start and end markers.
+ * @constant {{start: string, end: string}}
+ */
+const MARKER_COLOURS = Object.freeze({ start: "#2e9d4f", end: "#c0392b" });
+
+/**
+ * The radius in pixels of the start and end markers.
+ * @constant {number}
+ * @default 7
+ */
+const MARKER_RADIUS = 7;
+
+/**
+ * Draws a marker at a point of the route.
+ *
+ * @private
+ * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context.
+ * @param {number} canvasHeight - The height of the canvas.
+ * @param {{x: number, y: number}} point - The canvas position of the marker.
+ * @param {string} colour - The fill colour of the marker.
+ * @returns {void}
+ */
+const drawMarker = (ctx, canvasHeight, point, colour) => {
+    ctx.beginPath();
+    ctx.arc(point.x, canvasHeight - point.y, MARKER_RADIUS, 0, Math.PI * 2);
+    ctx.fillStyle = colour;
+    ctx.fill();
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = ROUTE_CASING_COLOUR;
+    ctx.stroke();
+};
+
+/**
+ * Draws a route on the canvas.
+ *
+ * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context.
+ * @param {number} canvasHeight - The height of the canvas.
+ * @param {{nodeIds: Array<string>}} route - The route, as the IDs of the nodes along it.
+ * @param {Map<string, Object>} nodesMap - A map of node IDs to canvas coordinates, holding
+ *  the nodes of the route.
+ * @returns {void}
+ */
+export const drawRoute = (ctx, canvasHeight, route, nodesMap) => {
+    const points = route.nodeIds.map(id => nodesMap.get(id)).filter(Boolean);
+    if (points.length === 0) return;
+
+    ctx.save();
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+
+    if (points.length > 1) {
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, canvasHeight - points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, canvasHeight - points[i].y);
+        }
+
+        ctx.lineWidth = ROUTE_LINE_WIDTH + 4;
+        ctx.strokeStyle = ROUTE_CASING_COLOUR;
+        ctx.stroke();
+        ctx.lineWidth = ROUTE_LINE_WIDTH;
+        ctx.strokeStyle = ROUTE_COLOUR;
+        ctx.stroke();
+
+        drawMarker(ctx, canvasHeight, points[points.length - 1], MARKER_COLOURS.end);
+    }
+    drawMarker(ctx, canvasHeight, points[0], MARKER_COLOURS.start);
+
+    ctx.restore();
+};
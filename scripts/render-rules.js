@@ -3,8 +3,9 @@
  * Shared render rules implementation for styling map elements.
  *
  * This script defines the style rules for the map elements based on their tags, to be 
- * used in the rendering for both ways and relations, for consistency. Each rule includes a 
- * condition function and a styles object that states the way the element should be rendered.
+ * used in the rendering for both ways and relations, for consistency, and for the labels 
+ * of named nodes. Each rule includes a condition function and a styles object that states 
+ * the way the element should be rendered.
  *
  * @constant {Array<Object>} renderRules - The array of style rules for rendering map elements.
  * 
@@ -16,6 +17,12 @@
  *       - strokeStyle {string}: The line color.
  *       - shouldFill {boolean}: Indicates if the element should be filled or not.
  *       - zIndex {number}: Indicates draw order priority (1=lowest, 4=highest).
+ *       - label {Object}: Optional; how the 'name' tag of the element is labelled, including:
+ *           - placement {string}: 'line' along the way, 'area' at the centroid, or 'point'.
+ *           - minZoom {number}: The lowest zoom level at which the label is shown.
+ *           - priority {number}: Higher priority labels are placed first when labels collide.
+ *           - fontSize {number}: The font size in pixels.
+ *           - fillStyle {string}: The text color.
  */
 export const renderRules = [
     {
@@ -26,6 +33,7 @@ export const renderRules = [
             strokeStyle: "#c4b7a9",
             shouldFill: true,
             zIndex: 3,
+            label: { placement: "area", minZoom: 4, priority: 1, fontSize: 10, fillStyle: "#6b5f53" },
         },
     },
     {
@@ -36,6 +44,7 @@ export const renderRules = [
             strokeStyle: "#fa8072",
             shouldFill: false,
             zIndex: 4,
+            label: { placement: "line", minZoom: 4, priority: 2, fontSize: 10, fillStyle: "#555555" },
         },
     },
     {
@@ -46,6 +55,7 @@ export const renderRules = [
             strokeStyle: "#aaaaad",
             shouldFill: true,
             zIndex: 3,
+            label: { placement: "line", minZoom: 3, priority: 3, fontSize: 10, fillStyle: "#555555" },
         },
     },
     {
@@ -56,6 +66,7 @@ export const renderRules = [
             strokeStyle: "#95a986",
             shouldFill: true,
             zIndex: 2,
+            label: { placement: "area", minZoom: 1.5, priority: 2, fontSize: 11, fillStyle: "#3c6e2f" },
         },
     },
     {
@@ -156,6 +167,7 @@ export const renderRules = [
             strokeStyle: "#8ab773",
             shouldFill: true,
             zIndex: 3,
+            label: { placement: "area", minZoom: 3, priority: 2, fontSize: 10, fillStyle: "#3c6e2f" },
         },
     },
     {
@@ -166,6 +178,7 @@ export const renderRules = [
             strokeStyle: "#93b685",
             shouldFill: true,
             zIndex: 3,
+            label: { placement: "area", minZoom: 1.5, priority: 2, fontSize: 11, fillStyle: "#3c6e2f" },
         },
     },
     {
@@ -206,6 +219,7 @@ export const renderRules = [
             strokeStyle: "#87a8e0",
             shouldFill: true,
             zIndex: 3,
+            label: { placement: "area", minZoom: 1, priority: 4, fontSize: 11, fillStyle: "#4a6fa5" },
         },
     },
     {
@@ -216,6 +230,7 @@ export const renderRules = [
             strokeStyle: "#87a8e0",
             shouldFill: true,
             zIndex: 3,
+            label: { placement: "line", minZoom: 3, priority: 2, fontSize: 10, fillStyle: "#4a6fa5" },
         },
     },
     {
@@ -296,6 +311,7 @@ export const renderRules = [
             strokeStyle: "#8fd794",
             shouldFill: true,
             zIndex: 2,
+            label: { placement: "area", minZoom: 2, priority: 3, fontSize: 11, fillStyle: "#3c6e2f" },
         },
     },
     {
@@ -306,6 +322,7 @@ export const renderRules = [
             strokeStyle: "#add19e",
             shouldFill: true,
             zIndex: 2,
+            label: { placement: "area", minZoom: 1.5, priority: 3, fontSize: 11, fillStyle: "#3c6e2f" },
         },
     },
     {
@@ -356,6 +373,7 @@ export const renderRules = [
             strokeStyle: "#e1dac6",
             shouldFill: true,
             zIndex: 1,
+            label: { placement: "area", minZoom: 3, priority: 2, fontSize: 10, fillStyle: "#734a08" },
         },
     },
     {
@@ -366,6 +384,7 @@ export const renderRules = [
             strokeStyle: "#88b78e",
             shouldFill: true,
             zIndex: 2,
+            label: { placement: "area", minZoom: 2.5, priority: 2, fontSize: 10, fillStyle: "#3c6e2f" },
         },
     },
     {
@@ -378,7 +397,8 @@ export const renderRules = [
             zIndex: 4,
             lineWidth: 12,
             hasCasing: true,
-            casingStrokeStyle: "#de3d72"
+            casingStrokeStyle: "#de3d72",
+            label: { placement: "line", minZoom: 0.8, priority: 9, fontSize: 12, fillStyle: "#222222" },
         },
     },
     {
@@ -391,7 +411,8 @@ export const renderRules = [
             zIndex: 4,
             lineWidth: 6,
             hasCasing: true,
-            casingStrokeStyle: "#de3d72"
+            casingStrokeStyle: "#de3d72",
+            label: { placement: "line", minZoom: 3, priority: 5, fontSize: 10, fillStyle: "#222222" },
         },
     },
     {
@@ -404,7 +425,8 @@ export const renderRules = [
             zIndex: 4,
             lineWidth: 10,
             hasCasing: true,
-            casingStrokeStyle: "#c49540"
+            casingStrokeStyle: "#c49540",
+            label: { placement: "line", minZoom: 1, priority: 8, fontSize: 12, fillStyle: "#222222" },
         },
     },
     {
@@ -417,7 +439,8 @@ export const renderRules = [
             zIndex: 4,
             lineWidth: 8,
             hasCasing: true,
-            casingStrokeStyle: "#bcc46f"
+            casingStrokeStyle: "#bcc46f",
+            label: { placement: "line", minZoom: 1.5, priority: 7, fontSize: 11, fillStyle: "#222222" },
         },
     },
     {
@@ -430,7 +453,8 @@ export const renderRules = [
             zIndex: 3,
             lineWidth: 6,
             hasCasing: true,
-            casingStrokeStyle: "#a4a3a3"
+            casingStrokeStyle: "#a4a3a3",
+            label: { placement: "line", minZoom: 2, priority: 6, fontSize: 11, fillStyle: "#222222" },
         },
     },
     {
@@ -443,7 +467,8 @@ export const renderRules = [
             zIndex: 2,
             lineWidth: 2,
             hasCasing: true,
-            casingStrokeStyle: "#a4a3a3"
+            casingStrokeStyle: "#a4a3a3",
+            label: { placement: "line", minZoom: 4, priority: 3, fontSize: 10, fillStyle: "#222222" },
         },
     },
     {
@@ -456,7 +481,8 @@ export const renderRules = [
             zIndex: 2,
             lineWidth: 2,
             hasCasing: true,
-            casingStrokeStyle: "#a4a3a3"
+            casingStrokeStyle: "#a4a3a3",
+            label: { placement: "line", minZoom: 3, priority: 4, fontSize: 10, fillStyle: "#222222" },
         },
     },
     {
@@ -469,7 +495,8 @@ export const renderRules = [
             zIndex: 3,
             lineWidth: 4,
             hasCasing: true,
-            casingStrokeStyle: "#a4a3a3"
+            casingStrokeStyle: "#a4a3a3",
+            label: { placement: "line", minZoom: 2.5, priority: 5, fontSize: 10, fillStyle: "#222222" },
         },
     },
     {
@@ -495,7 +522,85 @@ export const renderRules = [
             zIndex: 3,
             lineWidth: 8,
             hasCasing: true,
-            casingStrokeStyle: "#cc583a"
+            casingStrokeStyle: "#cc583a",
+            label: { placement: "line", minZoom: 1, priority: 8, fontSize: 12, fillStyle: "#222222" },
+        },
+    },
+    {
+        // key: place, value: city
+        condition: (element) => element.tags.some(({ key, value }) => key === 'place' && value === 'city'),
+        styles: {
+            fillStyle: "",
+            strokeStyle: "",
+            shouldFill: false,
+            zIndex: 0,
+            label: { placement: "point", minZoom: 0.4, priority: 10, fontSize: 16, fillStyle: "#000000" },
+        },
+    },
+    {
+        // key: place, value: town
+        condition: (element) => element.tags.some(({ key, value }) => key === 'place' && value === 'town'),
+        styles: {
+            fillStyle: "",
+            strokeStyle: "",
+            shouldFill: false,
+            zIndex: 0,
+            label: { placement: "point", minZoom: 0.8, priority: 9, fontSize: 14, fillStyle: "#000000" },
+        },
+    },
+    {
+        // key: place, value: village
+        condition: (element) => element.tags.some(({ key, value }) => key === 'place' && value === 'village'),
+        styles: {
+            fillStyle: "",
+            strokeStyle: "",
+            shouldFill: false,
+            zIndex: 0,
+            label: { placement: "point", minZoom: 1.5, priority: 8, fontSize: 13, fillStyle: "#000000" },
+        },
+    },
+    {
+        // key: place, value: suburb
+        condition: (element) => element.tags.some(({ key, value }) => key === 'place' && value === 'suburb'),
+        styles: {
+            fillStyle: "",
+            strokeStyle: "",
+            shouldFill: false,
+            zIndex: 0,
+            label: { placement: "point", minZoom: 1.5, priority: 7, fontSize: 13, fillStyle: "#000000" },
+        },
+    },
+    {
+        // key: place, value: hamlet
+        condition: (element) => element.tags.some(({ key, value }) => key === 'place' && value === 'hamlet'),
+        styles: {
+            fillStyle: "",
+            strokeStyle: "",
+            shouldFill: false,
+            zIndex: 0,
+            label: { placement: "point", minZoom: 2.5, priority: 6, fontSize: 12, fillStyle: "#000000" },
+        },
+    },
+    {
+        // key: place, value: neighbourhood
+        condition: (element) => element.tags.some(({ key, value }) => key === 'place' && value === 'neighbourhood'),
+        styles: {
+            fillStyle: "",
+            strokeStyle: "",
+            shouldFill: false,
+            zIndex: 0,
+            label: { placement: "point", minZoom: 3, priority: 5, fontSize: 11, fillStyle: "#000000" },
+        },
+    },
+    {
+        // key: place, value: locality
+        condition: (element) => element.tags.some(({ key, value }) => key === 'place' && value === 'locality'),
+        styles: {
+            fillStyle: "",
+            strokeStyle: "",
+            shouldFill: false,
+            zIndex: 0,
+            label: { placement: "point", minZoom: 4, priority: 4, fontSize: 10, fillStyle: "#000000" },
         },
     },
     {
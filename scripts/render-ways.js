@@ -2,11 +2,10 @@
  * @fileoverview
  * Rendering module for drawing the map element: ways on the canvas.
  * 
- * Handles the drawing of the ways through applying shared render rules imported from 
- * 'render-rules.js'. It defines functions to style the ways, render them on the canvas, 
- * and set up a toggle mechanism for showing or hiding the ways.
+ * Handles the drawing of the ways using the styles resolved from the shared render rules 
+ * by 'style-resolution.js'. It defines functions to render the ways on the canvas, and 
+ * set up a toggle mechanism for showing or hiding the ways.
  */
-import { renderRules } from './render-rules.js';
 
 /**
  * Determines if a given set of nodes forms a closed path.
@@ -24,30 +23,20 @@ const isPathClosed = (nodes) => {
 /**
  * Draws map ways on the canvas.
  *
- * Iterates through an array of way objects, applies the appropriate render style 
- * based on shared rules, and renders the ways on the canvas context.
+ * Iterates through an array of way objects, already in drawing order, applies the 
+ * resolved style of each way, and renders the ways on the canvas context.
  *
  * @param {CanvasRenderingContext2D} ctx - The canvas 2D rendering context.
  * @param {number} canvasHeight - The height of the canvas.
- * @param {Array<Object>} ways - An array of way objects containing node references and tags.
+ * @param {Array<Object>} ways - An array of way objects containing node references and resolved styles.
  * @param {Map<string, Object>} nodesMap - A map where keys are node IDs and values are node objects with coordinates.
  */
 export const drawWays = (ctx, canvasHeight, ways, nodesMap) => {
-    const sortedWays = ways
-        .map(way => ({ way, rule: getRenderRule(way) }))
-        .sort((a, b) => (a.rule?.styles.zIndex ?? 0) - (b.rule?.styles.zIndex ?? 0));
-
-    sortedWays.forEach(({ way, rule }) => {
+    ways.forEach(way => {
         const nodes = way.nodes.map(ref => nodesMap.get(ref)).filter(Boolean);
         if (nodes.length < 2) return;
 
-        const {
-            strokeStyle = "#000",
-            fillStyle = "",
-            lineWidth = 1,
-            shouldFill = false,
-            hasCasing = false
-        } = rule.styles;
+        const { strokeStyle, fillStyle, lineWidth, shouldFill, hasCasing, casingStrokeStyle } = way.style;
 
         if (hasCasing) {
             ctx.beginPath();
@@ -56,7 +45,7 @@ export const drawWays = (ctx, canvasHeight, ways, nodesMap) => {
                 ctx.lineTo(nodes[i].x, canvasHeight - nodes[i].y);
             }
             ctx.lineWidth = lineWidth * 1.2;
-            ctx.strokeStyle = rule.styles.casingStrokeStyle ?? "#333";
+            ctx.strokeStyle = casingStrokeStyle;
             ctx.stroke();
         }
 
@@ -78,16 +67,6 @@ export const drawWays = (ctx, canvasHeight, ways, nodesMap) => {
     });
 };
 
-/**
- * Returns the first matching render rule for a given map element.
- *
- * @param {Object} element - The OSM element way to style.
- * @returns {Object} The matching render rule.
- */
-function getRenderRule(element) {
-    return renderRules.find(rule => rule.condition(element));
-}
-
 /**
  * Sets up the toggle functionality for displaying ways on the map.
  *
@@ -0,0 +1,609 @@
+/**
+ * @fileoverview
+ * Routing module for planning routes over the stored highway network without a network.
+ *
+ * The following script builds a routing graph from the highway ways of the active region,
+ * joining the ways at the nodes they share, for each of the walking, cycling, and driving
+ * profiles: every profile has its own speed for each highway class, and its own rules for
+ * the 'access' and 'oneway' tags, with driving speeds taken from the 'maxspeed' tag where
+ * it is given.  Routes are found by an A* search for the quickest path, guided by the
+ * straight-line distance to the destination, and clicking the map with the route tool of
+ * 'map-tools.js' chooses the start and end of the route, which is drawn on the canvas with
+ * its distance and estimated time, and listed as the turn-by-turn steps of 'directions.js'.
+ * The graphs are shared with the reachability overlay of 'isochrone.js'.
+ */
+import { storeView } from './regions.js';
+import { downloadBlob } from './download.js';
+import { haversineDistance } from './geodesy.js';
+import { formatDistance, formatDuration } from './units.js';
+import { MapTool, addToolClickListener } from './map-tools.js';
+import { buildDirections, formatDirections } from './directions.js';
+import { logMessage, MessageScope, MessageOutput } from './log-message.js';
+
+/**
+ * Enum for the travel profiles a route can be planned for.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const RouteProfile = Object.freeze({
+    WALK: "walk",
+    CYCLE: "cycle",
+    DRIVE: "drive"
+});
+
+/**
+ * The rules of each travel profile: the description used in messages, the tag giving the
+ * one-way restriction, or null if one-way streets are ignored, the access tags from the
+ * most to the least specific, and the speed in km/h on each routable highway class.
+ * Driving follows the 'maxspeed' tag where it is given, whereas walking and cycling only
+ * slow down to it, and no profile travels faster than its top speed in km/h.
+ * @constant {Object<string, {description: string, onewayKey: string|null, accessKeys: Array<string>, speeds: Object<string, number>, followsMaxspeed: boolean, topSpeed: number}>}
+ */
+const PROFILE_RULES = Object.freeze({
+    [RouteProfile.WALK]: {
+        description: "walking",
+        onewayKey: null,
+        accessKeys: ["foot", "access"],
+        speeds: {
+            trunk: 5, trunk_link: 5, primary: 5, primary_link: 5, secondary: 5, secondary_link: 5,
+            tertiary: 5, tertiary_link: 5, unclassified: 5, residential: 5, living_street: 5,
+            service: 5, road: 5, pedestrian: 5, footway: 5, path: 5, track: 5, cycleway: 5,
+            bridleway: 5, steps: 3
+        },
+        followsMaxspeed: false,
+        topSpeed: 5
+    },
+    [RouteProfile.CYCLE]: {
+        description: "cycling",
+        onewayKey: "oneway:bicycle",
+        accessKeys: ["bicycle", "vehicle", "access"],
+        speeds: {
+            trunk: 18, trunk_link: 18, primary: 18, primary_link: 18, secondary: 18,
+            secondary_link: 18, tertiary: 18, tertiary_link: 18, unclassified: 18,
+            residential: 18, living_street: 12, service: 14, road: 14, cycleway: 20, path: 12,
+            track: 12, bridleway: 10
+        },
+        followsMaxspeed: false,
+        topSpeed: 20
+    },
+    [RouteProfile.DRIVE]: {
+        description: "driving",
+        onewayKey: "oneway",
+        accessKeys: ["motorcar", "motor_vehicle", "vehicle", "access"],
+        speeds: {
+            motorway: 110, motorway_link: 60, trunk: 90, trunk_link: 50, primary: 70,
+            primary_link: 45, secondary: 60, secondary_link: 40, tertiary: 50, tertiary_link: 35,
+            unclassified: 40, residential: 30, living_street: 10, service: 15, road: 30
+        },
+        followsMaxspeed: true,
+        topSpeed: 130
+    }
+});
+
+/**
+ * The access tag values which forbid travel along a way.
+ * @constant {Array<string>}
+ */
+const DENIED_ACCESS = ["no", "private"];
+
+/**
+ * The factors converting each unit of the 'maxspeed' tag to km/h; values without a unit
+ * are in km/h.
+ * @constant {Object<string, number>}
+ */
+const MAXSPEED_UNITS = Object.freeze({ "": 1, "mph": 1.609344, "knots": 1.852 });
+
+/**
+ * The routing graphs built for each loaded array of ways, by profile, so that the graphs
+ * are shared by the routing and the reachability overlay and dropped with the data.
+ * @type {WeakMap<Array<Object>, Map<string, Map<string, Array<Object>>>>}
+ */
+const routingGraphs = new WeakMap();
+
+/**
+ * The ID of the element describing the current route.
+ * @constant {string}
+ */
+const ROUTE_DETAILS_ID = "routeDetails";
+
+/**
+ * The ID of the list element holding the turn-by-turn steps of the current route.
+ * @constant {string}
+ */
+const ROUTE_STEPS_ID = "routeSteps";
+
+/**
+ * Class representing a binary min-heap of items ordered by a numeric priority, used as
+ * the open set of the A* search.
+ *
+ * @private
+ */
+class PriorityQueue {
+    /**
+     * Creates an empty priority queue.
+     */
+    constructor() {
+        this.heap = [];
+    }
+
+    /**
+     * Returns the number of items in the queue.
+     *
+     * @returns {number} The number of queued items.
+     */
+    get size() {
+        return this.heap.length;
+    }
+
+    /**
+     * Adds an item to the queue.
+     *
+     * @param {*} item - The item to add.
+     * @param {number} priority - The priority of the item, lowest first.
+     * @returns {void}
+     */
+    push(item, priority) {
+        const heap = this.heap;
+        heap.push({ item, priority });
+
+        let index = heap.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (heap[parent].priority <= heap[index].priority) break;
+            [heap[parent], heap[index]] = [heap[index], heap[parent]];
+            index = parent;
+        }
+    }
+
+    /**
+     * Removes and returns the item of the lowest priority.
+     *
+     * @returns {*} The item, or undefined if the queue is empty.
+     */
+    pop() {
+        const heap = this.heap;
+        if (heap.length === 0) return undefined;
+
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let index = 0;
+            while (true) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < heap.length && heap[left].priority < heap[smallest].priority) smallest = left;
+                if (right < heap.length && heap[right].priority < heap[smallest].priority) smallest = right;
+                if (smallest === index) break;
+                [heap[smallest], heap[index]] = [heap[index], heap[smallest]];
+                index = smallest;
+            }
+        }
+        return top.item;
+    }
+}
+
+/**
+ * Determines whether a profile may travel along a way, from the most specific access tag
+ * present; ways without access tags are open.
+ *
+ * @private
+ * @param {Map<string, string>} tags - The tags of the way.
+ * @param {Object} rules - The rules of the profile.
+ * @returns {boolean} True if the way is accessible.
+ */
+function isAccessible(tags, rules) {
+    const key = rules.accessKeys.find(accessKey => tags.has(accessKey));
+    return !key || !DENIED_ACCESS.includes(tags.get(key));
+}
+
+/**
+ * Determines the directions a profile may travel along a way.
+ *
+ * The profile's own one-way tag is read first, then the general 'oneway' tag, and
+ * roundabouts and motorways are one-way when neither is given.  Profiles which ignore
+ * one-way streets may travel both ways.
+ *
+ * @private
+ * @param {Map<string, string>} tags - The tags of the way.
+ * @param {Object} rules - The rules of the profile.
+ * @returns {{forward: boolean, backward: boolean}} Whether the way may be followed in and
+ *  against the order of its nodes.
+ */
+function getDirections(tags, rules) {
+    if (!rules.onewayKey) return { forward: true, backward: true };
+
+    const impliedOneway = tags.get("junction") === "roundabout" || tags.get("highway") === "motorway";
+    const oneway = tags.get(rules.onewayKey) ?? tags.get("oneway") ?? (impliedOneway ? "yes" : "no");
+
+    if (["yes", "1", "true"].includes(oneway)) return { forward: true, backward: false };
+    if (["-1", "reverse"].includes(oneway)) return { forward: false, backward: true };
+    return { forward: true, backward: true };
+}
+
+/**
+ * Reads the speed limit of a 'maxspeed' tag, such as '50' or '30 mph'.
+ *
+ * @param {string|undefined} value - The value of the tag.
+ * @returns {number|null} The limit in km/h, or null if the tag is missing or not a number,
+ *  as with 'none' or 'signals'.
+ */
+export function parseMaxspeed(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*(mph|knots)?$/.exec(value?.trim() ?? "");
+    return match ? parseFloat(match[1]) * MAXSPEED_UNITS[match[2] ?? ""] : null;
+}
+
+/**
+ * Determines the speed of a profile along a way from its highway class and speed limit.
+ *
+ * @private
+ * @param {Map<string, string>} tags - The tags of the way.
+ * @param {Object} rules - The rules of the profile.
+ * @returns {number|null} The speed in km/h, or null if the highway class is not routable.
+ */
+function getWaySpeed(tags, rules) {
+    const classSpeed = rules.speeds[tags.get("highway")];
+    if (!classSpeed) return null;
+
+    const maxspeed = parseMaxspeed(tags.get("maxspeed"));
+    if (maxspeed === null || maxspeed <= 0) return Math.min(classSpeed, rules.topSpeed);
+    const speed = rules.followsMaxspeed ? maxspeed : Math.min(classSpeed, maxspeed);
+    return Math.min(speed, rules.topSpeed);
+}
+
+/**
+ * Builds the routing graph of a profile from the highway ways of a dataset.
+ *
+ * Each graph node is a node of a routable way, so that ways sharing a node are joined
+ * there, and each edge is a segment of a way in a direction the profile may travel, with
+ * its length and travel time.  Segments whose nodes are not loaded are left out.
+ *
+ * @param {Array<Object>} ways - The way objects of the dataset.
+ * @param {Map<string, Object>} nodesById - The node objects by ID.
+ * @param {string} profile - A value from RouteProfile.
+ * @returns {Map<string, Array<{to: string, wayId: string, distance: number, duration: number}>>}
+ *  The edges leaving each graph node, by node ID, with distances in metres and durations
+ *  in seconds.
+ */
+export function buildRoutingGraph(ways, nodesById, profile) {
+    const rules = PROFILE_RULES[profile];
+    const graph = new Map();
+    const edgesFrom = (id) => {
+        if (!graph.has(id)) graph.set(id, []);
+        return graph.get(id);
+    };
+
+    for (const way of ways) {
+        const tags = new Map(way.tags.map(({ key, value }) => [key, value]));
+        const speed = getWaySpeed(tags, rules);
+        if (!speed || tags.get("area") === "yes" || !isAccessible(tags, rules)) continue;
+
+        const { forward, backward } = getDirections(tags, rules);
+        const metresPerSecond = speed / 3.6;
+
+        for (let i = 1; i < way.nodes.length; i++) {
+            const from = nodesById.get(way.nodes[i - 1]);
+            const to = nodesById.get(way.nodes[i]);
+            if (!from || !to) continue;
+
+            const distance = haversineDistance(from, to);
+            const duration = distance / metresPerSecond;
+            const fromEdges = edgesFrom(from.id);
+            const toEdges = edgesFrom(to.id);
+
+            if (forward) fromEdges.push({ to: to.id, wayId: way.id, distance, duration });
+            if (backward) toEdges.push({ to: from.id, wayId: way.id, distance, duration });
+        }
+    }
+    return graph;
+}
+
+/**
+ * Gets the routing graph of a profile for the data loaded in the renderer, building it on
+ * first use and keeping it until the data changes.
+ *
+ * @param {Object} renderer - The map renderer instance.
+ * @param {string} profile - A value from RouteProfile.
+ * @returns {Map<string, Array<Object>>} The routing graph of the profile.
+ */
+export function getRoutingGraph(renderer, profile) {
+    if (!routingGraphs.has(renderer.cachedWays)) routingGraphs.set(renderer.cachedWays, new Map());
+
+    const graphs = routingGraphs.get(renderer.cachedWays);
+    if (!graphs.has(profile)) {
+        graphs.set(profile, buildRoutingGraph(renderer.cachedWays, renderer.nodesById, profile));
+    }
+    return graphs.get(profile);
+}
+
+/**
+ * Describes how a profile travels, for use in messages.
+ *
+ * @param {string} profile - A value from RouteProfile.
+ * @returns {string} The description, such as 'walking'.
+ */
+export function describeProfile(profile) {
+    return PROFILE_RULES[profile].description;
+}
+
+/**
+ * Finds the graph node nearest to a geographic position.
+ *
+ * @param {Map<string, Array<Object>>} graph - The routing graph.
+ * @param {Map<string, Object>} nodesById - The node objects by ID.
+ * @param {{lon: number, lat: number}} position - The position to search from.
+ * @returns {string|null} The ID of the nearest graph node, or null if the graph is empty.
+ */
+export function findNearestGraphNode(graph, nodesById, position) {
+    let nearestId = null;
+    let nearestDistance = Infinity;
+
+    for (const id of graph.keys()) {
+        const distance = haversineDistance(position, nodesById.get(id));
+        if (distance < nearestDistance) {
+            nearestId = id;
+            nearestDistance = distance;
+        }
+    }
+    return nearestId;
+}
+
+/**
+ * Snaps a node to the routing graph of a profile, keeping the node if it is in the graph
+ * and otherwise taking the graph node nearest to it, as when a node chosen in the graph of
+ * another profile is not routable for this one.
+ *
+ * @param {Map<string, Array<Object>>} graph - The routing graph.
+ * @param {Map<string, Object>} nodesById - The node objects by ID.
+ * @param {string} nodeId - The ID of the node to snap.
+ * @returns {string|null} The ID of the graph node, or null if the graph is empty.
+ */
+export function snapToGraph(graph, nodesById, nodeId) {
+    return graph.has(nodeId) ? nodeId : findNearestGraphNode(graph, nodesById, nodesById.get(nodeId));
+}
+
+/**
+ * Finds the quickest route between two graph nodes by an A* search.
+ *
+ * The search is guided by the straight-line distance to the destination at the top
+ * speed of the profile, which never overestimates the remaining time, so the route found
+ * is the quickest in the graph.
+ *
+ * @param {Map<string, Array<Object>>} graph - The routing graph of the profile.
+ * @param {Map<string, Object>} nodesById - The node objects by ID.
+ * @param {string} startId - The ID of the start node.
+ * @param {string} endId - The ID of the end node.
+ * @param {string} profile - A value from RouteProfile, the profile of the graph.
+ * @returns {{profile: string, nodeIds: Array<string>, edges: Array<Object>, distance: number, duration: number} | null}
+ *  The route, with its nodes, the edges followed between them, its distance in metres and
+ *  duration in seconds, or null if the end cannot be reached.
+ */
+export function findRoute(graph, nodesById, startId, endId, profile) {
+    const maxSpeed = PROFILE_RULES[profile].topSpeed / 3.6;
+    const goal = nodesById.get(endId);
+    const estimate = (id) => haversineDistance(nodesById.get(id), goal) / maxSpeed;
+
+    const durations = new Map([[startId, 0]]);
+    const arrivals = new Map();
+    const visited = new Set();
+    const open = new PriorityQueue();
+    open.push(startId, estimate(startId));
+
+    while (open.size > 0) {
+        const id = open.pop();
+        if (visited.has(id)) continue;
+        visited.add(id);
+
+        if (id === endId) {
+            const edges = [];
+            for (let current = endId; current !== startId; current = arrivals.get(current).from) {
+                edges.unshift(arrivals.get(current).edge);
+            }
+            return {
+                profile,
+                nodeIds: [startId, ...edges.map(edge => edge.to)],
+                edges,
+                distance: edges.reduce((sum, edge) => sum + edge.distance, 0),
+                duration: durations.get(endId)
+            };
+        }
+
+        for (const edge of graph.get(id) ?? []) {
+            const duration = durations.get(id) + edge.duration;
+            if (visited.has(edge.to) || duration >= (durations.get(edge.to) ?? Infinity)) continue;
+
+            durations.set(edge.to, duration);
+            arrivals.set(edge.to, { from: id, edge });
+            open.push(edge.to, duration + estimate(edge.to));
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds every graph node reachable from a start node within a travel time, by a search
+ * outwards from the start in order of the quickest arrival.
+ *
+ * @param {Map<string, Array<Object>>} graph - The routing graph of the profile.
+ * @param {string} startId - The ID of the start node.
+ * @param {number} maxDuration - The longest travel time in seconds.
+ * @returns {Map<string, number>} The quickest travel time in seconds to each reachable
+ *  node, by node ID.
+ */
+export function findReachableNodes(graph, startId, maxDuration) {
+    const durations = new Map([[startId, 0]]);
+    const visited = new Set();
+    const open = new PriorityQueue();
+    open.push(startId, 0);
+
+    while (open.size > 0) {
+        const id = open.pop();
+        if (visited.has(id)) continue;
+        visited.add(id);
+
+        for (const edge of graph.get(id) ?? []) {
+            const duration = durations.get(id) + edge.duration;
+            if (duration > maxDuration || duration >= (durations.get(edge.to) ?? Infinity)) continue;
+
+            durations.set(edge.to, duration);
+            open.push(edge.to, duration);
+        }
+    }
+    return durations;
+}
+
+/**
+ * Summarises a complete route by its distance, duration, and profile.
+ *
+ * @private
+ * @param {{profile: string, distance: number, duration: number}} route - The route.
+ * @returns {string} The summary, such as '1.31 km, about 16 min walking'.
+ */
+function describeRoute({ profile, distance, duration }) {
+    return `${formatDistance(distance)}, about ${formatDuration(duration)} ${PROFILE_RULES[profile].description}`;
+}
+
+/**
+ * Lists the turn-by-turn steps of a route, each as a button which pans the map to the
+ * junction where the step starts.
+ *
+ * @private
+ * @param {HTMLElement} stepsList - The list element which holds the steps.
+ * @param {Array<{text: string, nodeId: string}>} steps - The steps of the route.
+ * @param {Object} renderer - The map renderer instance.
+ * @returns {void}
+ */
+function showSteps(stepsList, steps, renderer) {
+    stepsList.replaceChildren(...steps.map(step => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = step.text;
+        button.addEventListener("click", () => {
+            const node = renderer.nodesById.get(step.nodeId);
+            if (!node) return;
+
+            renderer.panTo(node.lon, node.lat);
+            storeView(renderer);
+        });
+
+        const item = document.createElement("li");
+        item.appendChild(button);
+        return item;
+    }));
+}
+
+/**
+ * Replaces the route of the renderer, describing it in the route details element and
+ * listing its turn-by-turn steps.
+ *
+ * A route of a single node marks a chosen start whose end is still to be chosen.
+ *
+ * @param {Object} renderer - The map renderer instance.
+ * @param {Object|null} route - The route to draw, or null to clear the route.
+ * @returns {void}
+ */
+export function setRoute(renderer, route) {
+    renderer.route = route;
+    renderer.needsRender = true;
+
+    const isComplete = route !== null && route.nodeIds.length > 1;
+    const stepsList = document.getElementById(ROUTE_STEPS_ID);
+    if (stepsList) showSteps(stepsList, isComplete ? route.steps : [], renderer);
+
+    const details = document.getElementById(ROUTE_DETAILS_ID);
+    if (!details) return;
+
+    if (!route) {
+        details.textContent = "[Route]: Click the start and end on the map with the route tool.";
+    } else if (!isComplete) {
+        details.textContent = "[Route]: Start chosen, click the end on the map.";
+    } else {
+        details.textContent = `[Route]: ${describeRoute(route)}.`;
+    }
+}
+
+/**
+ * Saves the turn-by-turn directions of a route as a plain text file.
+ *
+ * @private
+ * @param {Object} route - The complete route.
+ * @returns {void}
+ */
+function saveDirections(route) {
+    const text = formatDirections(`Route: ${describeRoute(route)}`, route.steps);
+    downloadBlob(new Blob([text], { type: "text/plain" }), `route-${route.profile}.txt`);
+}
+
+/**
+ * Sets up the route tool and the route controls.
+ *
+ * With the route tool active, the first click on the map chooses the start of the route
+ * and the second its end, each snapped to the nearest node of the routing graph; a further
+ * click starts a new route.  Changing the profile plans the current route again, with
+ * both ends snapped again to the graph of the new profile, or clears it if the new
+ * profile has no routes.  The export button saves the directions of the current route as
+ * a text file.
+ *
+ * @param {HTMLSelectElement} profileSelect - The select element choosing a value from RouteProfile.
+ * @param {HTMLButtonElement} clearBtn - The button which clears the route.
+ * @param {HTMLButtonElement} exportBtn - The button which exports the directions.
+ * @param {HTMLCanvasElement} canvas - The canvas element on which the map is clicked.
+ * @param {Object} renderer - The map renderer instance.
+ * @returns {void}
+ */
+export function setupRouting(profileSelect, clearBtn, exportBtn, canvas, renderer) {
+    const planRoute = (startId, endId) => {
+        const profile = profileSelect.value || RouteProfile.WALK;
+        const route = findRoute(getRoutingGraph(renderer, profile), renderer.nodesById, startId, endId, profile);
+        if (route) {
+            route.steps = buildDirections(route, renderer.waysById, renderer.nodesById);
+            setRoute(renderer, route);
+        } else {
+            setRoute(renderer, { profile, nodeIds: [startId], edges: [], distance: 0, duration: 0 });
+            logMessage(MessageScope.ROUTING, MessageOutput.STATUS, `No ${PROFILE_RULES[profile].description} route to the chosen end`);
+        }
+    };
+
+    addToolClickListener(canvas, renderer, MapTool.ROUTE, (x, y) => {
+        const profile = profileSelect.value || RouteProfile.WALK;
+        const nodeId = findNearestGraphNode(getRoutingGraph(renderer, profile), renderer.nodesById, renderer.screenToGeo(x, y));
+        if (!nodeId) {
+            logMessage(MessageScope.ROUTING, MessageOutput.STATUS, `No ${PROFILE_RULES[profile].description} routes are stored for this region`);
+            return;
+        }
+
+        const route = renderer.route;
+        if (route && route.nodeIds.length === 1) {
+            planRoute(route.nodeIds[0], nodeId);
+        } else {
+            setRoute(renderer, { profile, nodeIds: [nodeId], edges: [], distance: 0, duration: 0 });
+        }
+    });
+
+    profileSelect.addEventListener("change", () => {
+        const route = renderer.route;
+        if (!route || route.nodeIds.length < 2) return;
+
+        const profile = profileSelect.value || RouteProfile.WALK;
+        const graph = getRoutingGraph(renderer, profile);
+        const startId = snapToGraph(graph, renderer.nodesById, route.nodeIds[0]);
+        const endId = snapToGraph(graph, renderer.nodesById, route.nodeIds[route.nodeIds.length - 1]);
+        if (!startId || !endId) {
+            setRoute(renderer, null);
+            logMessage(MessageScope.ROUTING, MessageOutput.STATUS, `No ${PROFILE_RULES[profile].description} routes are stored for this region`);
+            return;
+        }
+        planRoute(startId, endId);
+    });
+    clearBtn.addEventListener("click", () => setRoute(renderer, null));
+    exportBtn.addEventListener("click", () => {
+        const route = renderer.route;
+        if (route && route.nodeIds.length > 1) {
+            saveDirections(route);
+        } else {
+            logMessage(MessageScope.ROUTING, MessageOutput.STATUS, "Plan a route before exporting its directions");
+        }
+    });
+}
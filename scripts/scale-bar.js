@@ -0,0 +1,108 @@
+/**
+ * @fileoverview
+ * Scale bar module for showing the ground distance covered by a length on the map.
+ *
+ * The following script measures the ground resolution at the centre of the view, in
+ * metres per canvas pixel, by converting two screen positions back to geographic
+ * positions through the inverse of the map projection and taking the geodesic distance
+ * between them, so that the scale allows for both the projection and the zoom level.
+ * The scale bar shows the longest round metric and imperial lengths which fit its width.
+ */
+import { haversineDistance } from './geodesy.js';
+import { METRES_PER_FOOT, METRES_PER_MILE } from './units.js';
+
+/**
+ * The ID of the bar showing the metric length.
+ * @constant {string}
+ */
+const SCALE_METRIC_ID = "scaleMetric";
+
+/**
+ * The ID of the bar showing the imperial length.
+ * @constant {string}
+ */
+const SCALE_IMPERIAL_ID = "scaleImperial";
+
+/**
+ * The longest width in pixels of either bar.
+ * @constant {number}
+ */
+const MAX_SCALE_WIDTH = 120;
+
+/**
+ * The distance in canvas pixels between the two positions measured for the resolution.
+ * @constant {number}
+ */
+const SAMPLE_WIDTH = 100;
+
+/**
+ * The number of feet in a mile.
+ * @constant {number}
+ */
+const FEET_PER_MILE = METRES_PER_MILE / METRES_PER_FOOT;
+
+/**
+ * Calculates the ground resolution at the centre of the view.
+ *
+ * @param {Object} renderer - The map renderer instance.
+ * @returns {number} The ground distance in metres covered by one canvas pixel.
+ */
+export function calculateGroundResolution(renderer) {
+    const centreX = renderer.canvas.width / 2;
+    const centreY = renderer.canvas.height / 2;
+    const west = renderer.screenToGeo(centreX - SAMPLE_WIDTH / 2, centreY);
+    const east = renderer.screenToGeo(centreX + SAMPLE_WIDTH / 2, centreY);
+    return haversineDistance(west, east) / SAMPLE_WIDTH;
+}
+
+/**
+ * Rounds a length down to the nearest 1, 2, or 5 times a power of ten.
+ *
+ * @param {number} maxLength - The longest length allowed.
+ * @returns {number} The round length, such as 500 for 730.
+ */
+export function roundScaleLength(maxLength) {
+    const magnitude = 10 ** Math.floor(Math.log10(maxLength));
+    const step = [5, 2, 1].find(step => step * magnitude <= maxLength) ?? 1;
+    return step * magnitude;
+}
+
+/**
+ * Sets the width and label of a bar of the scale bar.
+ *
+ * @private
+ * @param {string} id - The ID of the bar element.
+ * @param {number} width - The width of the bar in pixels.
+ * @param {string} label - The length shown by the bar.
+ * @returns {void}
+ */
+function setBar(id, width, label) {
+    const bar = document.getElementById(id);
+    if (!bar) return;
+
+    bar.style.width = `${Math.round(width)}px`;
+    bar.textContent = label;
+}
+
+/**
+ * Updates the scale bar for the current view of the renderer.
+ *
+ * @param {Object} renderer - The map renderer instance.
+ * @returns {void}
+ */
+export function updateScaleBar(renderer) {
+    const resolution = calculateGroundResolution(renderer);
+    if (!Number.isFinite(resolution) || resolution <= 0) return;
+
+    const metres = roundScaleLength(resolution * MAX_SCALE_WIDTH);
+    setBar(SCALE_METRIC_ID, metres / resolution, metres < 1000 ? `${metres} m` : `${metres / 1000} km`);
+
+    const feetPerPixel = resolution / METRES_PER_FOOT;
+    if (feetPerPixel * MAX_SCALE_WIDTH < FEET_PER_MILE) {
+        const feet = roundScaleLength(feetPerPixel * MAX_SCALE_WIDTH);
+        setBar(SCALE_IMPERIAL_ID, feet / feetPerPixel, `${feet} ft`);
+    } else {
+        const miles = roundScaleLength(feetPerPixel * MAX_SCALE_WIDTH / FEET_PER_MILE);
+        setBar(SCALE_IMPERIAL_ID, miles * FEET_PER_MILE / feetPerPixel, `${miles} mi`);
+    }
+}
@@ -0,0 +1,222 @@
+/**
+ * @fileoverview
+ * Search module for finding the stored elements of the active region by name or address.
+ *
+ * The following script queries the search indexes of 'indexedDB.js', which hold the
+ * lower-cased values of the name, street, house number, and amenity tags, for values that
+ * start with the typed text.  Matching nodes, ways, and relations are ranked by the tag
+ * which matched and by how closely it matched, and listed below the search box; choosing
+ * a result pans and zooms the map to the element, and the listed results are highlighted
+ * so that 'highlights.js' can cycle through them.
+ */
+import { focusOnElement } from './regions.js';
+import { setHighlights } from './highlights.js';
+import { STORE_NAMES, SEARCH_INDEXES, searchIndexName } from './indexedDB.js';
+import { logMessage, MessageScope, MessageOutput } from './log-message.js';
+
+/**
+ * The largest number of results listed for a query.
+ * @constant {number}
+ */
+const MAX_RESULTS = 20;
+
+/**
+ * The shortest query, in characters, which is searched as it is typed.
+ * @constant {number}
+ */
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * The weight of a match on each of the searchable tags; names rank above addresses,
+ * which rank above amenity types.
+ * @constant {Object<string, number>}
+ */
+const TAG_WEIGHTS = Object.freeze({
+    "name": 4,
+    "addr:street": 2,
+    "addr:housenumber": 1,
+    "amenity": 1
+});
+
+/**
+ * The element stores searched, and the element type which each holds.
+ * @constant {Array<{type: string, storeName: string}>}
+ */
+const SEARCHED_STORES = [
+    { type: "node", storeName: STORE_NAMES.NODES },
+    { type: "way", storeName: STORE_NAMES.WAYS },
+    { type: "relation", storeName: STORE_NAMES.RELATIONS }
+];
+
+/**
+ * Normalises a query for matching against the search indexes.
+ *
+ * @param {string} text - The text entered by the user.
+ * @returns {string} The query, trimmed, lower-cased, and with single spaces between words.
+ */
+export function normaliseQuery(text) {
+    return text.trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+/**
+ * Scores how well an indexed value matches a query.
+ *
+ * Exact matches score twice a prefix match of the same tag, and among prefix matches the
+ * shorter values, which the query covers more of, score higher.
+ *
+ * @private
+ * @param {string} tag - The tag which matched.
+ * @param {string} value - The lower-cased value of the tag.
+ * @param {string} query - The normalised query.
+ * @returns {number} The score of the match.
+ */
+function scoreMatch(tag, value, query) {
+    const closeness = value === query ? 2 : query.length / value.length;
+    return TAG_WEIGHTS[tag] * (1 + closeness);
+}
+
+/**
+ * Reads the records of a region whose indexed value starts with the query.
+ *
+ * @private
+ * @param {IDBObjectStore} objectStore - The element store to search.
+ * @param {string} field - The field of the 'searchKeys' to match.
+ * @param {number} regionId - The identifier of the region to search.
+ * @param {string} query - The normalised query.
+ * @returns {Promise<Array<Object>>} A promise that resolves to the matching records.
+ */
+function readPrefixMatches(objectStore, field, regionId, query) {
+    const range = IDBKeyRange.bound([regionId, query], [regionId, `${query}\uffff`]);
+    return new Promise((resolve, reject) => {
+        const request = objectStore.index(searchIndexName(field)).getAll(range, MAX_RESULTS);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Searches the stored elements of a region for names and addresses starting with a query.
+ *
+ * Every searchable tag of every element store is matched by prefix, ignoring case.  An
+ * element matching on several tags is listed once, with its best scoring match, and the
+ * results are ordered by descending score, then by the matched value.
+ *
+ * @param {IDBDatabase} database - The IndexedDB database instance.
+ * @param {number} regionId - The identifier of the region to search.
+ * @param {string} text - The text to search for.
+ * @returns {Promise<Array<{type: string, element: Object, tag: string, value: string, score: number}>>}
+ *  A promise that resolves to the ranked results, at most MAX_RESULTS of them.
+ */
+export async function searchElements(database, regionId, text) {
+    const query = normaliseQuery(text);
+    if (!query) return [];
+
+    const transaction = database.transaction(SEARCHED_STORES.map(({ storeName }) => storeName), "readonly");
+    const results = new Map();
+
+    await Promise.all(SEARCHED_STORES.flatMap(({ type, storeName }) => SEARCH_INDEXES.map(async ({ tag, field }) => {
+        const records = await readPrefixMatches(transaction.objectStore(storeName), field, regionId, query);
+
+        for (const element of records) {
+            const value = element.searchKeys[field];
+            const score = scoreMatch(tag, value, query);
+            const key = `${type}/${element.id}`;
+            if (!results.has(key) || results.get(key).score < score) {
+                results.set(key, { type, element, tag, value, score });
+            }
+        }
+    })));
+
+    return [...results.values()]
+        .sort((a, b) => b.score - a.score || a.value.localeCompare(b.value))
+        .slice(0, MAX_RESULTS);
+}
+
+/**
+ * Describes a search result for the results list.
+ *
+ * @private
+ * @param {{type: string, element: Object, tag: string}} result - The search result.
+ * @returns {string} The name of the element, with the tag which matched if it is not the name.
+ */
+function describeResult({ type, element, tag }) {
+    const getTag = (key) => element.tags.find(tagEntry => tagEntry.key === key)?.value;
+    const name = getTag("name") ?? `${type} ${element.id}`;
+    const address = [getTag("addr:housenumber"), getTag("addr:street")].filter(Boolean).join(" ");
+
+    const details = tag === "amenity" ? getTag("amenity") : address;
+    return details && details !== name ? `${name} (${details})` : name;
+}
+
+/**
+ * Sets up the search box, listing the results as the query is typed.
+ *
+ * Queries shorter than MIN_QUERY_LENGTH are only searched when the form is submitted, and
+ * submitting the form highlights the results and focuses the map on the best one.  Results
+ * of a query which has since been replaced are discarded, so that a slow search cannot
+ * overwrite the results of a later one.  Clicking a result highlights the listed results,
+ * with the clicked one current, and focuses the map on it.
+ *
+ * @param {HTMLFormElement} form - The search form.
+ * @param {HTMLInputElement} input - The search input.
+ * @param {HTMLElement} resultsList - The list element which holds the results.
+ * @param {Object} renderer - The map renderer instance.
+ * @param {IDBDatabase} database - The IndexedDB database instance.
+ * @returns {void}
+ */
+export function setupSearch(form, input, resultsList, renderer, database) {
+    let latestSearch = 0;
+
+    const highlightResults = (results, index) => {
+        setHighlights(renderer, results.map(({ type, element }) => ({ type, element })), index);
+    };
+
+    const showResults = (results) => {
+        resultsList.replaceChildren(...results.map((result, index) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.textContent = describeResult(result);
+            button.addEventListener("click", () => {
+                highlightResults(results, index);
+                if (!focusOnElement(renderer, result.type, result.element)) {
+                    logMessage(MessageScope.SEARCH, MessageOutput.STATUS, `${button.textContent} has no nodes loaded`);
+                }
+            });
+
+            const item = document.createElement("li");
+            item.appendChild(button);
+            return item;
+        }));
+    };
+
+    const runSearch = async (force) => {
+        const searchId = ++latestSearch;
+        const query = normaliseQuery(input.value);
+
+        if (renderer.activeRegionId === null || (!force && query.length < MIN_QUERY_LENGTH)) {
+            showResults([]);
+            return;
+        }
+
+        try {
+            const results = await searchElements(database, renderer.activeRegionId, query);
+            if (searchId !== latestSearch) return;
+
+            showResults(results);
+            if (force && results.length === 0) {
+                logMessage(MessageScope.SEARCH, MessageOutput.STATUS, `No results for '${input.value.trim()}'`);
+            } else if (force) {
+                highlightResults(results, 0);
+                focusOnElement(renderer, results[0].type, results[0].element);
+            }
+        } catch (error) {
+            logMessage(MessageScope.SEARCH, MessageOutput.BOTH, `Error searching: ${error.message}`);
+        }
+    };
+
+    input.addEventListener("input", () => runSearch(false));
+    form.addEventListener("submit", (event) => {
+        event.preventDefault();
+        runSearch(true);
+    });
+}
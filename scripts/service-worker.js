@@ -9,10 +9,12 @@
 import { logMessage, MessageScope, MessageOutput } from './log-message.js';
 
 /**
- * The name of the cache used for storing application resources for offline access.
+ * The name of the cache used for storing application resources for offline access.  The
+ * version must be raised whenever the cached resources change, so that activation
+ * deletes the cache holding the old copies.
  * @constant {string}
  */
-const CACHE_NAME = 'final-implementation-cache-v1';
+const CACHE_NAME = 'final-implementation-cache-v2';
 
 /**
  * An array of URLs representing the resources to be cached during the installation phase 
@@ -23,12 +25,33 @@ const CACHE_NAME = 'final-implementation-cache-v1';
 const URLS_TO_CACHE = [
     './',
     './main.js',
+    './search.js',
+    './units.js',
+    './tiling.js',
     './style.css',
     './index.html',
+    './regions.js',
+    './geodesy.js',
+    './routing.js',
+    './osm-xml.js',
+    './tag-query.js',
+    './scale-bar.js',
     './favicon.ico',
     './indexedDB.js',
+    './inspector.js',
+    './map-tools.js',
+    './measure.js',
+    './migrations.js',
     './parse-data.js',
+    './highlights.js',
+    './isochrone.js',
+    './hit-testing.js',
+    './projection.js',
+    './load-worker.js',
     './clear-data.js',
+    './download.js',
+    './directions.js',
+    './coordinates.js',
     './render-main.js',
     './render-ways.js',
     './log-message.js',
@@ -36,12 +59,24 @@ const URLS_TO_CACHE = [
     './registration.js',
     './zoom-buttons.js',
     './render-nodes.js',
+    './render-labels.js',
+    './multipolygon.js',
     './render-rules.js',
+    './render-route.js',
+    './render-measure.js',
+    './stream-parser.js',
+    './symbol-rules.js',
+    './spatial-index.js',
     './initialisation.js',
     './service-worker.js',
     './event-listeners.js',
+    './render-highlight.js',
+    './render-isochrone.js',
+    './style-resolution.js',
     './form-submission.js',
+    './address-lookup.js',
     './input-validation.js',
+    './worker-messages.js',
     './connection-status.js',
     './render-relations.js'
 ];
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview
+ * Spatial index module for finding the map elements within a rectangular area.
+ *
+ * The following script provides a uniform grid index over the projected bounding boxes of
+ * the map elements.  It is built once per loaded dataset, after which the elements on
+ * screen can be found by visiting only the grid cells covered by the viewport, instead of
+ * projecting and testing every element on every frame.
+ */
+
+/**
+ * The default number of grid cells along each side of the indexed extent.
+ * @constant {number}
+ */
+const DEFAULT_CELLS_PER_SIDE = 64;
+
+/**
+ * Determines whether two bounding boxes overlap, including touching edges.
+ *
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} a - The first bounding box.
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} b - The second bounding box.
+ * @returns {boolean} True if the bounding boxes overlap.
+ */
+export const intersects = (a, b) =>
+    a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+
+/**
+ * Calculates the bounding box of a list of points.
+ *
+ * @param {Iterable<{x: number, y: number}>} points - The points to enclose.
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number} | null} The bounding
+ *  box, or null if there are no points.
+ */
+export function boundsOfPoints(points) {
+    let bounds = null;
+    for (const { x, y } of points) {
+        if (!bounds) {
+            bounds = { minX: x, minY: y, maxX: x, maxY: y };
+            continue;
+        }
+        bounds.minX = Math.min(bounds.minX, x);
+        bounds.minY = Math.min(bounds.minY, y);
+        bounds.maxX = Math.max(bounds.maxX, x);
+        bounds.maxY = Math.max(bounds.maxY, y);
+    }
+    return bounds;
+}
+
+/**
+ * Class representing a uniform grid spatial index.
+ *
+ * Each item is stored in every grid cell its bounding box covers.  Searches return the
+ * matching items in the order they were inserted, so that the draw order of the elements
+ * stays stable however the viewport moves.
+ */
+export class SpatialIndex {
+    /**
+     * Creates an instance of SpatialIndex covering the given extent.
+     *
+     * Items outside the extent are still indexed, in the cells along its edges.
+     *
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} extent - The area to divide into cells.
+     * @param {number} [cellsPerSide=DEFAULT_CELLS_PER_SIDE] - The number of cells along each side.
+     */
+    constructor(extent, cellsPerSide = DEFAULT_CELLS_PER_SIDE) {
+        this.extent = extent;
+        this.cellsPerSide = cellsPerSide;
+        this.cellWidth = ((extent.maxX - extent.minX) / cellsPerSide) || 1;
+        this.cellHeight = ((extent.maxY - extent.minY) / cellsPerSide) || 1;
+
+        this.cells = new Map();
+        this.entries = [];
+    }
+
+    /**
+     * Returns the number of items in the index.
+     *
+     * @returns {number} The number of indexed items.
+     */
+    get size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Converts a projected x position to a column index, clamped to the grid.
+     *
+     * @private
+     * @param {number} x - The projected x position.
+     * @returns {number} The column index.
+     */
+    columnOf(x) {
+        const column = Math.floor((x - this.extent.minX) / this.cellWidth);
+        return Math.max(0, Math.min(this.cellsPerSide - 1, column));
+    }
+
+    /**
+     * Converts a projected y position to a row index, clamped to the grid.
+     *
+     * @private
+     * @param {number} y - The projected y position.
+     * @returns {number} The row index.
+     */
+    rowOf(y) {
+        const row = Math.floor((y - this.extent.minY) / this.cellHeight);
+        return Math.max(0, Math.min(this.cellsPerSide - 1, row));
+    }
+
+    /**
+     * Adds an item to the index.
+     *
+     * @param {*} item - The item to index.
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} bbox - The bounding box of the item.
+     * @returns {void}
+     */
+    insert(item, bbox) {
+        const order = this.entries.length;
+        this.entries.push({ item, bbox });
+
+        for (let column = this.columnOf(bbox.minX); column <= this.columnOf(bbox.maxX); column++) {
+            for (let row = this.rowOf(bbox.minY); row <= this.rowOf(bbox.maxY); row++) {
+                const key = column * this.cellsPerSide + row;
+                const cell = this.cells.get(key);
+                if (cell) {
+                    cell.push(order);
+                } else {
+                    this.cells.set(key, [order]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Finds every item whose bounding box overlaps the given bounding box.
+     *
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} bbox - The area to search.
+     * @returns {Array<*>} The matching items, in insertion order.
+     */
+    search(bbox) {
+        const seen = new Set();
+        const matches = [];
+
+        for (let column = this.columnOf(bbox.minX); column <= this.columnOf(bbox.maxX); column++) {
+            for (let row = this.rowOf(bbox.minY); row <= this.rowOf(bbox.maxY); row++) {
+                const cell = this.cells.get(column * this.cellsPerSide + row);
+                if (!cell) continue;
+
+                for (const order of cell) {
+                    if (seen.has(order)) continue;
+                    seen.add(order);
+                    if (intersects(this.entries[order].bbox, bbox)) matches.push(order);
+                }
+            }
+        }
+        return matches.sort((a, b) => a - b).map(order => this.entries[order].item);
+    }
+}
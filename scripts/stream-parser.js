@@ -0,0 +1,333 @@
+/**
+ * @fileoverview
+ * Streaming OpenStreetMap XML parser for incremental processing of large downloads.
+ *
+ * The following script provides a SAX-style parser which accepts the OSM XML in chunks, as
+ * they arrive from the network, and emits each node, way, and relation as soon as its
+ * closing tag has been read.  Only the element currently being read is held in memory,
+ * and the emitted objects share their shapes with those produced by 'parse-data.js'.
+ * The <bounds> of the document is emitted in the same way, before the elements.
+ */
+import { transformNode, transformWay, transformBounds, transformRelation } from './parse-data.js';
+import { logMessage, MessageScope, MessageOutput } from './log-message.js';
+
+/**
+ * The transformation functions for each of the top-level OSM element types, and the bounds.
+ * @constant {Object<string, Function>}
+ */
+const ELEMENT_TRANSFORMS = Object.freeze({
+    bounds: transformBounds,
+    node: transformNode,
+    way: transformWay,
+    relation: transformRelation
+});
+
+/**
+ * The predefined XML entities and the characters they represent.
+ * @constant {Object<string, string>}
+ */
+const XML_ENTITIES = Object.freeze({
+    amp: "&",
+    lt: "<",
+    gt: ">",
+    quot: "\"",
+    apos: "'"
+});
+
+/**
+ * Matches a single name="value" or name='value' attribute within a start tag.
+ * @constant {RegExp}
+ */
+const ATTRIBUTE_PATTERN = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Matches an entity or character reference within an attribute value.
+ * @constant {RegExp}
+ */
+const ENTITY_PATTERN = /&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g;
+
+/**
+ * Replaces the entity and character references within an attribute value.
+ *
+ * @private
+ * @param {string} value - The raw attribute value.
+ * @returns {string} The decoded attribute value.
+ */
+function decodeEntities(value) {
+    if (!value.includes("&")) return value;
+
+    return value.replace(ENTITY_PATTERN, (match, entity) => {
+        if (entity.startsWith("#x")) return String.fromCodePoint(parseInt(entity.slice(2), 16));
+        if (entity.startsWith("#")) return String.fromCodePoint(parseInt(entity.slice(1), 10));
+        return XML_ENTITIES[entity] ?? match;
+    });
+}
+
+/**
+ * Creates a parsing error, logging it to the console.
+ *
+ * @private
+ * @param {string} message - The description of the problem.
+ * @returns {Error} The error to throw.
+ */
+function parsingError(message) {
+    logMessage(MessageScope.PARSING, MessageOutput.CONSOLE, `Error parsing XML: ${message}`);
+    return new Error(`Error parsing XML: ${message}`);
+}
+
+/**
+ * A minimal element read by the streaming parser.
+ *
+ * Implements the subset of the DOM Element interface used by the element transformations
+ * of 'parse-data.js', so that both parsers produce objects through the same code.
+ */
+class StreamElement {
+    /**
+     * Creates an instance of StreamElement.
+     *
+     * @param {string} name - The tag name of the element.
+     * @param {Object<string, string>} attributes - The decoded attributes of the element.
+     */
+    constructor(name, attributes) {
+        this.name = name;
+        this.attributes = attributes;
+        this.children = [];
+    }
+
+    /**
+     * Returns the value of the named attribute.
+     *
+     * @param {string} name - The name of the attribute.
+     * @returns {string|null} The attribute value, or null if it is missing.
+     */
+    getAttribute(name) {
+        return Object.hasOwn(this.attributes, name) ? this.attributes[name] : null;
+    }
+
+    /**
+     * Determines whether the element has the named attribute.
+     *
+     * @param {string} name - The name of the attribute.
+     * @returns {boolean} True if the attribute is present.
+     */
+    hasAttribute(name) {
+        return Object.hasOwn(this.attributes, name);
+    }
+
+    /**
+     * Returns the child elements with the given tag name.
+     *
+     * @param {string} name - The tag name to match.
+     * @returns {Array<StreamElement>} The matching child elements, in document order.
+     */
+    getElementsByTagName(name) {
+        return this.children.filter(child => child.name === name);
+    }
+}
+
+/**
+ * Class representing a streaming OSM XML parser.
+ *
+ * Text is supplied in arbitrary chunks through write(), and each complete top-level node,
+ * way, or relation is transformed and passed to the callback as soon as it closes.  Any
+ * tag split across two chunks is held back until the rest of it arrives.
+ */
+export class OSMStreamParser {
+    /**
+     * Creates an instance of OSMStreamParser.
+     *
+     * @param {function(string, Object): void} onElement - Called with the element type
+     *  ('bounds', 'node', 'way', or 'relation') and the parsed element object.
+     */
+    constructor(onElement) {
+        this.onElement = onElement;
+        this.buffer = "";
+        this.openTags = [];
+        this.current = null;
+        this.hasRoot = false;
+    }
+
+    /**
+     * Parses the next chunk of XML text.
+     *
+     * @param {string} chunk - The next chunk of the XML document.
+     * @returns {void}
+     * @throws {Error} If the XML is malformed or an element has invalid attributes.
+     */
+    write(chunk) {
+        this.buffer += chunk;
+        this.processBuffer();
+    }
+
+    /**
+     * Signals the end of the document, checking that it was complete.
+     *
+     * @returns {void}
+     * @throws {Error} If the document was empty, truncated, or left elements unclosed.
+     */
+    end() {
+        this.processBuffer();
+
+        if (!this.hasRoot) {
+            throw parsingError("A non-empty XML document must be provided");
+        }
+        if (this.buffer.trim() !== "") {
+            throw parsingError("Unexpected end of document inside a tag");
+        }
+        if (this.openTags.length > 0) {
+            throw parsingError(`Unclosed element <${this.openTags[this.openTags.length - 1]}>`);
+        }
+    }
+
+    /**
+     * Reads every complete tag from the buffer, keeping any incomplete trailing tag.
+     *
+     * @private
+     * @returns {void}
+     */
+    processBuffer() {
+        const buffer = this.buffer;
+        let position = 0;
+
+        while (true) {
+            const start = buffer.indexOf("<", position);
+            if (start === -1) {
+                position = buffer.length;
+                break;
+            }
+
+            const end = this.findMarkupEnd(buffer, start);
+            if (end === -1) {
+                position = start;
+                break;
+            }
+
+            if (buffer[start + 1] !== "!" && buffer[start + 1] !== "?") {
+                this.handleTag(buffer.slice(start + 1, end).trim());
+            }
+            position = end + 1;
+        }
+        this.buffer = buffer.slice(position);
+    }
+
+    /**
+     * Finds the index of the '>' which ends the markup starting at the given index.
+     *
+     * Comments, processing instructions, and declarations are skipped whole, while the
+     * quoted attribute values of tags are allowed to contain '>' characters.
+     *
+     * @private
+     * @param {string} buffer - The text being parsed.
+     * @param {number} start - The index of the '<' which opens the markup.
+     * @returns {number} The index of the closing '>', or -1 if it has not arrived yet.
+     */
+    findMarkupEnd(buffer, start) {
+        if (buffer.startsWith("<!--", start)) {
+            const end = buffer.indexOf("-->", start + 4);
+            return end === -1 ? -1 : end + 2;
+        }
+        if (buffer.startsWith("<?", start)) {
+            const end = buffer.indexOf("?>", start + 2);
+            return end === -1 ? -1 : end + 1;
+        }
+
+        let quote = null;
+        for (let index = start + 1; index < buffer.length; index++) {
+            const character = buffer[index];
+            if (quote) {
+                if (character === quote) quote = null;
+            } else if (character === "\"" || character === "'") {
+                quote = character;
+            } else if (character === ">") {
+                return index;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Handles a single start, end, or empty-element tag.
+     *
+     * @private
+     * @param {string} content - The text between the '<' and '>' of the tag.
+     * @returns {void}
+     * @throws {Error} If the tag is malformed or does not match the open element.
+     */
+    handleTag(content) {
+        if (content.startsWith("/")) {
+            this.handleEndTag(content.slice(1).trim());
+            return;
+        }
+
+        const isEmpty = content.endsWith("/");
+        const body = isEmpty ? content.slice(0, -1) : content;
+        const name = body.split(/\s/, 1)[0];
+        if (!name) {
+            throw parsingError("Tag without a name");
+        }
+        if (this.openTags.length === 0 && this.hasRoot) {
+            throw parsingError(`Unexpected element <${name}> after the document element`);
+        }
+
+        const element = new StreamElement(name, this.parseAttributes(body.slice(name.length)));
+        const depth = this.openTags.length;
+        this.hasRoot = true;
+
+        if (this.current) {
+            this.current.children.push(element);
+        } else if (depth === 1 && ELEMENT_TRANSFORMS[name]) {
+            this.current = element;
+        }
+
+        if (!isEmpty) {
+            this.openTags.push(name);
+        } else if (element === this.current) {
+            this.emitCurrent();
+        }
+    }
+
+    /**
+     * Handles an end tag, emitting the current element once its own end tag is reached.
+     *
+     * @private
+     * @param {string} name - The tag name of the end tag.
+     * @returns {void}
+     * @throws {Error} If the end tag does not match the most recently opened element.
+     */
+    handleEndTag(name) {
+        const expected = this.openTags.pop();
+        if (expected !== name) {
+            throw parsingError(`Expected </${expected}> but found </${name}>`);
+        }
+        if (this.current && this.openTags.length === 1) {
+            this.emitCurrent();
+        }
+    }
+
+    /**
+     * Parses the attributes of a start tag.
+     *
+     * @private
+     * @param {string} text - The text of the tag following its name.
+     * @returns {Object<string, string>} The decoded attribute values keyed by name.
+     */
+    parseAttributes(text) {
+        const attributes = {};
+        for (const [, name, doubleQuoted, singleQuoted] of text.matchAll(ATTRIBUTE_PATTERN)) {
+            attributes[name] = decodeEntities(doubleQuoted ?? singleQuoted);
+        }
+        return attributes;
+    }
+
+    /**
+     * Transforms the element currently being read and passes it to the callback.
+     *
+     * @private
+     * @returns {void}
+     */
+    emitCurrent() {
+        const element = this.current;
+        this.current = null;
+        this.onElement(element.name, ELEMENT_TRANSFORMS[element.name](element));
+    }
+}
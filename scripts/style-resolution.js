@@ -0,0 +1,145 @@
+/**
+ * @fileoverview
+ * Style resolution module for matching the map elements to their render rules.
+ *
+ * The following script runs once for each loaded dataset, after the renderer has fetched
+ * its data.  Each way and relation is matched against the shared render rules of
+ * 'render-rules.js' a single time, annotated with its rule and its complete style, and
+ * placed into a draw list for its zIndex, so that each frame only walks lists which are
+ * already in drawing order.  Named elements whose rule has a label are collected into a
+ * single list of label candidates in the same way, and tagged nodes are matched against
+ * the symbol rules of 'symbol-rules.js' to find the points of interest.
+ */
+import { renderRules } from './render-rules.js';
+import { symbolRules } from './symbol-rules.js';
+
+/**
+ * The zIndex values which are drawn, from the lowest to the highest layer.  Elements with
+ * any other zIndex, such as those matching only the default rule, are not drawn.
+ * @constant {Array<number>}
+ */
+export const Z_INDEX_ORDER = Object.freeze([1, 2, 3, 4]);
+
+/**
+ * The style values used for any property a render rule leaves unset.
+ * @constant {Object}
+ */
+const DEFAULT_STYLE = Object.freeze({
+    fillStyle: "",
+    strokeStyle: "#000",
+    lineWidth: 1,
+    shouldFill: false,
+    hasCasing: false,
+    casingStrokeStyle: "#333",
+    zIndex: 0
+});
+
+/**
+ * Returns the first render rule whose condition matches the given map element.
+ *
+ * @param {Object} element - The OSM element to match.
+ * @returns {Object} The matching render rule; the final default rule matches every element.
+ */
+export function matchRenderRule(element) {
+    return renderRules.find(rule => rule.condition(element));
+}
+
+/**
+ * Resolves the style of a single map element.
+ *
+ * Annotates the element with its matching rule as 'renderRule', and with the styles of
+ * that rule completed by the defaults as 'style'.
+ *
+ * @param {Object} element - The OSM element to style.
+ * @returns {Object} The resolved style of the element.
+ */
+export function resolveStyle(element) {
+    element.renderRule = matchRenderRule(element);
+    element.style = { ...DEFAULT_STYLE, ...element.renderRule.styles };
+    return element.style;
+}
+
+/**
+ * Resolves the styles of a list of elements and buckets them into draw lists by zIndex.
+ *
+ * Every element is annotated by resolveStyle; elements whose zIndex is not drawn are
+ * annotated but left out of the lists.  Within each list the elements keep the order in
+ * which they were given.
+ *
+ * @param {Array<Object>} elements - The OSM elements, ways or relations, to style.
+ * @returns {Map<number, Array<Object>>} The draw lists keyed by zIndex, in Z_INDEX_ORDER.
+ */
+export function resolveStyles(elements) {
+    const drawLists = new Map(Z_INDEX_ORDER.map(zIndex => [zIndex, []]));
+
+    for (const element of elements) {
+        const { zIndex } = resolveStyle(element);
+        drawLists.get(zIndex)?.push(element);
+    }
+    return drawLists;
+}
+
+/**
+ * Returns the value of the 'name' tag of a map element.
+ *
+ * @param {Object} element - The OSM element containing tags.
+ * @returns {string|null} The name, or null if the element is not named.
+ */
+export function getName(element) {
+    return element.tags.find(({ key }) => key === "name")?.value ?? null;
+}
+
+/**
+ * Collects the label candidates of a dataset, ordered by descending label priority.
+ *
+ * Ways and relations must already have resolved styles.  Only named nodes are matched 
+ * against the render rules, since unnamed nodes can never be labelled.  Elements of equal 
+ * priority keep the order of nodes, then ways, then relations.
+ *
+ * @param {Array<Object>} nodes - The node objects of the dataset.
+ * @param {Array<Object>} ways - The way objects of the dataset, with resolved styles.
+ * @param {Array<Object>} relations - The relation objects of the dataset, with resolved styles.
+ * @returns {Array<{element: Object, type: string, text: string, label: Object}>} The label 
+ *  candidates, with the element type ('node', 'way', or 'relation') and the label style.
+ */
+export function resolveLabels(nodes, ways, relations) {
+    const candidates = [];
+    const addCandidate = (element, type) => {
+        const text = getName(element);
+        if (!text) return;
+
+        const { label } = type === "node" ? resolveStyle(element) : element.style;
+        if (label) candidates.push({ element, type, text, label });
+    };
+
+    nodes.forEach(node => addCandidate(node, "node"));
+    ways.forEach(way => addCandidate(way, "way"));
+    relations.forEach(relation => addCandidate(relation, "relation"));
+
+    return candidates.sort((a, b) => b.label.priority - a.label.priority);
+}
+
+/**
+ * Resolves the point-of-interest symbols of a list of nodes.
+ *
+ * Each tagged node is matched against the symbol rules, and annotated with the symbol of 
+ * the first matching rule as 'symbol'.  Untagged nodes, such as the vertices of ways, are 
+ * never points of interest and are not matched.
+ *
+ * @param {Array<Object>} nodes - The node objects of the dataset.
+ * @returns {Array<Object>} The nodes with a symbol, in the order given.
+ */
+export function resolveSymbols(nodes) {
+    const pointsOfInterest = [];
+
+    for (const node of nodes) {
+        if (node.tags.length === 0) continue;
+
+        const rule = symbolRules.find(rule => rule.condition(node));
+        if (!rule) continue;
+
+        node.symbol = rule.symbol;
+        pointsOfInterest.push(node);
+    }
+    return pointsOfInterest;
+}
@@ -0,0 +1,263 @@
+/**
+ * @fileoverview
+ * Shared symbol rules implementation for drawing point-of-interest nodes.
+ *
+ * This script defines the symbol rules for the map nodes based on their tags, in the same 
+ * form as the render rules of 'render-rules.js'. Each rule includes a condition function 
+ * and a symbol object that states the vector symbol drawn for the node, so no image assets 
+ * are needed. Nodes which match no rule, such as the untagged vertices of ways, are not 
+ * points of interest and are not drawn outside of the debug view.
+ *
+ * @constant {Array<Object>} symbolRules - The array of symbol rules for drawing map nodes.
+ * 
+ * Each rule object contains:
+ *   - condition {Function}: A function that accepts a map node and returns a boolean indicating
+ *     if the rule should be applied.
+ *   - symbol {Object}: An object defining the symbol, including:
+ *       - shape {string}: 'circle', 'square', 'triangle', 'diamond', 'star', or 'cross'.
+ *       - fillStyle {string}: The fill color of the shape.
+ *       - glyph {string}: A character drawn inside the shape, or an empty string for none.
+ *       - minZoom {number}: The lowest zoom level at which the symbol is shown.
+ */
+export const symbolRules = [
+    {
+        // key: amenity, value: parking
+        condition: (node) => node.tags.some(({ key, value }) => key === 'amenity' && value === 'parking'),
+        symbol: {
+            shape: "square",
+            fillStyle: "#0066cc",
+            glyph: "P",
+            minZoom: 2.5,
+        },
+    },
+    {
+        // key: amenity, value: bicycle_parking
+        condition: (node) => node.tags.some(({ key, value }) => key === 'amenity' && value === 'bicycle_parking'),
+        symbol: {
+            shape: "square",
+            fillStyle: "#0066cc",
+            glyph: "b",
+            minZoom: 4,
+        },
+    },
+    {
+        // key: amenity, value: fuel
+        condition: (node) => node.tags.some(({ key, value }) => key === 'amenity' && value === 'fuel'),
+        symbol: {
+            shape: "square",
+            fillStyle: "#0066cc",
+            glyph: "F",
+            minZoom: 2,
+        },
+    },
+    {
+        // key: amenity, value: cafe
+        condition: (node) => node.tags.some(({ key, value }) => key === 'amenity' && value === 'cafe'),
+        symbol: {
+            shape: "circle",
+            fillStyle: "#c77400",
+            glyph: "C",
+            minZoom: 3,
+        },
+    },
+    {
+        // key: amenity, value: restaurant
+        condition: (node) => node.tags.some(({ key, value }) => key === 'amenity' && value === 'restaurant'),
+        symbol: {
+            shape: "circle",
+            fillStyle: "#c77400",
+            glyph: "R",
+            minZoom: 3,
+        },
+    },
+    {
+        // key: amenity, value: fast_food
+        condition: (node) => node.tags.some(({ key, value }) => key === 'amenity' && value === 'fast_food'),
+        symbol: {
+            shape: "circle",
+            fillStyle: "#c77400",
+            glyph: "F",
+            minZoom: 3,
+        },
+    },
+    {
+        // key: amenity, value: pub/bar
+        condition: (node) => node.tags.some(({ key, value }) => key === 'amenity' && (value === 'pub' || value === 'bar')),
+        symbol: {
+            shape: "circle",
+            fillStyle: "#c77400",
+            glyph: "B",
+            minZoom: 3,
+        },
+    },
+    {
+        // key: amenity, value: pharmacy
+        condition: (node) => node.tags.some(({ key, value }) => key === 'amenity' && value === 'pharmacy'),
+        symbol: {
+            shape: "cross",
+            fillStyle: "#da0092",
+            glyph: "",
+            minZoom: 2.5,
+        },
+    },
+    {
+        // key: amenity, value: hospital/clinic/doctors
+        condition: (node) => node.tags.some(({ key, value }) => key === 'amenity' && ['hospital', 'clinic', 'doctors'].includes(value)),
+        symbol: {
+            shape: "cross",
+            fillStyle: "#da0092",
+            glyph: "",
+            minZoom: 2,
+        },
+    },
+    {
+        // key: amenity, value: school/college/university/kindergarten
+        condition: (node) => node.tags.some(({ key, value }) => key === 'amenity' && ['school', 'college', 'university', 'kindergarten'].includes(value)),
+        symbol: {
+            shape: "triangle",
+            fillStyle: "#734a08",
+            glyph: "",
+            minZoom: 2.5,
+        },
+    },
+    {
+        // key: amenity, value: place_of_worship
+        condition: (node) => node.tags.some(({ key, value }) => key === 'amenity' && value === 'place_of_worship'),
+        symbol: {
+            shape: "diamond",
+            fillStyle: "#333333",
+            glyph: "",
+            minZoom: 2.5,
+        },
+    },
+    {
+        // key: amenity, value: toilets
+        condition: (node) => node.tags.some(({ key, value }) => key === 'amenity' && value === 'toilets'),
+        symbol: {
+            shape: "circle",
+            fillStyle: "#0066cc",
+            glyph: "T",
+            minZoom: 4,
+        },
+    },
+    {
+        // key: amenity, value: post_box/post_office
+        condition: (node) => node.tags.some(({ key, value }) => key === 'amenity' && (value === 'post_box' || value === 'post_office')),
+        symbol: {
+            shape: "square",
+            fillStyle: "#cc0000",
+            glyph: "M",
+            minZoom: 4,
+        },
+    },
+    {
+        // key: amenity, value: bank/atm
+        condition: (node) => node.tags.some(({ key, value }) => key === 'amenity' && (value === 'bank' || value === 'atm')),
+        symbol: {
+            shape: "square",
+            fillStyle: "#734a08",
+            glyph: "£",
+            minZoom: 3,
+        },
+    },
+    {
+        // key: amenity, value: N/A
+        condition: (node) => node.tags.some(({ key }) => key === 'amenity'),
+        symbol: {
+            shape: "circle",
+            fillStyle: "#734a08",
+            glyph: "",
+            minZoom: 4,
+        },
+    },
+    {
+        // key: shop, value: N/A
+        condition: (node) => node.tags.some(({ key }) => key === 'shop'),
+        symbol: {
+            shape: "circle",
+            fillStyle: "#ac39ac",
+            glyph: "S",
+            minZoom: 3,
+        },
+    },
+    {
+        // key: tourism, value: hotel/guest_house/hostel
+        condition: (node) => node.tags.some(({ key, value }) => key === 'tourism' && ['hotel', 'guest_house', 'hostel'].includes(value)),
+        symbol: {
+            shape: "square",
+            fillStyle: "#0092da",
+            glyph: "H",
+            minZoom: 2.5,
+        },
+    },
+    {
+        // key: tourism, value: information
+        condition: (node) => node.tags.some(({ key, value }) => key === 'tourism' && value === 'information'),
+        symbol: {
+            shape: "circle",
+            fillStyle: "#734a08",
+            glyph: "i",
+            minZoom: 3,
+        },
+    },
+    {
+        // key: tourism, value: N/A
+        condition: (node) => node.tags.some(({ key }) => key === 'tourism'),
+        symbol: {
+            shape: "star",
+            fillStyle: "#0092da",
+            glyph: "",
+            minZoom: 2.5,
+        },
+    },
+    {
+        // key: highway, value: bus_stop
+        condition: (node) => node.tags.some(({ key, value }) => key === 'highway' && value === 'bus_stop'),
+        symbol: {
+            shape: "square",
+            fillStyle: "#0066cc",
+            glyph: "B",
+            minZoom: 3,
+        },
+    },
+    {
+        // key: public_transport, value: N/A
+        condition: (node) => node.tags.some(({ key }) => key === 'public_transport'),
+        symbol: {
+            shape: "square",
+            fillStyle: "#0066cc",
+            glyph: "",
+            minZoom: 3,
+        },
+    },
+    {
+        // key: railway, value: station/halt
+        condition: (node) => node.tags.some(({ key, value }) => key === 'railway' && (value === 'station' || value === 'halt')),
+        symbol: {
+            shape: "square",
+            fillStyle: "#7981b0",
+            glyph: "R",
+            minZoom: 1.5,
+        },
+    },
+    {
+        // key: historic, value: N/A
+        condition: (node) => node.tags.some(({ key }) => key === 'historic'),
+        symbol: {
+            shape: "star",
+            fillStyle: "#734a08",
+            glyph: "",
+            minZoom: 3,
+        },
+    },
+    {
+        // key: leisure, value: N/A
+        condition: (node) => node.tags.some(({ key }) => key === 'leisure'),
+        symbol: {
+            shape: "circle",
+            fillStyle: "#8ab773",
+            glyph: "",
+            minZoom: 3.5,
+        },
+    },
+];
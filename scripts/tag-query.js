@@ -0,0 +1,314 @@
+/**
+ * @fileoverview
+ * Tag Query module for filtering the drawn elements with expressions over their tags.
+ *
+ * The following script parses queries such as 'highway=primary|secondary and not
+ * tunnel=yes' or 'building and height>20' into a function which tests the tags of an
+ * element.  A query is built from tag tests joined by 'and', 'or', and 'not', grouped by
+ * parentheses, where a test is a key alone, which matches any element with that tag, or a
+ * key compared with one or more values:
+ *
+ *   key=a|b     the tag has any of the values       key!=a|b   the tag has none of them
+ *   key>n       the tag is a number above n         key>=n, key<n, key<=n likewise
+ *
+ * Keys and values containing spaces or operator characters may be quoted.  The filter
+ * either draws only the matching elements, or draws every element with the others dimmed,
+ * and both the query and the mode are persisted to localStorage.
+ */
+import { logMessage, MessageScope, MessageOutput } from './log-message.js';
+
+/**
+ * Enum for how the elements which do not match the filter are drawn.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const FilterMode = Object.freeze({
+    ONLY: "only",
+    DIM: "dim"
+});
+
+/**
+ * The key used for storing the filter query in localStorage.
+ * @constant {string}
+ */
+const STORAGE_KEY_FILTER_QUERY = "tagFilter";
+
+/**
+ * The key used for storing the filter mode in localStorage.
+ * @constant {string}
+ */
+const STORAGE_KEY_FILTER_MODE = "tagFilterMode";
+
+/**
+ * The comparison operators, longest first so that '>=' is not read as '>' and '='.
+ * @constant {Array<string>}
+ */
+const OPERATORS = ["!=", ">=", "<=", "=", ">", "<"];
+
+/**
+ * The operators which compare a tag numerically, and the test each makes.
+ * @constant {Object<string, function(number, number): boolean>}
+ */
+const NUMERIC_COMPARISONS = Object.freeze({
+    ">": (tagValue, value) => tagValue > value,
+    ">=": (tagValue, value) => tagValue >= value,
+    "<": (tagValue, value) => tagValue < value,
+    "<=": (tagValue, value) => tagValue <= value
+});
+
+/**
+ * The keywords which join and negate the tag tests.
+ * @constant {Array<string>}
+ */
+const KEYWORDS = ["and", "or", "not"];
+
+/**
+ * Describes where a token was found, for error messages.
+ *
+ * @private
+ * @param {{type: string, text: string, position: number}} token - The token, with its position.
+ * @returns {string} The description, such as "'height' at position 10".
+ */
+const describeToken = (token) =>
+    token.type === "end" ? "the end of the query" : `'${token.text}' at position ${token.position + 1}`;
+
+/**
+ * Splits a query into its tokens: words, quoted strings, operators, parentheses, and '|'.
+ *
+ * @private
+ * @param {string} query - The query to split.
+ * @returns {Array<{type: string, text: string, value: string, position: number}>} The tokens,
+ *  ending with an 'end' token.
+ * @throws {Error} If a quoted string is not closed.
+ */
+function tokenise(query) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < query.length) {
+        const char = query[index];
+        const position = index;
+
+        if (/\s/.test(char)) {
+            index++;
+        } else if (char === "(" || char === ")" || char === "|") {
+            tokens.push({ type: char, text: char, value: char, position });
+            index++;
+        } else if (char === '"' || char === "'") {
+            let value = "";
+            index++;
+            while (index < query.length && query[index] !== char) {
+                if (query[index] === "\\" && index + 1 < query.length) index++;
+                value += query[index++];
+            }
+            if (index >= query.length) {
+                throw new Error(`Unclosed quote starting at position ${position + 1}`);
+            }
+            index++;
+            tokens.push({ type: "word", text: query.slice(position, index), value, position });
+        } else {
+            const operator = OPERATORS.find(candidate => query.startsWith(candidate, index));
+            if (operator) {
+                tokens.push({ type: "operator", text: operator, value: operator, position });
+                index += operator.length;
+                continue;
+            }
+
+            const match = /^[^\s()|"'!=<>]+/.exec(query.slice(index));
+            if (!match) throw new Error(`Unexpected '${char}' at position ${position + 1}`);
+
+            const text = match[0];
+            const keyword = text.toLowerCase();
+            const type = KEYWORDS.includes(keyword) ? keyword : "word";
+            tokens.push({ type, text, value: type === "word" ? text : keyword, position });
+            index += text.length;
+        }
+    }
+
+    tokens.push({ type: "end", text: "", value: "", position: query.length });
+    return tokens;
+}
+
+/**
+ * Builds the test for a key compared with one or more values.
+ *
+ * @private
+ * @param {string} key - The tag key.
+ * @param {Object} operatorToken - The operator token.
+ * @param {Array<Object>} valueTokens - The tokens of the values.
+ * @returns {function(Map<string, string>): boolean} The test of the tags of an element.
+ * @throws {Error} If a numeric comparison is given several values, or one which is not a number.
+ */
+function buildComparison(key, operatorToken, valueTokens) {
+    const operator = operatorToken.value;
+    const values = valueTokens.map(token => token.value);
+
+    if (operator === "=") return (tags) => tags.has(key) && values.includes(tags.get(key));
+    if (operator === "!=") return (tags) => !values.includes(tags.get(key));
+
+    if (valueTokens.length > 1) {
+        throw new Error(`'${operator}' takes a single number, found ${describeToken(valueTokens[1])}`);
+    }
+    const value = Number(values[0]);
+    if (Number.isNaN(value)) {
+        throw new Error(`Expected a number after '${operator}', found ${describeToken(valueTokens[0])}`);
+    }
+
+    const compare = NUMERIC_COMPARISONS[operator];
+    return (tags) => {
+        const tagValue = parseFloat(tags.get(key));
+        return !Number.isNaN(tagValue) && compare(tagValue, value);
+    };
+}
+
+/**
+ * Parses a tag query into a function which tests the tags of an element.
+ *
+ * 'not' binds tightest, then 'and', then 'or', so 'a or b and not c' reads as
+ * 'a or (b and (not c))'.  Numeric comparisons read the number at the start of the tag
+ * value, so 'height>20' matches 'height=25 m', and never match a tag which is missing or
+ * does not start with a number.
+ *
+ * @param {string} query - The query to parse.
+ * @returns {function(Array<{key: string, value: string}>): boolean} The test, which is true
+ *  for the tags of a matching element.
+ * @throws {Error} If the query is empty or invalid; the message names the problem and its
+ *  position in the query.
+ */
+export function parseTagQuery(query) {
+    const tokens = tokenise(query);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const expect = (type, description) => {
+        if (peek().type !== type) throw new Error(`Expected ${description}, found ${describeToken(peek())}`);
+        return next();
+    };
+
+    const parseTest = () => {
+        if (peek().type === "(") {
+            next();
+            const expression = parseOr();
+            expect(")", "')'");
+            return expression;
+        }
+
+        const key = expect("word", "a tag key").value;
+        if (peek().type !== "operator") return (tags) => tags.has(key);
+
+        const operatorToken = next();
+        const valueTokens = [expect("word", `a value after '${operatorToken.value}'`)];
+        while (peek().type === "|") {
+            next();
+            valueTokens.push(expect("word", "a value after '|'"));
+        }
+        return buildComparison(key, operatorToken, valueTokens);
+    };
+
+    const parseNot = () => {
+        if (peek().type !== "not") return parseTest();
+        next();
+        const operand = parseNot();
+        return (tags) => !operand(tags);
+    };
+
+    const parseAnd = () => {
+        let expression = parseNot();
+        while (peek().type === "and") {
+            next();
+            const left = expression, right = parseNot();
+            expression = (tags) => left(tags) && right(tags);
+        }
+        return expression;
+    };
+
+    const parseOr = () => {
+        let expression = parseAnd();
+        while (peek().type === "or") {
+            next();
+            const left = expression, right = parseAnd();
+            expression = (tags) => left(tags) || right(tags);
+        }
+        return expression;
+    };
+
+    if (peek().type === "end") throw new Error("The query is empty");
+
+    const expression = parseOr();
+    if (peek().type !== "end") {
+        throw new Error(`Expected 'and', 'or', or the end of the query, found ${describeToken(peek())}`);
+    }
+
+    return (tags) => expression(new Map(tags.map(({ key, value }) => [key, value])));
+}
+
+/**
+ * Applies a query and mode as the filter of the renderer, or removes the filter when the
+ * query is blank, persisting the choice to localStorage.
+ *
+ * @private
+ * @param {Object} renderer - The map renderer instance.
+ * @param {string} query - The query to apply.
+ * @param {string} mode - A value from FilterMode.
+ * @returns {void}
+ * @throws {Error} If the query is invalid, in which case the filter is left unchanged.
+ */
+function applyFilter(renderer, query, mode) {
+    const text = query.trim();
+    renderer.setTagFilter(text ? { query: text, mode, matches: parseTagQuery(text) } : null);
+
+    if (text) {
+        localStorage.setItem(STORAGE_KEY_FILTER_QUERY, text);
+        localStorage.setItem(STORAGE_KEY_FILTER_MODE, mode);
+    } else {
+        localStorage.removeItem(STORAGE_KEY_FILTER_QUERY);
+        localStorage.removeItem(STORAGE_KEY_FILTER_MODE);
+    }
+}
+
+/**
+ * Sets up the tag filter form, restoring the previously applied filter from localStorage.
+ *
+ * Submitting the form applies the query, and changing the mode re-applies it; an invalid
+ * query is marked on the input and explained in the status element, leaving the current
+ * filter in place.  The clear button removes the filter.
+ *
+ * @param {HTMLFormElement} form - The tag filter form.
+ * @param {HTMLInputElement} input - The query input.
+ * @param {HTMLSelectElement} modeSelect - The select element choosing a value from FilterMode.
+ * @param {HTMLButtonElement} clearBtn - The button which removes the filter.
+ * @param {Object} renderer - The map renderer instance.
+ * @returns {void}
+ */
+export function setupTagFilter(form, input, modeSelect, clearBtn, renderer) {
+    const storedQuery = localStorage.getItem(STORAGE_KEY_FILTER_QUERY);
+    const storedMode = localStorage.getItem(STORAGE_KEY_FILTER_MODE);
+    modeSelect.value = Object.values(FilterMode).includes(storedMode) ? storedMode : FilterMode.ONLY;
+
+    const submitFilter = () => {
+        try {
+            applyFilter(renderer, input.value, modeSelect.value);
+            input.classList.remove("input-error");
+        } catch (error) {
+            input.classList.add("input-error");
+            logMessage(MessageScope.FILTER, MessageOutput.STATUS, `Invalid filter: ${error.message}`);
+        }
+    };
+
+    if (storedQuery) {
+        input.value = storedQuery;
+        submitFilter();
+    }
+
+    form.addEventListener("submit", (event) => {
+        event.preventDefault();
+        submitFilter();
+    });
+    modeSelect.addEventListener("change", submitFilter);
+    clearBtn.addEventListener("click", () => {
+        input.value = "";
+        submitFilter();
+    });
+}
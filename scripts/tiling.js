@@ -0,0 +1,100 @@
+/**
+ * @fileoverview
+ * Tiling module for splitting oversized bounding boxes into OSM API sized tiles.
+ *
+ * The OSM API refuses any map request covering more than 0.25 square degrees, so the
+ * following script divides a larger bounding box into an evenly spaced grid of sub-boxes
+ * which each respect that limit, allowing the tiles to be fetched one after another.
+ */
+
+/**
+ * The largest area, in square degrees, that a single OSM API map request may cover.
+ * @constant {number}
+ */
+export const MAX_TILE_AREA = 0.25;
+
+/**
+ * The largest number of tiles a single bounding box may be split into.
+ * @constant {number}
+ */
+export const MAX_TILE_COUNT = 64;
+
+/**
+ * The largest tile area actually requested; kept just under the API limit so that rounding 
+ * the tile edges cannot push a tile over the limit.
+ * @constant {number}
+ */
+const SAFE_TILE_AREA = MAX_TILE_AREA * 0.9999;
+
+/**
+ * Calculates the number of columns and rows needed to tile the given bounding box.
+ *
+ * A bounding box within the area limit is a single tile; otherwise every column count is 
+ * tried with the fewest rows that keep each tile within the limit, and the grid with the 
+ * fewest tiles is chosen, preferring tiles closest to square when counts are equal.
+ *
+ * @param {{minLon: number, minLat: number, maxLon: number, maxLat: number}} bbox - The bounding box to tile.
+ * @returns {{columns: number, rows: number}} The dimensions of the tile grid.
+ */
+export function calculateTileGrid({ minLon, minLat, maxLon, maxLat }) {
+    const width = maxLon - minLon;
+    const height = maxLat - minLat;
+
+    if (width * height <= MAX_TILE_AREA) {
+        return { columns: 1, rows: 1 };
+    }
+
+    let best = null;
+    const maxColumns = Math.ceil((width * height) / SAFE_TILE_AREA);
+
+    for (let columns = 1; columns <= maxColumns; columns++) {
+        const rows = Math.ceil(((width / columns) * height) / SAFE_TILE_AREA);
+        const aspect = Math.abs(Math.log((width / columns) / (height / rows)));
+
+        if (!best || columns * rows < best.columns * best.rows ||
+            (columns * rows === best.columns * best.rows && aspect < best.aspect)) {
+            best = { columns, rows, aspect };
+        }
+    }
+    return { columns: best.columns, rows: best.rows };
+}
+
+/**
+ * Calculates the number of tiles needed to cover the given bounding box.
+ *
+ * @param {{minLon: number, minLat: number, maxLon: number, maxLat: number}} bbox - The bounding box to tile.
+ * @returns {number} The number of tiles.
+ */
+export function countTiles(bbox) {
+    const { columns, rows } = calculateTileGrid(bbox);
+    return columns * rows;
+}
+
+/**
+ * Splits a bounding box into a grid of tiles which each fit within the OSM API limit.
+ *
+ * The tiles are ordered row by row from the south-west corner, and the edges of the
+ * outermost tiles match the edges of the original bounding box exactly.
+ *
+ * @param {{minLon: number, minLat: number, maxLon: number, maxLat: number}} bbox - The bounding box to split.
+ * @returns {Array<{minLon: number, minLat: number, maxLon: number, maxLat: number}>} The tiles.
+ */
+export function splitBoundingBox(bbox) {
+    const { columns, rows } = calculateTileGrid(bbox);
+    const tileWidth = (bbox.maxLon - bbox.minLon) / columns;
+    const tileHeight = (bbox.maxLat - bbox.minLat) / rows;
+    const round = value => Number(value.toFixed(7));
+
+    const tiles = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            tiles.push({
+                minLon: round(bbox.minLon + column * tileWidth),
+                minLat: round(bbox.minLat + row * tileHeight),
+                maxLon: column === columns - 1 ? bbox.maxLon : round(bbox.minLon + (column + 1) * tileWidth),
+                maxLat: row === rows - 1 ? bbox.maxLat : round(bbox.minLat + (row + 1) * tileHeight)
+            });
+        }
+    }
+    return tiles;
+}
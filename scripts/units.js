@@ -0,0 +1,86 @@
+/**
+ * @fileoverview
+ * Units module for formatting measurements for display.
+ *
+ * The following script formats the distances and durations shown with planned routes and
+ * their directions, and the lengths and areas of the measurement tool, in metric and in
+ * imperial units, choosing a unit suited to the size of each value.  The conversions to
+ * imperial units are shared with the scale bar.
+ */
+
+/**
+ * The number of metres in a foot.
+ * @constant {number}
+ */
+export const METRES_PER_FOOT = 0.3048;
+
+/**
+ * The number of metres in a mile.
+ * @constant {number}
+ */
+export const METRES_PER_MILE = 1609.344;
+
+/**
+ * The number of square metres in an acre.
+ * @constant {number}
+ */
+const SQUARE_METRES_PER_ACRE = 4046.8564224;
+
+/**
+ * Formats a distance for display, in metres below a kilometre.
+ *
+ * @param {number} metres - The distance in metres.
+ * @returns {string} The formatted distance, such as '850 m' or '2.35 km'.
+ */
+export function formatDistance(metres) {
+    return metres < 1000 ? `${Math.round(metres)} m` : `${(metres / 1000).toFixed(2)} km`;
+}
+
+/**
+ * Formats a duration for display, to the nearest minute.
+ *
+ * @param {number} seconds - The duration in seconds.
+ * @returns {string} The formatted duration, such as '12 min' or '1 h 05 min'.
+ */
+export function formatDuration(seconds) {
+    const minutes = Math.max(1, Math.round(seconds / 60));
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, "0")} min`;
+}
+
+/**
+ * Formats a distance for display in imperial units, in feet below a tenth of a mile.
+ *
+ * @param {number} metres - The distance in metres.
+ * @returns {string} The formatted distance, such as '420 ft' or '1.46 mi'.
+ */
+export function formatImperialDistance(metres) {
+    if (metres < METRES_PER_MILE / 10) return `${Math.round(metres / METRES_PER_FOOT)} ft`;
+    return `${(metres / METRES_PER_MILE).toFixed(2)} mi`;
+}
+
+/**
+ * Formats an area for display, in square metres below a hectare and in hectares below a
+ * square kilometre.
+ *
+ * @param {number} squareMetres - The area in square metres.
+ * @returns {string} The formatted area, such as '850 m²', '2.35 ha', or '1.20 km²'.
+ */
+export function formatArea(squareMetres) {
+    if (squareMetres < 1e4) return `${Math.round(squareMetres)} m²`;
+    if (squareMetres < 1e6) return `${(squareMetres / 1e4).toFixed(2)} ha`;
+    return `${(squareMetres / 1e6).toFixed(2)} km²`;
+}
+
+/**
+ * Formats an area for display in imperial units, in square feet below an acre and in acres
+ * below a square mile.
+ *
+ * @param {number} squareMetres - The area in square metres.
+ * @returns {string} The formatted area, such as '9150 ft²', '5.81 acres', or '1.20 mi²'.
+ */
+export function formatImperialArea(squareMetres) {
+    if (squareMetres < SQUARE_METRES_PER_ACRE) return `${Math.round(squareMetres / METRES_PER_FOOT ** 2)} ft²`;
+    if (squareMetres < METRES_PER_MILE ** 2) return `${(squareMetres / SQUARE_METRES_PER_ACRE).toFixed(2)} acres`;
+    return `${(squareMetres / METRES_PER_MILE ** 2).toFixed(2)} mi²`;
+}
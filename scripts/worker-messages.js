@@ -0,0 +1,31 @@
+/**
+ * @fileoverview
+ * Message protocol shared between the main thread and the data loading worker.
+ *
+ * Defines the types of the messages exchanged with 'load-worker.js'.  The main thread
+ * posts a LOAD request naming the region and either a bounding box or a list of tiles,
+ * and the worker answers with PROGRESS updates followed by a single COMPLETE or ERROR.
+ *
+ * Message shapes:
+ *   - LOAD {requestId, regionId, bbox?, tiles?}: Fetch, parse, and store the bounding box,
+ *     split into tiles, or the given tiles.
+ *   - PROGRESS {requestId, tile, tileCount, counts}: A tile has started loading; counts
+ *     holds the number of nodes, ways, and relations parsed so far.
+ *   - COMPLETE {requestId, tileCount, failedTiles, lastError, counts, bounds}: Every tile has
+ *     been attempted; failedTiles lists the tiles which failed, lastError describes the last
+ *     failure, if any, and bounds combines the <bounds> of the tiles which loaded.
+ *   - ERROR {requestId, message}: The request could not be processed at all.
+ */
+
+/**
+ * Enum for the types of the messages exchanged with the data loading worker.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const WorkerMessage = Object.freeze({
+    LOAD: "load",
+    ERROR: "error",
+    PROGRESS: "progress",
+    COMPLETE: "complete"
+});
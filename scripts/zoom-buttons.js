@@ -4,21 +4,24 @@
  * 
  * The following script handles the zoom in and zoom out operations by updating the 
  * zoom level of the renderer, persisting it to localStorage, triggering a re-render of 
- * the map display, and enforcing predefined minimum and maximum zoom values.
+ * the map display, and enforcing predefined minimum and maximum zoom values.  The mouse 
+ * wheel and trackpad zoom smoothly by fractional steps about the cursor, keeping the map 
+ * point under it fixed.
  * 
  */
+import { storeView } from './regions.js';
 
 /**
  * The maximum zoom level allowed for the map.
  * @constant {number}
  */
-const MAX_ZOOM_LEVEL = 6;
+export const MAX_ZOOM_LEVEL = 6;
 
 /**
  * The minimum zoom level allowed for the map.
  * @constant {number}
  */
-const MIN_ZOOM_LEVEL = 0.4;
+export const MIN_ZOOM_LEVEL = 0.4;
 
 /**
  * The key used for storing the zoom level in localStorage.
@@ -26,6 +29,39 @@ const MIN_ZOOM_LEVEL = 0.4;
  */
 const STORAGE_KEY_ZOOM_LEVEL = "zoomLevel";
 
+/**
+ * The change of zoom per pixel scrolled by the mouse wheel, as the exponent of the zoom
+ * factor, so that each notch of about 100 pixels zooms by a fifth.
+ * @constant {number}
+ */
+const WHEEL_ZOOM_SPEED = 0.002;
+
+/**
+ * The change of zoom per pixel of a trackpad pinch, which the browser reports as a wheel
+ * event with the control key held and much smaller deltas.
+ * @constant {number}
+ */
+const PINCH_ZOOM_SPEED = 0.01;
+
+/**
+ * The number of pixels in each unit of a wheel delta, by its delta mode: pixels, lines,
+ * or pages.
+ * @constant {Array<number>}
+ */
+const WHEEL_DELTA_PIXELS = Object.freeze([1, 16, 800]);
+
+/**
+ * The share of the remaining change of zoom made on each animation frame.
+ * @constant {number}
+ */
+const ZOOM_EASING = 0.3;
+
+/**
+ * The difference from the target zoom level at which the animation stops.
+ * @constant {number}
+ */
+const ZOOM_SETTLE_THRESHOLD = 0.001;
+
 /**
  * Updates the zoom level of the renderer sand triggers a re-render of the map.
  * 
@@ -67,3 +103,52 @@ export function setupZoomButtons(zoomInBtn, zoomOutBtn, renderer, database) {
         updateZoom(renderer, database, newZoomLevel);
     });
 }
+
+/**
+ * Sets up zooming with the mouse wheel and trackpad about the cursor.
+ *
+ * Each wheel event multiplies the target zoom level by a factor growing with the distance
+ * scrolled, clamped to the zoom limits, and the zoom level eases towards the target over
+ * the following animation frames about the latest cursor position.  The view is persisted
+ * to localStorage once the animation settles.
+ *
+ * @param {HTMLCanvasElement} canvas - The canvas element over which the wheel is turned.
+ * @param {Object} renderer - The renderer object that handles map rendering.
+ * @returns {void}
+ */
+export function setupWheelZoom(canvas, renderer) {
+    let targetZoom = null;
+    let anchor = { x: 0, y: 0 };
+    let frame = null;
+
+    const step = () => {
+        const zoomLevel = renderer.zoomLevel + (targetZoom - renderer.zoomLevel) * ZOOM_EASING;
+        const isSettled = Math.abs(targetZoom - zoomLevel) < ZOOM_SETTLE_THRESHOLD;
+        renderer.zoomAt(isSettled ? targetZoom : zoomLevel, anchor.x, anchor.y);
+
+        if (isSettled) {
+            frame = null;
+            targetZoom = null;
+            storeView(renderer);
+        } else {
+            frame = requestAnimationFrame(step);
+        }
+    };
+
+    canvas.addEventListener("wheel", (event) => {
+        event.preventDefault();
+
+        const rect = canvas.getBoundingClientRect();
+        anchor = {
+            x: (event.clientX - rect.left) * (canvas.width / rect.width),
+            y: (event.clientY - rect.top) * (canvas.height / rect.height)
+        };
+
+        const delta = event.deltaY * (WHEEL_DELTA_PIXELS[event.deltaMode] ?? 1);
+        const speed = event.ctrlKey ? PINCH_ZOOM_SPEED : WHEEL_ZOOM_SPEED;
+        const zoomLevel = (targetZoom ?? renderer.zoomLevel) * Math.exp(-delta * speed);
+        targetZoom = Math.min(Math.max(zoomLevel, MIN_ZOOM_LEVEL), MAX_ZOOM_LEVEL);
+
+        if (frame === null) frame = requestAnimationFrame(step);
+    }, { passive: false });
+}
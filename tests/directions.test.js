@@ -0,0 +1,116 @@
+/**
+ * @fileoverview
+ * Tests for the turn-by-turn directions of 'directions.js'.
+ *
+ * The following tests check the manoeuvre given for each change of bearing, at the limits
+ * between continuing, bearing, turning, and turning sharply, and the side of the turn, and
+ * build the steps of small made up routes to check how their ways are joined into legs.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDirections, describeTurn } from '../scripts/directions.js';
+
+/**
+ * The nodes of the test routes, about 111 metres apart on a grid at the equator.
+ * @constant {Map<string, Object>}
+ */
+const NODES_BY_ID = new Map([
+    { id: 'a', lon: 0, lat: 0 },
+    { id: 'b', lon: 0.001, lat: 0 },
+    { id: 'c', lon: 0.002, lat: 0 },
+    { id: 'd', lon: 0.003, lat: 0 },
+    { id: 'n', lon: 0.002, lat: 0.001 }
+].map(node => [node.id, node]));
+
+/**
+ * Builds the steps of a route following the given nodes, each edge along the given way.
+ *
+ * @param {Array<string>} nodeIds - The IDs of the nodes of the route, in order.
+ * @param {Array<string>} wayIds - The ID of the way followed by each edge of the route.
+ * @param {Array<Object>} ways - The ways of the route.
+ * @returns {Array<string>} The text of each step.
+ */
+function buildSteps(nodeIds, wayIds, ways) {
+    const edges = wayIds.map((wayId, index) => ({ to: nodeIds[index + 1], wayId, distance: 100 }));
+    const waysById = new Map(ways.map(way => [way.id, way]));
+    return buildDirections({ nodeIds, edges }, waysById, NODES_BY_ID).map(step => step.text);
+}
+
+/**
+ * Creates a highway way with the given name, or unnamed.
+ *
+ * @param {string} id - The ID of the way.
+ * @param {string} [name] - The name of the way.
+ * @returns {Object} The way object.
+ */
+function createWay(id, name) {
+    const tags = [{ key: 'highway', value: 'residential' }];
+    if (name) tags.push({ key: 'name', value: name });
+    return { id, tags };
+}
+
+test('changes of bearing up to 20° continue', () => {
+    assert.equal(describeTurn(90, 90), 'Continue');
+    assert.equal(describeTurn(90, 110), 'Continue');
+    assert.equal(describeTurn(90, 70), 'Continue');
+    assert.equal(describeTurn(350, 10), 'Continue');
+});
+
+test('changes of bearing above 20° and up to 60° bear', () => {
+    assert.equal(describeTurn(90, 111), 'Bear right');
+    assert.equal(describeTurn(90, 150), 'Bear right');
+    assert.equal(describeTurn(90, 69), 'Bear left');
+    assert.equal(describeTurn(90, 30), 'Bear left');
+});
+
+test('changes of bearing above 60° and up to 135° turn', () => {
+    assert.equal(describeTurn(90, 151), 'Turn right');
+    assert.equal(describeTurn(90, 225), 'Turn right');
+    assert.equal(describeTurn(90, 29), 'Turn left');
+    assert.equal(describeTurn(90, 315), 'Turn left');
+});
+
+test('changes of bearing above 135° turn sharp', () => {
+    assert.equal(describeTurn(90, 226), 'Turn sharp right');
+    assert.equal(describeTurn(90, 314), 'Turn sharp left');
+    assert.equal(describeTurn(0, 180), 'Turn sharp left');
+});
+
+test('the side of a turn is found across north', () => {
+    assert.equal(describeTurn(350, 80), 'Turn right');
+    assert.equal(describeTurn(10, 280), 'Turn left');
+});
+
+test('consecutive ways with the same name are one step', () => {
+    const ways = [createWay('1', 'High Street'), createWay('2', 'High Street')];
+    assert.deepEqual(buildSteps(['a', 'b', 'c'], ['1', '2'], ways), [
+        'Head east on High Street, 200 m',
+        'Arrive at the destination'
+    ]);
+});
+
+test('consecutive unnamed ways straight on are one step', () => {
+    const ways = [createWay('1'), createWay('2'), createWay('3')];
+    assert.deepEqual(buildSteps(['a', 'b', 'c', 'd'], ['1', '2', '3'], ways), [
+        'Head east on an unnamed road, 300 m',
+        'Arrive at the destination'
+    ]);
+});
+
+test('a turn between unnamed ways is a step of its own', () => {
+    const ways = [createWay('1'), createWay('2'), createWay('3')];
+    assert.deepEqual(buildSteps(['a', 'b', 'c', 'n'], ['1', '2', '3'], ways), [
+        'Head east on an unnamed road, 200 m',
+        'Turn left onto an unnamed road, 100 m',
+        'Arrive at the destination'
+    ]);
+});
+
+test('continuing from a named way onto an unnamed way is a step of its own', () => {
+    const ways = [createWay('1', 'High Street'), createWay('2')];
+    assert.deepEqual(buildSteps(['a', 'b', 'c'], ['1', '2'], ways), [
+        'Head east on High Street, 100 m',
+        'Continue onto an unnamed road, 100 m',
+        'Arrive at the destination'
+    ]);
+});
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview
+ * Tests for the schema migrations of the IndexedDB database.
+ *
+ * The following tests seed a version 1 database with elements through the in-memory
+ * IndexedDB of 'fake-indexeddb', upgrade it through 'openDatabase' of 'indexedDB.js',
+ * and check that the elements are kept in their new shape, and that a failing migration
+ * leaves the database at its old version with its data intact.
+ */
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { test, beforeEach, mock } from 'node:test';
+import { requestPromise, runMigrations } from '../scripts/migrations.js';
+import { openDatabase, ELEMENT_STORE_NAMES, SEARCH_INDEXES, STORE_NAMES } from '../scripts/indexedDB.js';
+
+/**
+ * The name of the database opened by 'indexedDB.js'.
+ * @constant {string}
+ */
+const DB_NAME = 'OSM-DB';
+
+/**
+ * The elements stored by version 1 of the schema, keyed by OSM id, by store name.
+ * @constant {Object<string, Array<Object>>}
+ */
+const V1_RECORDS = Object.freeze({
+    nodes: [
+        { id: '1', lat: 51.42, lon: -0.57, tags: [{ key: 'name', value: 'The Crown' }, { key: 'amenity', value: 'pub' }] },
+        { id: '2', lat: 51.43, lon: -0.56, tags: [] }
+    ],
+    ways: [
+        { id: '10', nodes: ['1', '2'], tags: [{ key: 'addr:street', value: 'High Street' }, { key: 'addr:housenumber', value: '12' }] }
+    ],
+    relations: [
+        { id: '100', members: [{ type: 'way', ref: '10', role: 'outer' }], tags: [{ key: 'type', value: 'multipolygon' }] }
+    ]
+});
+
+/**
+ * Creates a version 1 database holding the given records, and closes it.
+ *
+ * @param {Object<string, Array<Object>>} records - The records to store, by store name.
+ * @returns {Promise<void>} A promise that resolves once the database is closed.
+ */
+async function seedVersion1Database(records) {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+        for (const storeName of ELEMENT_STORE_NAMES) {
+            request.result.createObjectStore(storeName, { keyPath: 'id' });
+        }
+    };
+    const database = await requestPromise(request);
+
+    const transaction = database.transaction(ELEMENT_STORE_NAMES, 'readwrite');
+    for (const storeName of ELEMENT_STORE_NAMES) {
+        records[storeName].forEach(record => transaction.objectStore(storeName).put(record));
+    }
+    await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+    });
+    database.close();
+}
+
+/**
+ * Reads every record of an object store.
+ *
+ * @param {IDBDatabase} database - The open database.
+ * @param {string} storeName - The name of the object store to read.
+ * @returns {Promise<Array<Object>>} A promise that resolves to the stored records.
+ */
+function readAll(database, storeName) {
+    return requestPromise(database.transaction(storeName).objectStore(storeName).getAll());
+}
+
+beforeEach(() => {
+    globalThis.self = globalThis;
+    globalThis.indexedDB = new IDBFactory();
+    mock.method(console, 'log', () => {});
+});
+
+test('upgrading a version 1 database moves its elements into a default region', async () => {
+    await seedVersion1Database(V1_RECORDS);
+    const database = await openDatabase();
+
+    const [region] = await readAll(database, STORE_NAMES.REGIONS);
+    assert.equal(region.name, 'Default region');
+    assert.deepEqual(region.counts, { nodes: 2, ways: 1, relations: 1 });
+    assert.deepEqual(region.bbox, { minLon: -0.57, minLat: 51.42, maxLon: -0.56, maxLat: 51.43 });
+    assert.equal(region.bounds, null);
+
+    for (const storeName of ELEMENT_STORE_NAMES) {
+        const records = await readAll(database, storeName);
+        assert.equal(records.length, V1_RECORDS[storeName].length);
+
+        for (const record of V1_RECORDS[storeName]) {
+            const stored = database.transaction(storeName).objectStore(storeName).get([region.id, record.id]);
+            assert.deepEqual((await requestPromise(stored)).tags, record.tags);
+        }
+    }
+    database.close();
+});
+
+test('upgrading a version 1 database fills the edit metadata and search keys', async () => {
+    await seedVersion1Database(V1_RECORDS);
+    const database = await openDatabase();
+    const [region] = await readAll(database, STORE_NAMES.REGIONS);
+
+    const getRecord = (storeName, id) =>
+        requestPromise(database.transaction(storeName).objectStore(storeName).get([region.id, id]));
+
+    const node = await getRecord(STORE_NAMES.NODES, '1');
+    for (const field of ['version', 'timestamp', 'changeset', 'uid', 'user', 'visible']) {
+        assert.equal(node[field], null, `${field} should default to null`);
+    }
+    assert.deepEqual(node.searchKeys, { name: 'the crown', amenity: 'pub' });
+
+    const way = await getRecord(STORE_NAMES.WAYS, '10');
+    assert.deepEqual(way.searchKeys, { street: 'high street', housenumber: '12' });
+    assert.deepEqual((await getRecord(STORE_NAMES.NODES, '2')).searchKeys, {});
+    database.close();
+});
+
+test('upgrading a version 1 database adds the region and search indexes', async () => {
+    await seedVersion1Database(V1_RECORDS);
+    const database = await openDatabase();
+
+    for (const storeName of ELEMENT_STORE_NAMES) {
+        const indexNames = database.transaction(storeName).objectStore(storeName).indexNames;
+        assert.ok(indexNames.contains('regionId'), `${storeName} should have a regionId index`);
+        for (const { field } of SEARCH_INDEXES) {
+            assert.ok(indexNames.contains(`searchKeys.${field}`), `${storeName} should index ${field}`);
+        }
+    }
+
+    const [region] = await readAll(database, STORE_NAMES.REGIONS);
+    const byName = database.transaction(STORE_NAMES.NODES).objectStore(STORE_NAMES.NODES).index('searchKeys.name');
+    const found = await requestPromise(byName.getAll([region.id, 'the crown']));
+    assert.deepEqual(found.map(({ id }) => id), ['1']);
+    database.close();
+});
+
+test('upgrading a version 1 database reports each step of its progress', async () => {
+    await seedVersion1Database(V1_RECORDS);
+    const database = await openDatabase();
+    database.close();
+
+    const messages = console.log.mock.calls.map(call => call.arguments[0]);
+    assert.ok(messages.some(message => message.includes('Upgrading database to version 2 (step 1 of 3)')));
+    assert.ok(messages.some(message => message.includes('Upgrading database to version 4 (step 3 of 3)')));
+    assert.ok(messages.some(message => message.includes('Database upgraded from version 1 to 4')));
+});
+
+test('upgrading an empty version 1 database creates no region', async () => {
+    await seedVersion1Database({ nodes: [], ways: [], relations: [] });
+    const database = await openDatabase();
+
+    assert.deepEqual(await readAll(database, STORE_NAMES.REGIONS), []);
+    assert.equal(database.version, 4);
+    database.close();
+});
+
+test('an upgrade blocked by an older connection is reported until it closes', async () => {
+    await seedVersion1Database(V1_RECORDS);
+    const olderConnection = await requestPromise(indexedDB.open(DB_NAME, 1));
+
+    const opening = openDatabase();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const messages = console.log.mock.calls.map(call => call.arguments[0]);
+    assert.ok(messages.some(message => message.includes('close them to continue')));
+
+    olderConnection.close();
+    const database = await opening;
+    assert.equal(database.version, 4);
+    database.close();
+});
+
+test('a failing migration aborts the upgrade and keeps the version 1 data', async () => {
+    await seedVersion1Database(V1_RECORDS);
+    const migrations = [
+        { version: 1, description: 'Create the stores', migrate: () => {} },
+        { version: 2, description: 'Fail', migrate: () => { throw new Error('Broken migration'); } }
+    ];
+
+    const request = indexedDB.open(DB_NAME, 2);
+    request.onupgradeneeded = (event) => {
+        const transaction = event.target.transaction;
+        runMigrations(migrations, event.target.result, transaction, event.oldVersion, event.newVersion)
+            .catch(() => transaction.abort());
+    };
+    await assert.rejects(requestPromise(request));
+
+    const database = await requestPromise(indexedDB.open(DB_NAME));
+    assert.equal(database.version, 1);
+    assert.deepEqual(await readAll(database, STORE_NAMES.NODES), V1_RECORDS.nodes);
+    assert.deepEqual(await readAll(database, STORE_NAMES.WAYS), V1_RECORDS.ways);
+    database.close();
+});
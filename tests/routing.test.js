@@ -0,0 +1,157 @@
+/**
+ * @fileoverview
+ * Tests for the routing graphs and the A* route planning of 'routing.js'.
+ *
+ * The following tests build the routing graphs of small made up networks of ways, and
+ * check that the one-way and access rules of each profile decide which routes are found,
+ * that speed limits set the travel times, and that an unreachable end gives no route.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { haversineDistance } from '../scripts/geodesy.js';
+import { RouteProfile, buildRoutingGraph, findRoute, parseMaxspeed, snapToGraph } from '../scripts/routing.js';
+
+/**
+ * The nodes of the test networks, about 111 metres apart along the equator, with 'e'
+ * about 111 metres north of 'b'.
+ * @constant {Map<string, Object>}
+ */
+const NODES_BY_ID = new Map([
+    { id: 'a', lon: 0, lat: 0 },
+    { id: 'b', lon: 0.001, lat: 0 },
+    { id: 'c', lon: 0.002, lat: 0 },
+    { id: 'd', lon: 0.003, lat: 0 },
+    { id: 'e', lon: 0.001, lat: 0.001 }
+].map(node => [node.id, node]));
+
+/**
+ * Creates a way for a test network.
+ *
+ * @param {string} id - The ID of the way.
+ * @param {Array<string>} nodes - The IDs of the nodes of the way, in order.
+ * @param {Object<string, string>} tags - The tags of the way, by key.
+ * @returns {Object} The way object.
+ */
+function createWay(id, nodes, tags) {
+    return { id, nodes, tags: Object.entries(tags).map(([key, value]) => ({ key, value })) };
+}
+
+/**
+ * Plans the quickest route over a network of ways.
+ *
+ * @param {Array<Object>} ways - The ways of the network.
+ * @param {string} profile - A value from RouteProfile.
+ * @param {string} startId - The ID of the start node.
+ * @param {string} endId - The ID of the end node.
+ * @returns {Object|null} The route, or null if the end cannot be reached.
+ */
+function planRoute(ways, profile, startId, endId) {
+    const graph = buildRoutingGraph(ways, NODES_BY_ID, profile);
+    return findRoute(graph, NODES_BY_ID, startId, endId, profile);
+}
+
+test('a route follows the ways joined at their shared nodes', () => {
+    const ways = [
+        createWay('1', ['a', 'b'], { highway: 'residential' }),
+        createWay('2', ['b', 'c', 'd'], { highway: 'residential' })
+    ];
+    const route = planRoute(ways, RouteProfile.DRIVE, 'a', 'd');
+
+    assert.deepEqual(route.nodeIds, ['a', 'b', 'c', 'd']);
+    assert.deepEqual(route.edges.map(edge => edge.wayId), ['1', '2', '2']);
+    assert.ok(Math.abs(route.distance - haversineDistance(NODES_BY_ID.get('a'), NODES_BY_ID.get('d'))) < 0.01);
+});
+
+test('the quickest route is found rather than the shortest', () => {
+    const ways = [
+        createWay('1', ['a', 'c'], { highway: 'living_street' }),
+        createWay('2', ['a', 'e', 'c'], { highway: 'primary' })
+    ];
+    assert.deepEqual(planRoute(ways, RouteProfile.DRIVE, 'a', 'c').nodeIds, ['a', 'e', 'c']);
+    assert.deepEqual(planRoute(ways, RouteProfile.WALK, 'a', 'c').nodeIds, ['a', 'c']);
+});
+
+test("'oneway=-1' is only travelled against the order of its nodes", () => {
+    const ways = [createWay('1', ['a', 'b', 'c'], { highway: 'residential', oneway: '-1' })];
+
+    assert.equal(planRoute(ways, RouteProfile.DRIVE, 'a', 'c'), null);
+    assert.deepEqual(planRoute(ways, RouteProfile.DRIVE, 'c', 'a').nodeIds, ['c', 'b', 'a']);
+    assert.deepEqual(planRoute(ways, RouteProfile.WALK, 'a', 'c').nodeIds, ['a', 'b', 'c']);
+});
+
+test("'oneway:bicycle' overrides 'oneway' when cycling only", () => {
+    const contraflow = [createWay('1', ['a', 'b'], { highway: 'residential', oneway: 'yes', 'oneway:bicycle': 'no' })];
+    assert.notEqual(planRoute(contraflow, RouteProfile.CYCLE, 'b', 'a'), null);
+    assert.equal(planRoute(contraflow, RouteProfile.DRIVE, 'b', 'a'), null);
+
+    const cycleOneway = [createWay('1', ['a', 'b'], { highway: 'residential', 'oneway:bicycle': 'yes' })];
+    assert.equal(planRoute(cycleOneway, RouteProfile.CYCLE, 'b', 'a'), null);
+    assert.notEqual(planRoute(cycleOneway, RouteProfile.DRIVE, 'b', 'a'), null);
+});
+
+test('roundabouts and motorways are one-way unless tagged otherwise', () => {
+    const roundabout = [createWay('1', ['a', 'b'], { highway: 'primary', junction: 'roundabout' })];
+    assert.equal(planRoute(roundabout, RouteProfile.DRIVE, 'b', 'a'), null);
+
+    const twoWayMotorway = [createWay('1', ['a', 'b'], { highway: 'motorway', oneway: 'no' })];
+    assert.notEqual(planRoute(twoWayMotorway, RouteProfile.DRIVE, 'b', 'a'), null);
+});
+
+test("'foot=yes' overrides 'access=no' when walking only", () => {
+    const ways = [createWay('1', ['a', 'b'], { highway: 'service', access: 'no', foot: 'yes' })];
+
+    assert.notEqual(planRoute(ways, RouteProfile.WALK, 'a', 'b'), null);
+    assert.equal(planRoute(ways, RouteProfile.CYCLE, 'a', 'b'), null);
+    assert.equal(planRoute(ways, RouteProfile.DRIVE, 'a', 'b'), null);
+});
+
+test("'maxspeed' is read in km/h, mph, or knots, and ignored when not a number", () => {
+    assert.equal(parseMaxspeed('50'), 50);
+    assert.ok(Math.abs(parseMaxspeed('30 mph') - 48.28032) < 1e-9);
+    assert.ok(Math.abs(parseMaxspeed('10 knots') - 18.52) < 1e-9);
+    assert.equal(parseMaxspeed('none'), null);
+    assert.equal(parseMaxspeed('signals'), null);
+    assert.equal(parseMaxspeed(undefined), null);
+});
+
+test("driving follows 'maxspeed=30 mph', while walking keeps its own speed", () => {
+    const ways = [createWay('1', ['a', 'b'], { highway: 'primary', maxspeed: '30 mph' })];
+    const distance = haversineDistance(NODES_BY_ID.get('a'), NODES_BY_ID.get('b'));
+
+    const drive = planRoute(ways, RouteProfile.DRIVE, 'a', 'b');
+    assert.ok(Math.abs(drive.duration - distance / (48.28032 / 3.6)) < 1e-6);
+
+    const walk = planRoute(ways, RouteProfile.WALK, 'a', 'b');
+    assert.ok(Math.abs(walk.duration - distance / (5 / 3.6)) < 1e-6);
+});
+
+test('an end which cannot be reached gives no route', () => {
+    const ways = [
+        createWay('1', ['a', 'b'], { highway: 'residential' }),
+        createWay('2', ['c', 'd'], { highway: 'residential' })
+    ];
+    assert.equal(planRoute(ways, RouteProfile.DRIVE, 'a', 'd'), null);
+});
+
+test('ways which are not routable for a profile are left out of its graph', () => {
+    const ways = [
+        createWay('1', ['a', 'b'], { highway: 'footway' }),
+        createWay('2', ['b', 'c'], { highway: 'residential' }),
+        createWay('3', ['c', 'd'], { highway: 'pedestrian', area: 'yes' })
+    ];
+    const graph = buildRoutingGraph(ways, NODES_BY_ID, RouteProfile.DRIVE);
+    assert.deepEqual([...graph.keys()].sort(), ['b', 'c']);
+});
+
+test('a node is snapped to the nearest node of a graph it is not in', () => {
+    const ways = [
+        createWay('1', ['a', 'b'], { highway: 'footway' }),
+        createWay('2', ['c', 'd'], { highway: 'residential' })
+    ];
+    const walkGraph = buildRoutingGraph(ways, NODES_BY_ID, RouteProfile.WALK);
+    const driveGraph = buildRoutingGraph(ways, NODES_BY_ID, RouteProfile.DRIVE);
+
+    assert.equal(snapToGraph(walkGraph, NODES_BY_ID, 'b'), 'b');
+    assert.equal(snapToGraph(driveGraph, NODES_BY_ID, 'b'), 'c');
+    assert.equal(snapToGraph(new Map(), NODES_BY_ID, 'b'), null);
+});
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview
+ * Tests for the parser of the tag query language of 'tag-query.js'.
+ *
+ * The following tests parse queries and run them against the tags of made up elements,
+ * checking the precedence of 'and', 'or', and 'not', the value lists and comparisons of a
+ * tag test, and the messages and positions of the errors reported for invalid queries.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTagQuery } from '../scripts/tag-query.js';
+
+/**
+ * Tests whether a query matches an element with the given tags.
+ *
+ * @param {string} query - The query to parse.
+ * @param {Object<string, string>} tags - The tags of the element, by key.
+ * @returns {boolean} True if the element matches the query.
+ */
+function matches(query, tags) {
+    return parseTagQuery(query)(Object.entries(tags).map(([key, value]) => ({ key, value })));
+}
+
+test("'not' binds tighter than 'and', which binds tighter than 'or'", () => {
+    const query = 'a or b and not c';
+    assert.equal(matches(query, { a: 'yes', c: 'yes' }), true);
+    assert.equal(matches(query, { b: 'yes' }), true);
+    assert.equal(matches(query, { b: 'yes', c: 'yes' }), false);
+    assert.equal(matches(query, { c: 'yes' }), false);
+    assert.equal(matches('(a or b) and not c', { a: 'yes', c: 'yes' }), false);
+});
+
+test('a key alone matches any element with that tag', () => {
+    assert.equal(matches('building', { building: 'house' }), true);
+    assert.equal(matches('building', { highway: 'primary' }), false);
+});
+
+test("'=' matches any of the values separated by '|'", () => {
+    const query = 'highway=primary|secondary';
+    assert.equal(matches(query, { highway: 'primary' }), true);
+    assert.equal(matches(query, { highway: 'secondary' }), true);
+    assert.equal(matches(query, { highway: 'tertiary' }), false);
+    assert.equal(matches(query, {}), false);
+});
+
+test("'!=' matches none of the values, including a missing tag", () => {
+    const query = 'tunnel!=yes|building_passage';
+    assert.equal(matches(query, { tunnel: 'no' }), true);
+    assert.equal(matches(query, {}), true);
+    assert.equal(matches(query, { tunnel: 'yes' }), false);
+    assert.equal(matches(query, { tunnel: 'building_passage' }), false);
+});
+
+test('numeric comparisons read the number at the start of the tag value', () => {
+    assert.equal(matches('height>20', { height: '25 m' }), true);
+    assert.equal(matches('height>=25', { height: '25 m' }), true);
+    assert.equal(matches('height<25', { height: '25 m' }), false);
+    assert.equal(matches('height<=25', { height: '25 m' }), true);
+    assert.equal(matches('height>20', { height: 'tall' }), false);
+    assert.equal(matches('height>20', {}), false);
+});
+
+test('quoted keys and values may contain spaces and operator characters', () => {
+    assert.equal(matches('name="High Street"', { name: 'High Street' }), true);
+    assert.equal(matches("name='a=b|c'", { name: 'a=b|c' }), true);
+    assert.equal(matches('name="say \\"hi\\""', { name: 'say "hi"' }), true);
+    assert.equal(matches('"addr:street"="Low Road"', { 'addr:street': 'Low Road' }), true);
+});
+
+test('the keywords are matched without regard to case', () => {
+    assert.equal(matches('a AND NOT b', { a: 'yes' }), true);
+    assert.equal(matches('a Or b', { b: 'yes' }), true);
+});
+
+test('an unclosed quote is reported with the position of the quote', () => {
+    assert.throws(() => parseTagQuery('name="High Street'), { message: 'Unclosed quote starting at position 6' });
+});
+
+test('a missing value is reported with what was found instead', () => {
+    assert.throws(() => parseTagQuery('highway='), {
+        message: "Expected a value after '=', found the end of the query"
+    });
+    assert.throws(() => parseTagQuery('highway= and bridge'), {
+        message: "Expected a value after '=', found 'and' at position 10"
+    });
+    assert.throws(() => parseTagQuery('highway=primary|'), {
+        message: "Expected a value after '|', found the end of the query"
+    });
+});
+
+test('a trailing operator is reported as a missing tag key', () => {
+    assert.throws(() => parseTagQuery('highway=primary and'), {
+        message: 'Expected a tag key, found the end of the query'
+    });
+    assert.throws(() => parseTagQuery('highway or not'), {
+        message: 'Expected a tag key, found the end of the query'
+    });
+});
+
+test('an empty or blank query is reported as empty', () => {
+    assert.throws(() => parseTagQuery(''), { message: 'The query is empty' });
+    assert.throws(() => parseTagQuery('   '), { message: 'The query is empty' });
+});
+
+test('invalid numeric comparisons and unexpected tokens are reported with their position', () => {
+    assert.throws(() => parseTagQuery('height>tall'), {
+        message: "Expected a number after '>', found 'tall' at position 8"
+    });
+    assert.throws(() => parseTagQuery('height>1|2'), {
+        message: "'>' takes a single number, found '2' at position 10"
+    });
+    assert.throws(() => parseTagQuery('a b'), {
+        message: "Expected 'and', 'or', or the end of the query, found 'b' at position 3"
+    });
+    assert.throws(() => parseTagQuery('(a or b'), { message: "Expected ')', found the end of the query" });
+});